@@ -0,0 +1,24 @@
+/**
+ * Emergency attachment configuration
+ *
+ * ATTACHMENT_STORAGE picks the storage backend (see services/storage);
+ * 'local' keeps files on disk under ATTACHMENT_DIR.
+ */
+const path = require('path');
+
+module.exports = {
+  storage: process.env.ATTACHMENT_STORAGE || 'local',
+
+  local: {
+    directory: path.resolve(process.env.ATTACHMENT_DIR || 'uploads/attachments')
+  },
+
+  maxFileSizeMb: parseFloat(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 10,
+
+  maxPerEmergency: parseInt(process.env.ATTACHMENT_MAX_PER_EMERGENCY, 10) || 20,
+
+  // Photos of injuries, prescriptions and ECG printouts
+  allowedTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+
+  categories: ['injury', 'prescription', 'ecg', 'document', 'other']
+};
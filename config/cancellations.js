@@ -0,0 +1,18 @@
+/**
+ * Cancellation report configuration
+ *
+ * A caller is flagged as possibly abusive once they have made at least
+ * minRequests requests and either too many were cancelled for an abuse
+ * reason (see utils/cancellationReasons) or too large a share of them
+ * was cancelled at all. Duplicate reports never count against a caller.
+ */
+module.exports = {
+  // Report period when none is given
+  defaultPeriodDays: parseInt(process.env.CANCELLATION_REPORT_DAYS, 10) || 30,
+
+  abuse: {
+    minRequests: parseInt(process.env.ABUSE_MIN_REQUESTS, 10) || 3,
+    maxAbuseCancellations: parseInt(process.env.ABUSE_MAX_ABUSE_CANCELLATIONS, 10) || 2,
+    maxCancellationRate: parseFloat(process.env.ABUSE_MAX_CANCELLATION_RATE) || 0.6
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * Dispatch scoring configuration
+ *
+ * Weights are normalised by the scorer, so they only need to be
+ * correct relative to each other. Each can be overridden from the
+ * environment (e.g. DISPATCH_WEIGHT_DISTANCE=0.6).
+ */
+const weight = (name, fallback) => {
+  const value = parseFloat(process.env[`DISPATCH_WEIGHT_${name}`]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  weights: {
+    distance: weight('DISTANCE', 0.5),
+    typeFit: weight('TYPE_FIT', 0.25),
+    equipment: weight('EQUIPMENT', 0.15),
+    freshness: weight('FRESHNESS', 0.1)
+  },
+
+  // Radii searched, in order, for mutual aid units when the home fleet is busy
+  mutualAidRingsKm: (process.env.DISPATCH_MUTUAL_AID_RINGS_KM || '5,10,20,40')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value) && value > 0)
+    .sort((a, b) => a - b),
+
+  // Units that declined or ignored an offer are skipped for this long
+  offerCooldownMinutes: parseFloat(process.env.DISPATCH_OFFER_COOLDOWN_MINUTES) || 10,
+
+  // Distance at which the distance score bottoms out at 0
+  maxDistanceKm: parseFloat(process.env.DISPATCH_MAX_DISTANCE_KM) || 20,
+
+  // GPS fixes newer than this score 1, older than staleAfter score 0
+  freshness: {
+    freshMinutes: parseFloat(process.env.DISPATCH_GPS_FRESH_MINUTES) || 2,
+    staleMinutes: parseFloat(process.env.DISPATCH_GPS_STALE_MINUTES) || 30
+  },
+
+  // Reports of the same incident by several callers
+  duplicates: {
+    // Open emergencies this close and this recent count as possible duplicates
+    radiusMeters: parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 250,
+    windowMinutes: parseFloat(process.env.DUPLICATE_WINDOW_MINUTES) || 30,
+
+    // Suspected duplicates wait this long for a dispatcher before being dispatched anyway
+    holdMinutes: parseFloat(process.env.DUPLICATE_HOLD_MINUTES) || 3
+  },
+
+  // How well each ambulance type suits an emergency priority (0 - 1)
+  typeFit: {
+    Critical: { 'Mobile ICU': 1, Advanced: 0.7, Neonatal: 0.3, Basic: 0.2 },
+    High: { Advanced: 1, 'Mobile ICU': 0.9, Basic: 0.5, Neonatal: 0.3 },
+    Medium: { Advanced: 1, Basic: 0.9, 'Mobile ICU': 0.7, Neonatal: 0.3 },
+    Low: { Basic: 1, Advanced: 0.8, 'Mobile ICU': 0.5, Neonatal: 0.3 }
+  },
+
+  // Type fit of units other than the type triage suggested is scaled by this
+  offSuggestionFactor: parseFloat(process.env.DISPATCH_OFF_SUGGESTION_FACTOR) || 0.5,
+
+  // Equipment that must be in working order for each priority
+  requiredEquipment: {
+    Critical: ['Defibrillator', 'Ventilator', 'Oxygen', 'Stretcher'],
+    High: ['Defibrillator', 'Oxygen', 'Stretcher'],
+    Medium: ['Oxygen', 'Stretcher'],
+    Low: ['Stretcher']
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Pending emergency escalation configuration
+ *
+ * Steps are measured from when the emergency was reported and run in
+ * order while it is still waiting for a unit. Each delay can be
+ * overridden from the environment (e.g. ESCALATION_ALERT_AFTER_SECONDS=240).
+ */
+const seconds = (name, fallback) => {
+  const value = parseFloat(process.env[`ESCALATION_${name}_AFTER_SECONDS`]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  // Search mutual aid units beyond the usual rings
+  widenAfterSeconds: seconds('WIDEN', 120),
+
+  // Extra radii searched once widened, beyond config/dispatch mutualAidRingsKm
+  widenedRingsKm: (process.env.ESCALATION_WIDENED_RINGS_KM || '60,80,100')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value) && value > 0)
+    .sort((a, b) => a - b),
+
+  // Alert the hospital admin and system admins
+  alertAfterSeconds: seconds('ALERT', 300),
+
+  // Page the on-call dispatcher
+  pageAfterSeconds: seconds('PAGE', 600),
+
+  onCall: {
+    name: process.env.ONCALL_DISPATCHER_NAME || 'On-call dispatcher',
+    phone: process.env.ONCALL_DISPATCHER_PHONE,
+    email: process.env.ONCALL_DISPATCHER_EMAIL
+  },
+
+  sweepIntervalSeconds: parseInt(process.env.ESCALATION_SWEEP_INTERVAL_SECONDS, 10) || 30
+};
@@ -0,0 +1,20 @@
+/**
+ * Guest (bystander) emergency intake configuration
+ *
+ * Callers without an account verify their phone with a one-time code
+ * and receive a tracking token scoped to the emergency they reported.
+ */
+module.exports = {
+  otp: {
+    length: 6,
+    ttlMinutes: parseFloat(process.env.GUEST_OTP_TTL_MINUTES) || 10,
+    // Wrong codes allowed before the caller must request a new one
+    maxAttempts: parseInt(process.env.GUEST_OTP_MAX_ATTEMPTS, 10) || 5
+  },
+
+  // How long the tracking token stays valid
+  trackingTokenHours: parseFloat(process.env.GUEST_TRACKING_TOKEN_HOURS) || 24,
+
+  // Name shown for the patient when the caller does not know it
+  unknownPatientName: 'Unknown (reported by bystander)'
+};
@@ -0,0 +1,90 @@
+/**
+ * Destination hospital matching configuration
+ *
+ * Conditions and symptoms are matched case-insensitively against each
+ * rule's keywords as whole words, so every form of a word to match must
+ * be listed. Every matching rule adds its facilities (see the Hospital
+ * `facilities` enum) and capacity units to what the receiving hospital
+ * must offer.
+ */
+const number = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  // Hospitals further than this are not considered
+  searchRadiusKm: parseFloat(process.env.HOSPITAL_SEARCH_RADIUS_KM) || 20,
+
+  // Wider radius used when the patient needs specialist facilities
+  specialtySearchRadiusKm: parseFloat(process.env.HOSPITAL_SPECIALTY_SEARCH_RADIUS_KM) || 50,
+
+  // Busy hospitals count as further away: distance is stretched by
+  // penalty x occupancy (1 = a nearly full hospital counts twice as far).
+  // Hospitals with no free beds in a required unit are only used as a
+  // last resort. 0 turns the penalty off.
+  occupancyPenalty: number('HOSPITAL_OCCUPANCY_PENALTY', 1),
+
+  // Capacity units a hospital needs free for each priority
+  requiredCapacity: {
+    Critical: ['erBeds', 'icuBeds'],
+    High: ['erBeds'],
+    Medium: ['erBeds'],
+    Low: ['erBeds']
+  },
+
+  // Beds assumed free per unit when spreading mass-casualty patients
+  // across hospitals that do not report that unit
+  unreportedBedAllowance: parseInt(process.env.MCI_UNREPORTED_BED_ALLOWANCE, 10) || 2,
+
+  rules: [
+    {
+      name: 'cardiac',
+      keywords: ['cardiac arrest', 'heart attack', 'myocardial', 'stemi', 'chest pain'],
+      facilities: ['Cath Lab', 'Cardiology'],
+      capacity: ['icuBeds']
+    },
+    {
+      name: 'stroke',
+      keywords: ['stroke', 'facial droop', 'slurred speech', 'hemiparesis'],
+      facilities: ['Neurology', 'Radiology'],
+      capacity: []
+    },
+    {
+      name: 'newborn',
+      keywords: ['newborn', 'neonate', 'neonatal', 'premature'],
+      facilities: ['NICU'],
+      capacity: ['nicuBeds']
+    },
+    {
+      name: 'pediatric',
+      keywords: ['child', 'children', 'pediatric', 'paediatric', 'infant'],
+      facilities: ['Pediatrics'],
+      capacity: []
+    },
+    {
+      name: 'obstetric',
+      keywords: ['pregnant', 'pregnancy', 'labor', 'labour', 'obstetric'],
+      facilities: ['Maternity'],
+      capacity: []
+    },
+    {
+      name: 'trauma',
+      keywords: ['trauma', 'fracture', 'fractured', 'road accident', 'fall from height'],
+      facilities: ['Surgery', 'Orthopedics', 'Radiology'],
+      capacity: []
+    },
+    {
+      name: 'haemorrhage',
+      keywords: ['hemorrhage', 'haemorrhage', 'severe bleeding'],
+      facilities: ['Surgery', 'Blood Bank'],
+      capacity: []
+    },
+    {
+      name: 'respiratory',
+      keywords: ['respiratory failure', 'not breathing', 'ventilator', 'ventilation'],
+      facilities: ['ICU'],
+      capacity: ['icuBeds', 'ventilators']
+    }
+  ]
+};
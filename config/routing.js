@@ -0,0 +1,52 @@
+/**
+ * Routing and ETA configuration
+ *
+ * ROUTING_PROVIDER picks the provider: 'google' calls the Directions API,
+ * 'offline' estimates from straight-line distance and the speed profiles
+ * below. Outside production the default is offline so development and
+ * test runs need no network or API key.
+ */
+const speed = (name, fallback) => {
+  const value = parseFloat(process.env[`ROUTING_SPEED_${name}`]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  provider: process.env.ROUTING_PROVIDER ||
+    (process.env.NODE_ENV === 'production' ? 'google' : 'offline'),
+
+  // Give up on the remote provider after this long and fall back to offline
+  timeoutMs: parseInt(process.env.ROUTING_TIMEOUT_MS, 10) || 1000,
+
+  offline: {
+    // Road distance is longer than straight-line distance
+    detourFactor: parseFloat(process.env.ROUTING_DETOUR_FACTOR) || 1.3,
+
+    defaultRoadClass: process.env.ROUTING_DEFAULT_ROAD_CLASS || 'urban',
+
+    // Average speed in km/h per road class
+    roadClassSpeeds: {
+      highway: speed('HIGHWAY', 80),
+      arterial: speed('ARTERIAL', 50),
+      urban: speed('URBAN', 35),
+      residential: speed('RESIDENTIAL', 25)
+    },
+
+    // Lights and sirens let higher priority calls move faster than traffic
+    priorityMultipliers: {
+      Critical: 1.25,
+      High: 1.15,
+      Medium: 1,
+      Low: 0.9
+    }
+  },
+
+  // Live ETA recalculation from ambulance location updates
+  eta: {
+    // Flag a call as running late once its ETA slips this far past the first estimate
+    lateThresholdMinutes: parseFloat(process.env.ETA_LATE_THRESHOLD_MINUTES) || 5,
+
+    // Recalculations kept per emergency
+    historyLimit: parseInt(process.env.ETA_HISTORY_LIMIT, 10) || 200
+  }
+};
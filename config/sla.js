@@ -0,0 +1,41 @@
+/**
+ * Response-time SLA configuration
+ *
+ * Default targets in minutes per priority, each overridable from the
+ * environment (e.g. SLA_CRITICAL_SCENE_MINUTES=10). Hospitals can set
+ * their own targets, which take precedence (see Hospital.slaTargets).
+ */
+const minutes = (priority, metric, fallback) => {
+  const value = parseFloat(process.env[`SLA_${priority}_${metric}_MINUTES`]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  targets: {
+    Critical: {
+      dispatch: minutes('CRITICAL', 'DISPATCH', 2),
+      scene: minutes('CRITICAL', 'SCENE', 8),
+      hospital: minutes('CRITICAL', 'HOSPITAL', 30)
+    },
+    High: {
+      dispatch: minutes('HIGH', 'DISPATCH', 3),
+      scene: minutes('HIGH', 'SCENE', 15),
+      hospital: minutes('HIGH', 'HOSPITAL', 45)
+    },
+    Medium: {
+      dispatch: minutes('MEDIUM', 'DISPATCH', 5),
+      scene: minutes('MEDIUM', 'SCENE', 25),
+      hospital: minutes('MEDIUM', 'HOSPITAL', 60)
+    },
+    Low: {
+      dispatch: minutes('LOW', 'DISPATCH', 15),
+      scene: minutes('LOW', 'SCENE', 60),
+      hospital: minutes('LOW', 'HOSPITAL', 120)
+    }
+  },
+
+  // Share of the target after which a warning goes out
+  warnFraction: parseFloat(process.env.SLA_WARN_FRACTION) || 0.8,
+
+  sweepIntervalSeconds: parseInt(process.env.SLA_SWEEP_INTERVAL_SECONDS, 10) || 30
+};
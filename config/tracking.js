@@ -0,0 +1,13 @@
+/**
+ * GPS track configuration
+ *
+ * Location pings sent by units on a call are kept in a time-series
+ * collection for replay, then expired by MongoDB.
+ */
+module.exports = {
+  retentionDays: parseInt(process.env.TRACK_RETENTION_DAYS, 10) || 365,
+
+  // Pings returned for one emergency's track; longer tracks are thinned
+  // evenly, keeping each unit's last ping
+  maxPoints: parseInt(process.env.TRACK_MAX_POINTS, 10) || 10000
+};
@@ -0,0 +1,32 @@
+/**
+ * Scheduled transport configuration
+ *
+ * A booking holds its ambulance from dispatchLeadMinutes before pickup
+ * until the estimated trip and turnaround are over. Bookings turn into
+ * live dispatches dispatchLeadMinutes before pickup.
+ */
+module.exports = {
+  // How far ahead of pickup the booking becomes a live dispatch
+  dispatchLeadMinutes: parseFloat(process.env.TRANSPORT_DISPATCH_LEAD_MINUTES) || 30,
+
+  // Bookings must be made at least this far ahead of pickup
+  minBookingLeadMinutes: parseFloat(process.env.TRANSPORT_MIN_BOOKING_LEAD_MINUTES) || 60,
+
+  // Trip length assumed when the booking does not give one
+  defaultDurationMinutes: parseFloat(process.env.TRANSPORT_DEFAULT_DURATION_MINUTES) || 90,
+
+  // Cleaning and restocking after each trip
+  turnaroundMinutes: parseFloat(process.env.TRANSPORT_TURNAROUND_MINUTES) || 15,
+
+  // Hours before pickup that reminders are sent
+  reminderHours: (process.env.TRANSPORT_REMINDER_HOURS || '24,2')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value) && value > 0)
+    .sort((a, b) => b - a),
+
+  // Longest a unit's schedule stays locked if a booking write never finishes
+  scheduleLockSeconds: parseInt(process.env.TRANSPORT_SCHEDULE_LOCK_SECONDS, 10) || 30,
+
+  sweepIntervalSeconds: parseInt(process.env.TRANSPORT_SWEEP_INTERVAL_SECONDS, 10) || 60
+};
@@ -0,0 +1,118 @@
+/**
+ * Triage rules configuration
+ *
+ * Each rule matches when every answer in `when` matches: a plain value
+ * must be equal, an object compares with lt, gte or in. A matching rule
+ * adds its score, raises the priority to at least minPriority and can
+ * suggest an ambulance type. The total score is mapped to a priority
+ * through the thresholds.
+ *
+ * The rules can be replaced with a JSON file of the same shape
+ * (TRIAGE_RULES_FILE); set TRIAGE_RULES_VERSION so assessments record
+ * which rules produced them.
+ */
+const path = require('path');
+
+const DEFAULT_RULES = [
+  {
+    id: 'not_breathing',
+    when: { breathing: false },
+    score: 10,
+    minPriority: 'Critical',
+    ambulanceType: 'Mobile ICU',
+    reason: 'Not breathing'
+  },
+  {
+    id: 'unconscious',
+    when: { conscious: false },
+    score: 8,
+    minPriority: 'Critical',
+    ambulanceType: 'Mobile ICU',
+    reason: 'Unconscious'
+  },
+  {
+    id: 'severe_bleeding',
+    when: { bleeding: 'severe' },
+    score: 6,
+    minPriority: 'High',
+    ambulanceType: 'Advanced',
+    reason: 'Severe bleeding'
+  },
+  {
+    id: 'breathing_difficulty',
+    when: { breathingDifficulty: true },
+    score: 4,
+    ambulanceType: 'Advanced',
+    reason: 'Difficulty breathing'
+  },
+  {
+    id: 'chest_pain',
+    when: { chestPain: true },
+    score: 4,
+    ambulanceType: 'Advanced',
+    reason: 'Chest pain'
+  },
+  {
+    id: 'chest_pain_over_40',
+    when: { chestPain: true, age: { gte: 40 } },
+    score: 2,
+    minPriority: 'High',
+    reason: 'Chest pain over 40, possible cardiac event'
+  },
+  {
+    id: 'minor_bleeding',
+    when: { bleeding: 'minor' },
+    score: 1,
+    reason: 'Minor bleeding'
+  },
+  {
+    id: 'elderly',
+    when: { age: { gte: 75 } },
+    score: 1,
+    reason: 'Aged 75 or over'
+  },
+  {
+    id: 'infant',
+    when: { age: { lt: 2 } },
+    score: 2,
+    reason: 'Under 2 years old'
+  },
+  {
+    id: 'newborn',
+    when: { age: { lt: 0.08 } },
+    score: 0,
+    ambulanceType: 'Neonatal',
+    reason: 'Newborn'
+  }
+];
+
+const threshold = (name, fallback) => {
+  const value = parseFloat(process.env[`TRIAGE_THRESHOLD_${name}`]);
+  return isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  version: process.env.TRIAGE_RULES_VERSION || 'default',
+
+  rules: process.env.TRIAGE_RULES_FILE
+    ? require(path.resolve(process.env.TRIAGE_RULES_FILE))
+    : DEFAULT_RULES,
+
+  // Lowest total score for each priority; anything below Medium is Low
+  thresholds: {
+    Critical: threshold('CRITICAL', 10),
+    High: threshold('HIGH', 6),
+    Medium: threshold('MEDIUM', 2)
+  },
+
+  // Ambulance type suggested for each priority when no rule asks for more
+  ambulanceTypes: {
+    Critical: 'Mobile ICU',
+    High: 'Advanced',
+    Medium: 'Basic',
+    Low: 'Basic'
+  },
+
+  // Accepted answers to the bleeding question
+  bleedingLevels: ['none', 'minor', 'severe']
+};
@@ -1,6 +1,11 @@
 const Ambulance = require('../models/Ambulance');
 const Emergency = require('../models/Emergency');
 const { validationResult } = require('express-validator');
+const { requestDispatchRetry } = require('../services/dispatchQueue');
+const { acceptOffer: acceptDispatchOffer, declineOffer: declineDispatchOffer } = require('../services/dispatchOffers');
+const { recalculateEta } = require('../services/etaService');
+const { recordPing } = require('../services/trackService');
+const NotificationService = require('../services/notificationService');
 
 // @desc    Get all ambulances
 // @route   GET /api/ambulance
@@ -153,8 +158,14 @@ const updateAmbulance = async (req, res) => {
     if (status) ambulance.status = status;
     if (isActive !== undefined) ambulance.isActive = isActive;
     
+    const availabilityChanged = ambulance.isModified('status') || ambulance.isModified('isActive');
     const updatedAmbulance = await ambulance.save();
     
+    // A unit returning to service can take the next queued emergency
+    if (availabilityChanged && updatedAmbulance.isAvailable) {
+      requestDispatchRetry(req.app.get('io'));
+    }
+    
     res.json(updatedAmbulance);
   } catch (error) {
     console.error('Update ambulance error:', error);
@@ -167,7 +178,7 @@ const updateAmbulance = async (req, res) => {
 // @access  Private/Driver
 const updateAmbulanceLocation = async (req, res) => {
   try {
-    const { coordinates, address } = req.body;
+    const { coordinates, address, accuracy, speed, heading } = req.body;
     
     if (!coordinates || !Array.isArray(coordinates) || coordinates.length !== 2) {
       return res.status(400).json({ message: 'Valid coordinates are required' });
@@ -198,14 +209,16 @@ const updateAmbulanceLocation = async (req, res) => {
     if (ambulance.currentEmergency) {
       const emergency = await Emergency.findById(ambulance.currentEmergency);
       if (emergency) {
-        emergency.timeline.push({
-          status: emergency.status,
-          notes: 'Ambulance location updated',
-          location: {
-            type: 'Point',
-            coordinates
-          }
-        });
+        // Kept in the track, the timeline only records status changes and events
+        await recordPing(ambulance, emergency._id, { coordinates, address, accuracy, speed, heading });
+
+        // A routing failure should not reject the location update itself
+        const etaUpdate = await recalculateEta(emergency, coordinates)
+          .catch(error => {
+            console.error('Recalculate ETA error:', error);
+            return null;
+          });
+
         await emergency.save();
         
         // Emit real-time update
@@ -215,6 +228,10 @@ const updateAmbulanceLocation = async (req, res) => {
           address,
           timestamp: new Date()
         });
+
+        if (etaUpdate) {
+          await new NotificationService(req.app.get('io')).handleEtaUpdate(emergency, etaUpdate);
+        }
       }
     }
     
@@ -288,6 +305,69 @@ const getAmbulancesByHospital = async (req, res) => {
   }
 };
 
+// @desc    Accept the emergency offered to this ambulance
+// @route   POST /api/ambulance/:id/offer/accept
+// @access  Private/Driver
+const acceptOffer = async (req, res) => {
+  try {
+    const ambulance = await Ambulance.findById(req.params.id);
+    
+    if (!ambulance) {
+      return res.status(404).json({ message: 'Ambulance not found' });
+    }
+    
+    // Check if user is the driver of this ambulance
+    if (ambulance.driver.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to respond for this ambulance' });
+    }
+    
+    const emergency = await acceptDispatchOffer(ambulance, req.app.get('io'));
+    
+    if (!emergency) {
+      return res.status(409).json({ message: 'No open offer for this ambulance' });
+    }
+    
+    res.json(emergency);
+  } catch (error) {
+    console.error('Accept offer error:', error);
+    res.status(500).json({ message: 'Server error accepting offer' });
+  }
+};
+
+// @desc    Decline the emergency offered to this ambulance
+// @route   POST /api/ambulance/:id/offer/decline
+// @access  Private/Driver
+const declineOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const ambulance = await Ambulance.findById(req.params.id);
+    
+    if (!ambulance) {
+      return res.status(404).json({ message: 'Ambulance not found' });
+    }
+    
+    // Check if user is the driver of this ambulance
+    if (ambulance.driver.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to respond for this ambulance' });
+    }
+    
+    const emergency = await declineDispatchOffer(ambulance, req.body.reason, req.app.get('io'));
+    
+    if (!emergency) {
+      return res.status(409).json({ message: 'No open offer for this ambulance' });
+    }
+    
+    res.json({ message: 'Offer declined' });
+  } catch (error) {
+    console.error('Decline offer error:', error);
+    res.status(500).json({ message: 'Server error declining offer' });
+  }
+};
+
 module.exports = {
   getAllAmbulances,
   getAmbulanceById,
@@ -295,5 +375,7 @@ module.exports = {
   updateAmbulance,
   updateAmbulanceLocation,
   getAmbulanceEmergency,
-  getAmbulancesByHospital
+  getAmbulancesByHospital,
+  acceptOffer,
+  declineOffer
 };
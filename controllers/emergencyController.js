@@ -1,65 +1,206 @@
+const mongoose = require('mongoose');
 const Emergency = require('../models/Emergency');
-const Ambulance = require('../models/Ambulance');
 const Hospital = require('../models/Hospital');
-const { Client } = require('@googlemaps/google-maps-services-js');
-const client = new Client({});
+const { validationResult } = require('express-validator');
+const contentDisposition = require('content-disposition');
+const { resolvePatient, createEmergencyRequest } = require('../services/emergencyIntake');
+const { requestGuestOtp, verifyGuestOtp, releaseGuestOtp } = require('../services/guestIntake');
+const { issueTrackingToken, toTrackingView } = require('../services/guestTracking');
+const { getQueueStatus } = require('../services/dispatchQueue');
+const {
+  transitionEmergency,
+  cancelEmergency,
+  resolveActorRoles
+} = require('../services/emergencyLifecycle');
+const { sendHandoffPacket, acknowledgeHandoff } = require('../services/handoffService');
+const {
+  canViewEmergency,
+  getParticipantRole,
+  canManageHospital
+} = require('../services/emergencyAccess');
+const { postMessage, listMessages, markMessagesRead } = require('../services/emergencyMessages');
+const {
+  addAttachment,
+  listAttachments,
+  findAttachment,
+  openAttachment,
+  removeAttachment
+} = require('../services/emergencyAttachments');
+const { clearDuplicate, mergeEmergencies } = require('../services/duplicateDetection');
+const { buildCancellationReport } = require('../services/cancellationReport');
+const { overridePriority } = require('../services/triageEngine');
+const { submitFeedback } = require('../services/feedbackService');
+const { getEmergencyTrack, toGeoJson, toGpx } = require('../services/trackService');
+const { isTerminal } = require('../utils/emergencyTransitions');
+const { sanitizeFileName } = require('../utils/helpers');
+const { AppError, TransitionError } = require('../middleware/errorHandler');
+const guestConfig = require('../config/guestIntake');
 
 // @desc    Create a new emergency request
 // @route   POST /api/emergency
 // @access  Private
 exports.createEmergency = async (req, res) => {
   try {
-    const { location, medicalInfo, priority = 'Medium' } = req.body;
-    const patientId = req.user.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { location, medicalInfo, triage, priority, patientId, patientDetails } = req.body;
+
+    // The caller may be asking for help for someone else
+    const details = await resolvePatient(req.user, { patientId, patientDetails });
 
-    // Find nearest hospital with available capacity
-    const hospital = await findNearestHospital(location.coordinates);
+    const result = await createEmergencyRequest({
+      location,
+      medicalInfo,
+      triage,
+      reportedPriority: priority,
+      details
+    }, req.app.get('io'));
     
-    if (!hospital) {
+    if (!result) {
       return res.status(503).json({ message: 'No hospitals available at the moment' });
     }
 
-    // Create emergency record
-    const emergency = await Emergency.create({
-      patient: patientId,
-      location: {
-        type: 'Point',
-        coordinates: location.coordinates,
-        address: location.address,
-        additionalInfo: location.additionalInfo
-      },
-      hospital: hospital._id,
-      priority,
-      medicalInfo,
-      status: 'Pending',
-      timeline: [{
-        status: 'Pending',
-        notes: 'Emergency request created',
-        location: {
-          type: 'Point',
-          coordinates: location.coordinates
-        }
-      }]
+    res.status(201).json({
+      ...result.emergency.toObject(),
+      queue: result.queue
     });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Create emergency error:', error);
+    res.status(500).json({ message: 'Server error creating emergency' });
+  }
+};
 
-    // Find and assign nearest available ambulance
-    await assignAmbulance(emergency);
+// @desc    Send a verification code to a guest caller
+// @route   POST /api/emergency/guest/otp
+// @access  Public
+exports.requestGuestOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Notify hospital and update emergency status
-    const updatedEmergency = await Emergency.findById(emergency._id)
-      .populate('patient', 'name phone medicalInfo')
-      .populate('assignedAmbulance', 'vehicleNumber driver');
+    const verification = await requestGuestOtp(req.body.phone, req.ip);
 
-    // Emit real-time update
-    req.app.get('io').to(`hospital_${hospital._id}`).emit('new_emergency', updatedEmergency);
+    res.status(201).json({
+      verificationId: verification._id,
+      expiresAt: verification.expiresAt
+    });
+  } catch (error) {
+    console.error('Guest OTP error:', error);
+    res.status(500).json({ message: 'Server error sending verification code' });
+  }
+};
+
+// @desc    Create an emergency request as a guest caller
+// @route   POST /api/emergency/guest
+// @access  Public
+exports.createGuestEmergency = async (req, res) => {
+  let verification;
+  // Chosen up front so a failed request can tell whether it was saved
+  const emergencyId = new mongoose.Types.ObjectId();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      verificationId,
+      phone,
+      otp,
+      callerName,
+      patientDetails = {},
+      location,
+      medicalInfo,
+      triage,
+      priority
+    } = req.body;
+
+    verification = await verifyGuestOtp(verificationId, phone, otp);
+    const { token, guestAccess } = issueTrackingToken();
+
+    const result = await createEmergencyRequest({
+      location,
+      medicalInfo,
+      triage,
+      reportedPriority: priority,
+      details: {
+        _id: emergencyId,
+        isGuest: true,
+        callerContact: {
+          name: callerName,
+          phone: verification.phone,
+          verifiedAt: verification.verifiedAt
+        },
+        patientDetails: {
+          ...patientDetails,
+          name: patientDetails.name || guestConfig.unknownPatientName
+        },
+        guestAccess
+      }
+    }, req.app.get('io'));
+
+    // No emergency was created, so the caller may retry with the same code
+    if (!result) {
+      await releaseGuestOtp(verification);
+      return res.status(503).json({ message: 'No hospitals available at the moment' });
+    }
+
+    verification.emergency = result.emergency._id;
+    await verification.save();
 
-    res.status(201).json(updatedEmergency);
+    res.status(201).json({
+      emergencyId: result.emergency._id,
+      status: result.emergency.status,
+      trackingToken: token,
+      trackingTokenExpiresAt: guestAccess.expiresAt,
+      queue: result.queue
+    });
   } catch (error) {
-    console.error('Create emergency error:', error);
+    // The code is only spent once an emergency exists for it
+    if (verification && !verification.emergency) {
+      try {
+        if (!(await Emergency.exists({ _id: emergencyId }))) {
+          await releaseGuestOtp(verification);
+        }
+      } catch (releaseError) {
+        console.error('Release guest OTP error:', releaseError);
+      }
+    }
+
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Create guest emergency error:', error);
     res.status(500).json({ message: 'Server error creating emergency' });
   }
 };
 
+// @desc    Track a guest emergency
+// @route   GET /api/emergency/guest/:id
+// @access  Public (tracking token)
+exports.trackGuestEmergency = async (req, res) => {
+  try {
+    // A merged duplicate is tracked through the emergency it was merged into
+    const emergency = await Emergency.findById(req.emergency.mergedInto || req.emergency._id)
+      .populate('assignedAmbulance', 'vehicleNumber currentLocation')
+      .populate('receivingHospital', 'name address');
+
+    res.json(toTrackingView(emergency));
+  } catch (error) {
+    console.error('Track guest emergency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Get emergency by ID
 // @route   GET /api/emergency/:id
 // @access  Private
@@ -67,7 +208,10 @@ exports.getEmergencyById = async (req, res) => {
   try {
     const emergency = await Emergency.findById(req.params.id)
       .populate('patient', 'name phone')
+      .populate('caller', 'name phone')
       .populate('hospital', 'name address')
+      .populate('receivingHospital', 'name address')
+      .populate('lendingHospital', 'name')
       .populate('assignedAmbulance', 'vehicleNumber driver currentLocation');
 
     if (!emergency) {
@@ -75,21 +219,58 @@ exports.getEmergencyById = async (req, res) => {
     }
 
     // Check if user is authorized to view this emergency
-    if (
-      emergency.patient._id.toString() !== req.user.id && 
-      req.user.role !== 'hospital_admin' &&
-      req.user.role !== 'admin'
-    ) {
+    if (!(await canViewEmergency(emergency, req.user))) {
       return res.status(403).json({ message: 'Not authorized to view this emergency' });
     }
 
-    res.json(emergency);
+    res.json({
+      ...emergency.toObject(),
+      queue: await getQueueStatus(emergency)
+    });
   } catch (error) {
     console.error('Get emergency error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// @desc    Get the GPS track of the units on an emergency
+// @route   GET /api/emergency/:id/track
+// @access  Private
+exports.getEmergencyTrack = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emergency = await Emergency.findById(req.params.id).select('patient caller additionalCallers');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (!(await canViewEmergency(emergency, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to view this emergency' });
+    }
+
+    const tracks = await getEmergencyTrack(emergency._id);
+
+    if (tracks.length === 0) {
+      return res.status(404).json({ message: 'No track recorded for this emergency' });
+    }
+
+    if (req.query.format === 'gpx') {
+      res.set('Content-Disposition', `attachment; filename="emergency-${emergency._id}.gpx"`);
+      return res.type('application/gpx+xml').send(toGpx(emergency._id.toString(), tracks));
+    }
+
+    res.type('application/geo+json').send(JSON.stringify(toGeoJson(emergency._id, tracks)));
+  } catch (error) {
+    console.error('Get emergency track error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Update emergency status
 // @route   PUT /api/emergency/:id/status
 // @access  Private
@@ -103,34 +284,19 @@ exports.updateEmergencyStatus = async (req, res) => {
       return res.status(404).json({ message: 'Emergency not found' });
     }
 
-    // Check if user is authorized to update this emergency
-    if (
-      emergency.patient.toString() !== req.user.id && 
-      req.user.role !== 'hospital_admin' &&
-      req.user.role !== 'admin' &&
-      req.user.role !== 'driver'
-    ) {
-      return res.status(403).json({ message: 'Not authorized to update this emergency' });
-    }
-
-    // Update emergency status
-    await emergency.updateStatus(status, notes);
-
-    // If ambulance is dispatched, update its status
-    if (status === 'Dispatched' && emergency.assignedAmbulance) {
-      await Ambulance.findByIdAndUpdate(emergency.assignedAmbulance, {
-        status: 'On Duty',
-        currentEmergency: emergency._id
+    // Cancelling needs a reason, which only the cancel endpoint takes
+    if (status === 'Cancelled') {
+      return res.status(400).json({
+        message: 'Use POST /api/emergency/:id/cancel to cancel an emergency'
       });
     }
 
-    // If emergency is completed, update ambulance status
-    if (status === 'Completed' && emergency.assignedAmbulance) {
-      await Ambulance.findByIdAndUpdate(emergency.assignedAmbulance, {
-        status: 'Available',
-        currentEmergency: null
-      });
-    }
+    // Checks the transition and the user's role on it, then runs its side effects
+    await transitionEmergency(emergency, status, {
+      user: req.user,
+      notes,
+      io: req.app.get('io')
+    });
 
     const updatedEmergency = await Emergency.findById(emergency._id)
       .populate('patient', 'name phone')
@@ -146,11 +312,185 @@ exports.updateEmergencyStatus = async (req, res) => {
 
     res.json(updatedEmergency);
   } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.code).json(error.toJSON());
+    }
     console.error('Update emergency status error:', error);
     res.status(500).json({ message: 'Server error updating emergency status' });
   }
 };
 
+// @desc    Cancel an emergency with a reason
+// @route   POST /api/emergency/:id/cancel
+// @access  Private
+exports.cancelEmergency = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, notes = '' } = req.body;
+
+    const emergency = await Emergency.findById(req.params.id);
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (emergency.patientLoadedAt) {
+      return res.status(409).json({
+        message: 'Emergency cannot be cancelled after the patient has been picked up'
+      });
+    }
+
+    // Also checks the user may cancel, then notifies the crew and releases the unit
+    await cancelEmergency(emergency, {
+      user: req.user,
+      reason,
+      notes,
+      io: req.app.get('io')
+    });
+
+    const updatedEmergency = await Emergency.findById(emergency._id)
+      .populate('patient', 'name phone')
+      .populate('hospital', 'name address')
+      .populate('cancellation.cancelledBy', 'name role');
+
+    req.app.get('io').to(`emergency_${emergency._id}`).emit('status_update', updatedEmergency);
+
+    if (emergency.hospital) {
+      req.app.get('io').to(`hospital_${emergency.hospital}`).emit('emergency_updated', updatedEmergency);
+    }
+
+    res.json(updatedEmergency);
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.code).json(error.toJSON());
+    }
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Cancel emergency error:', error);
+    res.status(500).json({ message: 'Server error cancelling emergency' });
+  }
+};
+
+// @desc    Get cancellation rates per reason and caller
+// @route   GET /api/emergency/reports/cancellations
+// @access  Private/Hospital Admin
+exports.getCancellationReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to } = req.query;
+    let { hospital } = req.query;
+
+    // Hospital admins only see the callers of their own hospital
+    if (req.user.role === 'hospital_admin') {
+      if (!hospital) {
+        const managed = await Hospital.findOne({ admin: req.user.id }).select('_id');
+        hospital = managed?._id;
+      }
+      if (!hospital || !(await canManageHospital(req.user, hospital))) {
+        return res.status(403).json({ message: 'Not authorized to view this hospital\'s cancellations' });
+      }
+    }
+
+    const report = await buildCancellationReport({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      hospital
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get cancellation report error:', error);
+    res.status(500).json({ message: 'Server error building cancellation report' });
+  }
+};
+
+// @desc    Override the triaged priority
+// @route   PUT /api/emergency/:id/priority
+// @access  Private/Hospital Admin
+exports.overridePriority = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { priority, reason } = req.body;
+
+    const emergency = await Emergency.findById(req.params.id);
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (!(await canManageHospital(req.user, emergency.hospital))) {
+      return res.status(403).json({ message: 'Not authorized to change this emergency\'s priority' });
+    }
+
+    if (isTerminal(emergency.status)) {
+      return res.status(409).json({ message: `Emergency is already ${emergency.status.toLowerCase()}` });
+    }
+
+    if (emergency.priority === priority) {
+      return res.status(400).json({ message: `Priority is already ${priority}` });
+    }
+
+    overridePriority(emergency, { priority, reason, user: req.user });
+    await emergency.save();
+
+    const update = {
+      emergencyId: emergency._id,
+      priority: emergency.priority,
+      triage: emergency.triage,
+      override: emergency.priorityOverrides[emergency.priorityOverrides.length - 1]
+    };
+    req.app.get('io').to(`emergency_${emergency._id}`).emit('priority_updated', update);
+    req.app.get('io').to(`hospital_${emergency.hospital}`).emit('priority_updated', update);
+
+    res.json(update);
+  } catch (error) {
+    console.error('Override priority error:', error);
+    res.status(500).json({ message: 'Server error overriding priority' });
+  }
+};
+
+// @desc    Rate a completed emergency
+// @route   POST /api/emergency/:id/feedback
+// @access  Private/Patient
+exports.submitFeedback = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ratings, comments } = req.body;
+
+    const emergency = await submitFeedback(req.params.id, req.user, { ratings, comments });
+
+    req.app.get('io').to(`hospital_${emergency.feedback.hospital}`).emit('feedback_received', {
+      emergencyId: emergency._id,
+      feedback: emergency.feedback
+    });
+
+    res.status(201).json(emergency.feedback);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Submit feedback error:', error);
+    res.status(500).json({ message: 'Server error submitting feedback' });
+  }
+};
+
 // @desc    Get emergencies for hospital
 // @route   GET /api/emergency/hospital/:hospitalId
 // @access  Private
@@ -187,7 +527,10 @@ exports.getUserEmergencies = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    const emergencies = await Emergency.find({ patient: userId })
+    // Emergencies the user is the patient of or requested for someone else
+    const emergencies = await Emergency.find({ $or: [{ patient: userId }, { caller: userId }] })
+      .populate('patient', 'name')
+      .populate('caller', 'name')
       .populate('hospital', 'name address')
       .populate('assignedAmbulance', 'vehicleNumber driver')
       .sort({ createdAt: -1 });
@@ -199,85 +542,427 @@ exports.getUserEmergencies = async (req, res) => {
   }
 };
 
-// Helper function to find nearest hospital with available capacity
-async function findNearestHospital(coordinates) {
+// @desc    Record crew observations for an emergency
+// @route   POST /api/emergency/:id/observations
+// @access  Private/Driver
+exports.addObservation = async (req, res) => {
   try {
-    // Find hospitals within 20km radius with available capacity
-    const hospitals = await Hospital.find({
-      'address.location': {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: coordinates
-          },
-          $maxDistance: 20000 // 20km in meters
-        }
-      },
-      isActive: true
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emergency = await Emergency.findById(req.params.id);
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    const roles = await resolveActorRoles(emergency, req.user);
+    if (!roles.includes('assigned_driver')) {
+      return res.status(403).json({ message: 'Only the assigned crew can record observations' });
+    }
+
+    if (isTerminal(emergency.status)) {
+      return res.status(409).json({ message: `Emergency is already ${emergency.status}` });
+    }
+
+    const { vitals, notes } = req.body;
+    if (!vitals && !notes) {
+      return res.status(400).json({ message: 'Vitals or notes are required' });
+    }
+
+    emergency.observations.push({
+      recordedBy: req.user.id,
+      vitals,
+      notes
+    });
+    await emergency.save();
+
+    const observation = emergency.observations[emergency.observations.length - 1];
+
+    // Keep the receiving hospital's handoff packet current while en route to it
+    if (emergency.status === 'Transporting') {
+      await sendHandoffPacket(emergency, req.app.get('io'));
+    }
+
+    req.app.get('io').to(`emergency_${emergency._id}`).emit('observation_added', {
+      emergencyId: emergency._id,
+      observation
     });
 
-    if (hospitals.length === 0) {
-      return null;
+    res.status(201).json(observation);
+  } catch (error) {
+    console.error('Add observation error:', error);
+    res.status(500).json({ message: 'Server error recording observation' });
+  }
+};
+
+// @desc    Get an emergency's message thread
+// @route   GET /api/emergency/:id/messages
+// @access  Private
+exports.getMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emergency = await Emergency.findById(req.params.id).select('patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
     }
 
-    // For simplicity, return the nearest hospital
-    // In a real app, you might want to check capacity and other factors
-    return hospitals[0];
+    if (!(await getParticipantRole(emergency, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to view messages for this emergency' });
+    }
+
+    const messages = await listMessages(emergency._id, {
+      since: req.query.since ? new Date(req.query.since) : undefined
+    });
+
+    res.json(messages);
   } catch (error) {
-    console.error('Find nearest hospital error:', error);
-    return null;
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-}
+};
 
-// Helper function to assign nearest available ambulance
-async function assignAmbulance(emergency) {
+// @desc    Post a message to an emergency's thread
+// @route   POST /api/emergency/:id/messages
+// @access  Private
+exports.postMessage = async (req, res) => {
   try {
-    // Find available ambulances for the hospital
-    const ambulance = await Ambulance.findOneAndUpdate(
-      {
-        hospital: emergency.hospital,
-        status: 'Available',
-        isActive: true
-      },
-      { status: 'On Duty', currentEmergency: emergency._id },
-      { new: true, sort: { 'currentLocation.coordinates': '2dsphere' } }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emergency = await Emergency.findById(req.params.id).select('status patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    const role = await getParticipantRole(emergency, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to post messages for this emergency' });
+    }
+
+    // The thread stays readable but is closed once the call is over
+    if (isTerminal(emergency.status)) {
+      return res.status(409).json({ message: `Emergency is already ${emergency.status.toLowerCase()}` });
+    }
+
+    const message = await postMessage(
+      emergency,
+      { user: req.user, role },
+      req.body.body,
+      req.app.get('io')
     );
 
-    if (ambulance) {
-      // Update emergency with assigned ambulance
-      emergency.assignedAmbulance = ambulance._id;
-      emergency.status = 'Dispatched';
-      
-      // Calculate ETA using Google Maps API
-      try {
-        const response = await client.directions({
-          params: {
-            origin: ambulance.currentLocation.coordinates.reverse().join(','),
-            destination: emergency.location.coordinates.join(','),
-            key: process.env.GOOGLE_MAPS_API_KEY,
-            mode: 'driving',
-            traffic_model: 'best_guess',
-            departure_time: 'now'
-          },
-          timeout: 1000
-        });
-
-        if (response.data.routes.length > 0) {
-          const duration = response.data.routes[0].legs[0].duration_in_traffic || 
-                          response.data.routes[0].legs[0].duration;
-          emergency.estimatedArrivalTime = new Date(Date.now() + duration.value * 1000);
-        }
-      } catch (mapsError) {
-        console.error('Error calculating ETA:', mapsError);
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Post message error:', error);
+    res.status(500).json({ message: 'Server error posting message' });
+  }
+};
+
+// @desc    Mark an emergency's messages as read
+// @route   PUT /api/emergency/:id/messages/read
+// @access  Private
+exports.markMessagesRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emergency = await Emergency.findById(req.params.id).select('patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (!(await getParticipantRole(emergency, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to read messages for this emergency' });
+    }
+
+    const result = await markMessagesRead(emergency, req.user, req.app.get('io'), {
+      upTo: req.body.upTo ? new Date(req.body.upTo) : undefined
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Attach a photo or document to an emergency
+// @route   POST /api/emergency/:id/attachments
+// @access  Private
+exports.uploadAttachment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    const emergency = await Emergency.findById(req.params.id).select('status patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    const role = await getParticipantRole(emergency, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to add attachments to this emergency' });
+    }
+
+    if (isTerminal(emergency.status)) {
+      return res.status(409).json({ message: `Emergency is already ${emergency.status.toLowerCase()}` });
+    }
+
+    const attachment = await addAttachment(
+      emergency,
+      { user: req.user, role },
+      req.file,
+      { category: req.body.category, description: req.body.description },
+      req.app.get('io')
+    );
+
+    res.status(201).json(attachment);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error uploading attachment' });
+  }
+};
+
+// @desc    Get an emergency's attachments
+// @route   GET /api/emergency/:id/attachments
+// @access  Private
+exports.getAttachments = async (req, res) => {
+  try {
+    const emergency = await Emergency.findById(req.params.id).select('patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (!(await getParticipantRole(emergency, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to view attachments for this emergency' });
+    }
+
+    res.json(await listAttachments(emergency._id));
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/emergency/:id/attachments/:attachmentId/download
+// @access  Private
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const emergency = await Emergency.findById(req.params.id).select('patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (!(await getParticipantRole(emergency, req.user))) {
+      return res.status(403).json({ message: 'Not authorized to view attachments for this emergency' });
+    }
+
+    const attachment = await findAttachment(emergency._id, req.params.attachmentId);
+
+    // Names stored before uploads were cleaned are cleaned again here
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(sanitizeFileName(attachment.originalName), { type: 'inline' }),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+
+    const stream = openAttachment(attachment);
+
+    stream.on('error', (error) => {
+      console.error('Read attachment error:', error);
+      if (!res.headersSent) {
+        ['Content-Type', 'Content-Length', 'Content-Disposition'].forEach(name => res.removeHeader(name));
+        res.status(404).json({ message: 'Attachment file not found' });
+      } else {
+        res.destroy(error);
       }
+    });
 
-      await emergency.save();
-      return ambulance;
+    stream.once('open', () => {
+      stream.pipe(res);
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
     }
-    
-    return null;
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove an attachment
+// @route   DELETE /api/emergency/:id/attachments/:attachmentId
+// @access  Private
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const emergency = await Emergency.findById(req.params.id).select('patient caller additionalCallers assignedAmbulance');
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    const attachment = await findAttachment(emergency._id, req.params.attachmentId);
+
+    // Uploaders remove their own files, admins any
+    if (attachment.uploadedBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to remove this attachment' });
+    }
+
+    await removeAttachment(attachment, req.app.get('io'));
+
+    res.json({ message: 'Attachment removed' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error removing attachment' });
+  }
+};
+
+// @desc    Acknowledge the pre-arrival handoff
+// @route   POST /api/emergency/:id/handoff/acknowledge
+// @access  Private/Hospital Admin
+exports.acknowledgeHandoff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const emergency = await Emergency.findById(req.params.id);
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    // Only the receiving hospital's admin may acknowledge
+    if (req.user.role === 'hospital_admin') {
+      const hospital = await Hospital.findById(emergency.receivingHospital || emergency.hospital).select('admin');
+      if (!hospital || hospital.admin.toString() !== req.user.id) {
+        return res.status(403).json({ message: 'Not authorized to acknowledge this handoff' });
+      }
+    }
+
+    if (!emergency.handoff?.sentAt) {
+      return res.status(409).json({ message: 'No handoff has been sent for this emergency' });
+    }
+
+    if (emergency.handoff.acknowledgedAt) {
+      return res.status(409).json({ message: 'Handoff has already been acknowledged' });
+    }
+
+    await acknowledgeHandoff(emergency, req.user, req.body.notes, req.app.get('io'));
+
+    res.json(emergency.handoff);
+  } catch (error) {
+    console.error('Acknowledge handoff error:', error);
+    res.status(500).json({ message: 'Server error acknowledging handoff' });
+  }
+};
+
+// @desc    Merge a duplicate report into another emergency
+// @route   POST /api/emergency/:id/merge
+// @access  Private/Hospital Admin
+exports.mergeEmergency = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetId } = req.body;
+
+    if (targetId === req.params.id) {
+      return res.status(400).json({ message: 'Cannot merge an emergency into itself' });
+    }
+
+    const [source, target] = await Promise.all([
+      Emergency.findById(req.params.id),
+      Emergency.findById(targetId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    // Merging cancels the source, so both sides must be the admin's
+    if (
+      !(await canManageHospital(req.user, source.hospital)) ||
+      !(await canManageHospital(req.user, target.hospital))
+    ) {
+      return res.status(403).json({ message: 'Not authorized to merge these emergencies' });
+    }
+
+    if (isTerminal(source.status) || isTerminal(target.status) || target.mergedInto) {
+      return res.status(409).json({ message: 'Only open emergencies can be merged' });
+    }
+
+    await mergeEmergencies(source, target, req.user, req.app.get('io'));
+
+    res.json(target);
   } catch (error) {
-    console.error('Assign ambulance error:', error);
-    return null;
+    if (error instanceof TransitionError) {
+      return res.status(error.code).json(error.toJSON());
+    }
+    console.error('Merge emergency error:', error);
+    res.status(500).json({ message: 'Server error merging emergencies' });
   }
-}
+};
+
+// @desc    Confirm a suspected duplicate is a separate emergency
+// @route   POST /api/emergency/:id/duplicate/clear
+// @access  Private/Hospital Admin
+exports.clearDuplicate = async (req, res) => {
+  try {
+    const emergency = await Emergency.findById(req.params.id);
+
+    if (!emergency) {
+      return res.status(404).json({ message: 'Emergency not found' });
+    }
+
+    if (!(await canManageHospital(req.user, emergency.hospital))) {
+      return res.status(403).json({ message: 'Not authorized to review this emergency' });
+    }
+
+    if (emergency.duplicateCheck?.status !== 'suspected') {
+      return res.status(409).json({ message: 'Emergency is not flagged as a duplicate' });
+    }
+
+    await clearDuplicate(emergency, req.user, req.app.get('io'));
+
+    res.json(emergency);
+  } catch (error) {
+    console.error('Clear duplicate error:', error);
+    res.status(500).json({ message: 'Server error clearing duplicate' });
+  }
+};
@@ -3,6 +3,10 @@ const Ambulance = require('../models/Ambulance');
 const Emergency = require('../models/Emergency');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const { CAPACITY_UNITS } = require('../utils/hospitalCapacity');
+const { SLA_METRICS, SLA_PRIORITIES } = require('../utils/slaMetrics');
+const { resolveTargets, buildComplianceReport } = require('../services/slaMonitor');
+const { summarizeFeedback } = require('../services/feedbackService');
 
 // @desc    Get all hospitals
 // @route   GET /api/hospital
@@ -110,6 +114,7 @@ exports.createHospital = async (req, res) => {
       address,
       facilities = [],
       workingHours,
+      mutualAid,
       admin
     } = req.body;
     
@@ -152,6 +157,7 @@ exports.createHospital = async (req, res) => {
         sunday: { open: '00:00', close: '23:59' },
         emergency: true
       },
+      mutualAid,
       admin,
       staff: [{
         user: admin,
@@ -202,6 +208,7 @@ exports.updateHospital = async (req, res) => {
       address,
       facilities,
       workingHours,
+      mutualAid,
       isActive
     } = req.body;
     
@@ -220,6 +227,7 @@ exports.updateHospital = async (req, res) => {
     }
     if (facilities) hospital.facilities = facilities;
     if (workingHours) hospital.workingHours = { ...hospital.workingHours, ...workingHours };
+    if (mutualAid?.enabled !== undefined) hospital.mutualAid.enabled = mutualAid.enabled;
     if (isActive !== undefined) hospital.isActive = isActive;
     
     const updatedHospital = await hospital.save();
@@ -231,6 +239,284 @@ exports.updateHospital = async (req, res) => {
   }
 };
 
+// @desc    Update hospital bed and equipment capacity
+// @route   PUT /api/hospital/:id/capacity
+// @access  Private/Hospital Admin
+exports.updateCapacity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const hospital = await Hospital.findById(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    // Check if user is authorized (admin or hospital admin of this hospital)
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to update this hospital' });
+    }
+    
+    // Only the units sent are changed
+    for (const unit of CAPACITY_UNITS) {
+      const update = req.body[unit];
+      if (!update) continue;
+      
+      const current = hospital.capacity[unit];
+      const total = update.total ?? current.total;
+      const available = update.available ?? current.available;
+      
+      if (available > total) {
+        return res.status(400).json({ message: `Available ${unit} cannot exceed total` });
+      }
+      
+      hospital.capacity[unit] = { total, available };
+    }
+    
+    hospital.capacity.updatedAt = new Date();
+    hospital.capacity.updatedBy = req.user.id;
+    
+    await hospital.save();
+    
+    // Dispatchers and crews pick hospitals from this, so tell everyone
+    req.app.get('io').emit('hospital_capacity_update', {
+      hospitalId: hospital._id,
+      name: hospital.name,
+      capacity: hospital.capacity
+    });
+    
+    res.json(hospital.capacity);
+  } catch (error) {
+    console.error('Update hospital capacity error:', error);
+    res.status(500).json({ message: 'Server error updating hospital capacity' });
+  }
+};
+
+// @desc    Get a hospital's response-time SLA targets
+// @route   GET /api/hospital/:id/sla
+// @access  Private/Hospital Admin
+exports.getSlaTargets = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id).select('name admin slaTargets');
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this hospital' });
+    }
+    
+    // Effective targets, with the hospital's own settings applied
+    res.json(Object.fromEntries(
+      SLA_PRIORITIES.map(priority => [priority, resolveTargets(hospital, priority)])
+    ));
+  } catch (error) {
+    console.error('Get SLA targets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a hospital's response-time SLA targets
+// @route   PUT /api/hospital/:id/sla
+// @access  Private/Hospital Admin
+exports.updateSlaTargets = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const hospital = await Hospital.findById(req.params.id);
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to update this hospital' });
+    }
+    
+    // Only the targets sent are changed; null goes back to the default
+    for (const priority of SLA_PRIORITIES) {
+      const update = req.body[priority];
+      if (!update) continue;
+      
+      for (const metric of SLA_METRICS) {
+        if (update[metric] !== undefined) {
+          hospital.set(`slaTargets.${priority}.${metric}`, update[metric]);
+        }
+      }
+    }
+    
+    await hospital.save();
+    
+    res.json(Object.fromEntries(
+      SLA_PRIORITIES.map(priority => [priority, resolveTargets(hospital, priority)])
+    ));
+  } catch (error) {
+    console.error('Update SLA targets error:', error);
+    res.status(500).json({ message: 'Server error updating SLA targets' });
+  }
+};
+
+// @desc    Get a hospital's monthly SLA compliance report
+// @route   GET /api/hospital/:id/sla/report
+// @access  Private/Hospital Admin
+exports.getSlaReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const hospital = await Hospital.findById(req.params.id).select('name admin slaTargets');
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this hospital' });
+    }
+    
+    // Defaults to the current month
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    
+    res.json(await buildComplianceReport(hospital, month));
+  } catch (error) {
+    console.error('Get SLA report error:', error);
+    res.status(500).json({ message: 'Server error generating SLA report' });
+  }
+};
+
+// @desc    Get patient feedback for a hospital and its crews
+// @route   GET /api/hospital/:id/feedback
+// @access  Private/Hospital Admin
+exports.getHospitalFeedback = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id).select('admin');
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this hospital' });
+    }
+    
+    const query = {
+      'feedback.submittedAt': { $ne: null },
+      $or: [{ 'feedback.hospital': hospital._id }, { 'feedback.crewHospital': hospital._id }]
+    };
+    
+    if (req.query.unanswered === 'true') {
+      query['feedback.response.at'] = null;
+    }
+    
+    const emergencies = await Emergency.find(query)
+      .select('patient priority completedAt feedback')
+      .populate('patient', 'name')
+      .populate('feedback.ambulance', 'vehicleNumber type')
+      .populate('feedback.driver', 'name')
+      .populate('feedback.response.by', 'name')
+      .sort({ 'feedback.submittedAt': -1 });
+    
+    res.json(emergencies);
+  } catch (error) {
+    console.error('Get hospital feedback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get average ratings for a hospital, its units and drivers
+// @route   GET /api/hospital/:id/feedback/summary
+// @access  Private/Hospital Admin
+exports.getFeedbackSummary = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const hospital = await Hospital.findById(req.params.id).select('name admin');
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to view this hospital' });
+    }
+    
+    const { from, to } = req.query;
+    
+    const summary = await summarizeFeedback(hospital._id, {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    });
+    
+    res.json({ hospitalId: hospital._id, name: hospital.name, ...summary });
+  } catch (error) {
+    console.error('Get feedback summary error:', error);
+    res.status(500).json({ message: 'Server error summarizing feedback' });
+  }
+};
+
+// @desc    Reply to a patient's feedback
+// @route   PUT /api/hospital/:id/feedback/:emergencyId/response
+// @access  Private/Hospital Admin
+exports.respondToFeedback = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const hospital = await Hospital.findById(req.params.id).select('admin');
+    
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    
+    if (req.user.role === 'hospital_admin' && hospital.admin.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to respond for this hospital' });
+    }
+    
+    const emergency = await Emergency.findOne({
+      _id: req.params.emergencyId,
+      'feedback.submittedAt': { $ne: null },
+      $or: [{ 'feedback.hospital': hospital._id }, { 'feedback.crewHospital': hospital._id }]
+    });
+    
+    if (!emergency) {
+      return res.status(404).json({ message: 'Feedback not found' });
+    }
+    
+    emergency.feedback.response = {
+      message: req.body.message,
+      by: req.user.id,
+      at: new Date()
+    };
+    
+    await emergency.save();
+    
+    // Let the patient see the reply
+    req.app.get('io').to(`user_${emergency.patient}`).emit('feedback_response', {
+      emergencyId: emergency._id,
+      response: emergency.feedback.response
+    });
+    
+    res.json(emergency.feedback);
+  } catch (error) {
+    console.error('Respond to feedback error:', error);
+    res.status(500).json({ message: 'Server error responding to feedback' });
+  }
+};
+
 // @desc    Delete hospital
 // @route   DELETE /api/hospital/:id
 // @access  Private/Admin
@@ -0,0 +1,469 @@
+const Incident = require('../models/Incident');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { validationResult } = require('express-validator');
+const NotificationService = require('../services/notificationService');
+const { canManageHospital, hasEmergencyRole } = require('../services/emergencyAccess');
+const {
+  attachAmbulances,
+  releaseAmbulances,
+  distributeCasualties,
+  buildDashboard
+} = require('../services/incidentService');
+
+/**
+ * Check whether a user may triage casualties on an incident: hospital and
+ * system admins, or a driver whose unit is committed to it
+ * @param {Object} user - Authenticated user
+ * @param {Object} incident - Incident document
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canTriage = async (user, incident) => {
+  if (user.role === 'admin' || user.role === 'hospital_admin') return true;
+  if (user.role !== 'driver') return false;
+
+  const ambulance = await Ambulance.findOne({ driver: user.id, currentIncident: incident._id });
+  return !!ambulance;
+};
+
+/**
+ * Load an incident for the dashboard with its references populated
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object|null>} Incident document or null
+ */
+const findPopulatedIncident = (incidentId) => {
+  return Incident.findById(incidentId)
+    .populate('commandHospital', 'name')
+    .populate('casualties.destinationHospital', 'name address')
+    .populate('casualties.ambulance', 'vehicleNumber')
+    .populate('ambulances.ambulance', 'vehicleNumber type status currentLocation')
+    .populate('ambulances.hospital', 'name');
+};
+
+/**
+ * Push the refreshed dashboard to everyone following the incident
+ * @param {Object} io - Socket.io server
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object|null>} Dashboard sent, or null
+ */
+const broadcastDashboard = async (io, incidentId) => {
+  const incident = await findPopulatedIncident(incidentId);
+  if (!incident) return null;
+
+  const dashboard = buildDashboard(incident);
+  await new NotificationService(io).notifyIncident(incidentId, 'incident_updated', dashboard);
+  return dashboard;
+};
+
+// @desc    Declare a mass-casualty incident
+// @route   POST /api/incident
+// @access  Private/Hospital Admin
+exports.createIncident = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, location, commandHospital } = req.body;
+
+    const incident = new Incident({
+      title,
+      description,
+      location: {
+        type: 'Point',
+        coordinates: location.coordinates,
+        address: location.address
+      },
+      commandHospital,
+      declaredBy: req.user.id
+    });
+    incident.logEvent('declared', `Declared by ${req.user.name}`);
+    await incident.save();
+
+    // Every hospital may be asked to send units or take patients
+    req.app.get('io').emit('incident_declared', {
+      incidentId: incident._id,
+      title: incident.title,
+      location: incident.location
+    });
+
+    res.status(201).json(incident);
+  } catch (error) {
+    console.error('Create incident error:', error);
+    res.status(500).json({ message: 'Server error creating incident' });
+  }
+};
+
+// @desc    Get incidents
+// @route   GET /api/incident
+// @access  Private
+exports.getIncidents = async (req, res) => {
+  try {
+    const { status = 'Active' } = req.query;
+
+    const incidents = await Incident.find({ status })
+      .select('title location status createdAt closedAt casualties.triageTag ambulances.releasedAt')
+      .sort({ createdAt: -1 });
+
+    res.json(incidents);
+  } catch (error) {
+    console.error('Get incidents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get incident by ID
+// @route   GET /api/incident/:id
+// @access  Private
+exports.getIncidentById = async (req, res) => {
+  try {
+    const incident = await findPopulatedIncident(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    res.json(incident);
+  } catch (error) {
+    console.error('Get incident error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get incident dashboard
+// @route   GET /api/incident/:id/dashboard
+// @access  Private
+exports.getIncidentDashboard = async (req, res) => {
+  try {
+    const incident = await findPopulatedIncident(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    res.json(buildDashboard(incident));
+  } catch (error) {
+    console.error('Get incident dashboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a casualty to an incident
+// @route   POST /api/incident/:id/casualties
+// @access  Private/Hospital Admin/Driver
+exports.addCasualty = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (incident.status !== 'Active') {
+      return res.status(409).json({ message: 'Incident is closed' });
+    }
+
+    if (!(await canTriage(req.user, incident))) {
+      return res.status(403).json({ message: 'Not authorized to triage on this incident' });
+    }
+
+    const { label, triageTag, description, emergencyId } = req.body;
+
+    // A casualty may already have been reported as a separate emergency
+    if (emergencyId) {
+      const emergency = await Emergency.findById(emergencyId);
+      if (!emergency) {
+        return res.status(404).json({ message: 'Emergency not found' });
+      }
+
+      // Drivers link their own call; admins an emergency of a hospital they manage
+      const canLink = req.user.role === 'driver'
+        ? await hasEmergencyRole(emergency, req.user, ['assigned_driver'])
+        : await canManageHospital(req.user, emergency.hospital);
+      if (!canLink) {
+        return res.status(403).json({ message: 'Not authorized to link this emergency' });
+      }
+
+      if (emergency.incident && !emergency.incident.equals(incident._id)) {
+        return res.status(409).json({ message: 'Emergency is already linked to another incident' });
+      }
+      emergency.incident = incident._id;
+      await emergency.save();
+    }
+
+    incident.casualties.push({
+      label,
+      triageTag,
+      description,
+      emergency: emergencyId || null,
+      // Deceased casualties are not transported
+      transportStatus: triageTag === 'deceased' ? 'not_transported' : 'awaiting',
+      taggedBy: req.user.id
+    });
+    incident.logEvent('casualty_tagged', `${label}: ${triageTag}`);
+    await incident.save();
+
+    await broadcastDashboard(req.app.get('io'), incident._id);
+
+    res.status(201).json(incident.casualties[incident.casualties.length - 1]);
+  } catch (error) {
+    console.error('Add casualty error:', error);
+    res.status(500).json({ message: 'Server error adding casualty' });
+  }
+};
+
+// @desc    Re-triage or update transport of a casualty
+// @route   PUT /api/incident/:id/casualties/:casualtyId
+// @access  Private/Hospital Admin/Driver
+exports.updateCasualty = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (incident.status !== 'Active') {
+      return res.status(409).json({ message: 'Incident is closed' });
+    }
+
+    if (!(await canTriage(req.user, incident))) {
+      return res.status(403).json({ message: 'Not authorized to triage on this incident' });
+    }
+
+    const casualty = incident.casualties.id(req.params.casualtyId);
+
+    if (!casualty) {
+      return res.status(404).json({ message: 'Casualty not found' });
+    }
+
+    const { triageTag, description, ambulance, destinationHospital, transportStatus } = req.body;
+
+    if (ambulance && !incident.ambulances.some(entry => entry.ambulance.equals(ambulance) && !entry.releasedAt)) {
+      return res.status(400).json({ message: 'Ambulance is not committed to this incident' });
+    }
+
+    if (triageTag && triageTag !== casualty.triageTag) {
+      incident.logEvent('casualty_retagged', `${casualty.label}: ${casualty.triageTag} -> ${triageTag}`);
+      casualty.triageTag = triageTag;
+      casualty.taggedBy = req.user.id;
+      casualty.taggedAt = new Date();
+    }
+    if (description !== undefined) casualty.description = description;
+    if (destinationHospital) casualty.destinationHospital = destinationHospital;
+    if (ambulance) {
+      casualty.ambulance = ambulance;
+      // Loading a casualty starts their transport
+      if (casualty.transportStatus === 'awaiting') casualty.transportStatus = 'in_transport';
+    }
+    if (transportStatus) casualty.transportStatus = transportStatus;
+
+    await incident.save();
+
+    await broadcastDashboard(req.app.get('io'), incident._id);
+
+    res.json(casualty);
+  } catch (error) {
+    console.error('Update casualty error:', error);
+    res.status(500).json({ message: 'Server error updating casualty' });
+  }
+};
+
+// @desc    Commit ambulances to an incident
+// @route   POST /api/incident/:id/ambulances
+// @access  Private/Hospital Admin
+exports.attachAmbulances = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (incident.status !== 'Active') {
+      return res.status(409).json({ message: 'Incident is closed' });
+    }
+
+    // Hospital admins can only commit their own hospitals' units
+    const requested = await Ambulance.find({ _id: { $in: req.body.ambulanceIds } }).select('hospital');
+    const allowed = [];
+    const forbidden = [];
+    for (const ambulance of requested) {
+      if (await canManageHospital(req.user, ambulance.hospital)) {
+        allowed.push(ambulance._id);
+      } else {
+        forbidden.push(ambulance._id);
+      }
+    }
+
+    if (allowed.length === 0 && forbidden.length > 0) {
+      return res.status(403).json({ message: 'Not authorized to commit these ambulances' });
+    }
+
+    const { attached, skipped } = await attachAmbulances(incident, allowed);
+    await incident.save();
+
+    const notificationService = new NotificationService(req.app.get('io'));
+    for (const ambulance of attached) {
+      await notificationService.notifyUser(ambulance.driver, 'incident_assignment', {
+        incidentId: incident._id,
+        title: incident.title,
+        location: incident.location
+      });
+    }
+
+    await broadcastDashboard(req.app.get('io'), incident._id);
+
+    // Unknown units are reported as skipped
+    const found = requested.map(ambulance => ambulance._id.toString());
+    res.json({
+      attached: attached.map(ambulance => ambulance._id),
+      skipped: [
+        ...skipped,
+        ...req.body.ambulanceIds.filter(ambulanceId => !found.includes(ambulanceId.toString()))
+      ],
+      forbidden
+    });
+  } catch (error) {
+    console.error('Attach incident ambulances error:', error);
+    res.status(500).json({ message: 'Server error attaching ambulances' });
+  }
+};
+
+// @desc    Release an ambulance from an incident
+// @route   DELETE /api/incident/:id/ambulances/:ambulanceId
+// @access  Private/Hospital Admin
+exports.releaseAmbulance = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (incident.status !== 'Active') {
+      return res.status(409).json({ message: 'Incident is closed' });
+    }
+
+    // Hospital admins can only release their own hospitals' units, as on attach
+    const ambulance = await Ambulance.findById(req.params.ambulanceId).select('hospital');
+
+    if (!ambulance) {
+      return res.status(404).json({ message: 'Ambulance not found' });
+    }
+
+    if (!(await canManageHospital(req.user, ambulance.hospital))) {
+      return res.status(403).json({ message: 'Not authorized to release this ambulance' });
+    }
+
+    const released = await releaseAmbulances(incident, req.app.get('io'), req.params.ambulanceId);
+
+    if (!released) {
+      return res.status(404).json({ message: 'Ambulance is not committed to this incident' });
+    }
+
+    await incident.save();
+
+    await broadcastDashboard(req.app.get('io'), incident._id);
+
+    res.json({ message: 'Ambulance released' });
+  } catch (error) {
+    console.error('Release incident ambulance error:', error);
+    res.status(500).json({ message: 'Server error releasing ambulance' });
+  }
+};
+
+// @desc    Spread unassigned casualties across hospitals by capacity
+// @route   POST /api/incident/:id/distribute
+// @access  Private/Hospital Admin
+exports.distributeCasualties = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (incident.status !== 'Active') {
+      return res.status(409).json({ message: 'Incident is closed' });
+    }
+
+    const { assigned, overCapacity } = await distributeCasualties(incident);
+    await incident.save();
+
+    // Tell each receiving hospital what is heading its way
+    const notificationService = new NotificationService(req.app.get('io'));
+    const byHospital = new Map();
+    for (const casualty of assigned) {
+      const key = casualty.destinationHospital.toString();
+      byHospital.set(key, [...(byHospital.get(key) || []), casualty]);
+    }
+    for (const [hospitalId, casualties] of byHospital) {
+      await notificationService.notifyHospital(hospitalId, 'incident_casualties_assigned', {
+        incidentId: incident._id,
+        title: incident.title,
+        casualties: casualties.map(({ _id, label, triageTag, description }) => ({
+          _id, label, triageTag, description
+        }))
+      });
+    }
+
+    await broadcastDashboard(req.app.get('io'), incident._id);
+
+    res.json({
+      assigned: assigned.length,
+      overCapacity: overCapacity.map(casualty => casualty.label),
+      casualties: assigned
+    });
+  } catch (error) {
+    console.error('Distribute casualties error:', error);
+    res.status(500).json({ message: 'Server error distributing casualties' });
+  }
+};
+
+// @desc    Close an incident and release its ambulances
+// @route   PUT /api/incident/:id/close
+// @access  Private/Hospital Admin
+exports.closeIncident = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (incident.status === 'Closed') {
+      return res.status(409).json({ message: 'Incident is already closed' });
+    }
+
+    await releaseAmbulances(incident, req.app.get('io'));
+
+    incident.status = 'Closed';
+    incident.closedAt = new Date();
+    incident.logEvent('closed', req.body.notes || `Closed by ${req.user.name}`);
+    await incident.save();
+
+    await broadcastDashboard(req.app.get('io'), incident._id);
+
+    res.json(incident);
+  } catch (error) {
+    console.error('Close incident error:', error);
+    res.status(500).json({ message: 'Server error closing incident' });
+  }
+};
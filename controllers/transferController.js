@@ -0,0 +1,310 @@
+const TransferRequest = require('../models/TransferRequest');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { canManageHospital } = require('../services/emergencyAccess');
+const { notifyTransferHospitals, dispatchTransfer } = require('../services/transferService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Load a transfer request for display with its references populated
+ * @param {string} transferId - Transfer request ID
+ * @returns {Promise<Object|null>} Transfer request document or null
+ */
+const findPopulatedTransfer = (transferId) => {
+  return TransferRequest.findById(transferId)
+    .populate('originHospital', 'name address contact')
+    .populate('destinationHospital', 'name address contact')
+    .populate('requestedBy', 'name')
+    .populate('decision.by', 'name')
+    .populate('patient', 'name phone medicalInfo')
+    .populate('emergency', 'status assignedAmbulance estimatedArrivalTime estimatedHospitalArrivalTime');
+};
+
+// @desc    Request a patient transfer to another hospital
+// @route   POST /api/transfer
+// @access  Private/Hospital Admin
+exports.createTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      originHospital,
+      destinationHospital,
+      patientId,
+      patientDetails,
+      clinicalSummary,
+      requiredUnit,
+      ambulanceType,
+      urgency
+    } = req.body;
+
+    if (originHospital === destinationHospital) {
+      return res.status(400).json({ message: 'Origin and destination must be different hospitals' });
+    }
+
+    if (!(await canManageHospital(req.user, originHospital))) {
+      return res.status(403).json({ message: 'Not authorized to request transfers for this hospital' });
+    }
+
+    if (!patientId && !patientDetails?.name) {
+      return res.status(400).json({ message: 'Patient ID or patient name is required' });
+    }
+
+    const [destination, patientExists] = await Promise.all([
+      Hospital.findOne({ _id: destinationHospital, isActive: true }).select('name capacity'),
+      patientId ? User.exists({ _id: patientId }) : true
+    ]);
+
+    if (!destination) {
+      return res.status(404).json({ message: 'Destination hospital not found' });
+    }
+
+    if (!patientExists) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const transfer = new TransferRequest({
+      originHospital,
+      destinationHospital,
+      requestedBy: req.user.id,
+      patient: patientId,
+      patientDetails,
+      clinicalSummary,
+      requiredUnit,
+      ambulanceType,
+      urgency
+    });
+    transfer.setStatus('Requested', `Requested by ${req.user.name}`);
+    await transfer.save();
+
+    // Destination sees its current availability of the unit asked for
+    await notifyTransferHospitals(req.app.get('io'), transfer, 'transfer_requested', {
+      urgency: transfer.urgency,
+      ambulanceType: transfer.ambulanceType,
+      requiredUnit: transfer.requiredUnit,
+      unitAvailable: requiredUnit ? destination.capacity?.[requiredUnit]?.available ?? null : null,
+      clinicalSummary: transfer.clinicalSummary
+    });
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    res.status(500).json({ message: 'Server error creating transfer request' });
+  }
+};
+
+// @desc    Get a hospital's incoming or outgoing transfers
+// @route   GET /api/transfer
+// @access  Private/Hospital Admin
+exports.getTransfers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hospital, direction, status } = req.query;
+
+    if (!(await canManageHospital(req.user, hospital))) {
+      return res.status(403).json({ message: 'Not authorized to view transfers for this hospital' });
+    }
+
+    const query = {};
+    if (direction === 'incoming') {
+      query.destinationHospital = hospital;
+    } else if (direction === 'outgoing') {
+      query.originHospital = hospital;
+    } else {
+      query.$or = [{ originHospital: hospital }, { destinationHospital: hospital }];
+    }
+    if (status) query.status = status;
+
+    const transfers = await TransferRequest.find(query)
+      .populate('originHospital', 'name')
+      .populate('destinationHospital', 'name')
+      .populate('patient', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(transfers);
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get transfer request by ID
+// @route   GET /api/transfer/:id
+// @access  Private/Hospital Admin
+exports.getTransferById = async (req, res) => {
+  try {
+    const transfer = await findPopulatedTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer request not found' });
+    }
+
+    const allowed = await canManageHospital(req.user, transfer.originHospital._id) ||
+      await canManageHospital(req.user, transfer.destinationHospital._id);
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized to view this transfer' });
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Accept a transfer and dispatch a unit to the origin hospital
+// @route   PUT /api/transfer/:id/accept
+// @access  Private/Hospital Admin
+exports.acceptTransfer = async (req, res) => {
+  try {
+    const transfer = await TransferRequest.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer request not found' });
+    }
+
+    // Only the receiving hospital's admin decides
+    if (!(await canManageHospital(req.user, transfer.destinationHospital))) {
+      return res.status(403).json({ message: 'Not authorized to accept this transfer' });
+    }
+
+    const notes = req.body.notes || `Accepted by ${req.user.name}`;
+
+    // Claimed atomically so a second accept cannot dispatch another unit
+    const accepted = await TransferRequest.findOneAndUpdate(
+      { _id: transfer._id, status: 'Requested' },
+      {
+        status: 'Accepted',
+        decision: { by: req.user.id, at: new Date(), notes: req.body.notes },
+        $push: { timeline: { status: 'Accepted', notes } }
+      },
+      { new: true }
+    );
+
+    if (!accepted) {
+      return res.status(409).json({ message: 'Transfer has already been decided' });
+    }
+
+    const io = req.app.get('io');
+    await notifyTransferHospitals(io, accepted);
+
+    await dispatchTransfer(accepted, io);
+    await notifyTransferHospitals(io, accepted);
+
+    res.json(await findPopulatedTransfer(transfer._id));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Accept transfer error:', error);
+    res.status(500).json({ message: 'Server error accepting transfer' });
+  }
+};
+
+// @desc    Reject a transfer
+// @route   PUT /api/transfer/:id/reject
+// @access  Private/Hospital Admin
+exports.rejectTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transfer = await TransferRequest.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer request not found' });
+    }
+
+    if (!(await canManageHospital(req.user, transfer.destinationHospital))) {
+      return res.status(403).json({ message: 'Not authorized to reject this transfer' });
+    }
+
+    if (transfer.status !== 'Requested') {
+      return res.status(409).json({ message: `Transfer is already ${transfer.status.toLowerCase()}` });
+    }
+
+    // Only while still requested; another admin may have accepted it meanwhile
+    const rejected = await TransferRequest.findOneAndUpdate(
+      { _id: transfer._id, status: 'Requested' },
+      {
+        status: 'Rejected',
+        decision: { by: req.user.id, at: new Date(), notes: req.body.reason },
+        $push: { timeline: { status: 'Rejected', notes: req.body.reason } }
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({ message: 'Transfer has already been decided' });
+    }
+
+    await notifyTransferHospitals(req.app.get('io'), rejected, 'transfer_updated', {
+      reason: req.body.reason
+    });
+
+    res.json(rejected);
+  } catch (error) {
+    console.error('Reject transfer error:', error);
+    res.status(500).json({ message: 'Server error rejecting transfer' });
+  }
+};
+
+// @desc    Withdraw a transfer request
+// @route   PUT /api/transfer/:id/cancel
+// @access  Private/Hospital Admin
+exports.cancelTransfer = async (req, res) => {
+  try {
+    const transfer = await TransferRequest.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer request not found' });
+    }
+
+    if (!(await canManageHospital(req.user, transfer.originHospital))) {
+      return res.status(403).json({ message: 'Not authorized to cancel this transfer' });
+    }
+
+    // Once a unit is on its way the run is cancelled through its emergency
+    if (transfer.status !== 'Requested') {
+      return res.status(409).json({
+        message: transfer.emergency
+          ? 'Transfer has been dispatched, cancel its emergency instead'
+          : `Transfer is already ${transfer.status.toLowerCase()}`,
+        emergencyId: transfer.emergency
+      });
+    }
+
+    // Only while still requested; the destination may have accepted it meanwhile
+    const cancelled = await TransferRequest.findOneAndUpdate(
+      { _id: transfer._id, status: 'Requested' },
+      {
+        status: 'Cancelled',
+        $push: {
+          timeline: { status: 'Cancelled', notes: req.body.reason || `Withdrawn by ${req.user.name}` }
+        }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Transfer has already been decided' });
+    }
+
+    await notifyTransferHospitals(req.app.get('io'), cancelled);
+
+    res.json(cancelled);
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ message: 'Server error cancelling transfer' });
+  }
+};
@@ -0,0 +1,314 @@
+const TransportBooking = require('../models/TransportBooking');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const NotificationService = require('../services/notificationService');
+const {
+  scheduleBooking,
+  saveScheduledBooking,
+  getFleetSchedule
+} = require('../services/transportBookings');
+const { canManageHospital } = require('../services/emergencyAccess');
+const { AppError } = require('../middleware/errorHandler');
+
+// Fields that move a booking in the fleet schedule when changed
+const SCHEDULE_FIELDS = ['pickupTime', 'durationMinutes', 'ambulanceType'];
+
+/**
+ * Check whether a user may view a booking: its hospital's admins, or the patient
+ * @param {Object} user - Authenticated user
+ * @param {Object} booking - Transport booking document
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canViewBooking = async (user, booking) => {
+  const patientId = booking.patient?._id || booking.patient;
+  if (patientId && patientId.toString() === user.id) return true;
+
+  return canManageHospital(user, booking.hospital._id || booking.hospital);
+};
+
+// @desc    Book a scheduled transport
+// @route   POST /api/transport
+// @access  Private/Hospital Admin
+exports.createBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      hospital,
+      patientId,
+      patientDetails,
+      contact,
+      purpose,
+      pickup,
+      dropoff,
+      pickupTime,
+      durationMinutes,
+      ambulanceType,
+      notes
+    } = req.body;
+
+    if (!(await canManageHospital(req.user, hospital))) {
+      return res.status(403).json({ message: 'Not authorized to book transports for this hospital' });
+    }
+
+    if (!patientId && !patientDetails?.name) {
+      return res.status(400).json({ message: 'Patient ID or patient name is required' });
+    }
+
+    if (patientId && !(await User.exists({ _id: patientId }))) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const booking = new TransportBooking({
+      hospital,
+      bookedBy: req.user.id,
+      patient: patientId,
+      patientDetails,
+      contact,
+      purpose,
+      pickup: {
+        type: 'Point',
+        coordinates: pickup.coordinates,
+        address: pickup.address,
+        additionalInfo: pickup.additionalInfo
+      },
+      dropoff: {
+        type: 'Point',
+        coordinates: dropoff.coordinates,
+        address: dropoff.address,
+        hospital: dropoff.hospital
+      },
+      pickupTime,
+      durationMinutes,
+      ambulanceType,
+      notes
+    });
+
+    const { ambulance, booking: saved } = await scheduleBooking(booking);
+
+    await new NotificationService(req.app.get('io')).notifyUser(ambulance.driver, 'transport_booked', {
+      bookingId: saved._id,
+      pickupTime: saved.pickupTime,
+      pickupAddress: saved.pickup.address
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Create transport booking error:', error);
+    res.status(500).json({ message: 'Server error creating transport booking' });
+  }
+};
+
+// @desc    Get a hospital's transport bookings
+// @route   GET /api/transport
+// @access  Private/Hospital Admin
+exports.getBookings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hospital, status, from, to } = req.query;
+
+    if (!(await canManageHospital(req.user, hospital))) {
+      return res.status(403).json({ message: 'Not authorized to view transports for this hospital' });
+    }
+
+    const query = { hospital };
+    if (status) query.status = status;
+    if (from || to) {
+      query.pickupTime = {};
+      if (from) query.pickupTime.$gte = new Date(from);
+      if (to) query.pickupTime.$lte = new Date(to);
+    }
+
+    const bookings = await TransportBooking.find(query)
+      .populate('patient', 'name phone')
+      .populate('ambulance', 'vehicleNumber type')
+      .sort({ pickupTime: 1 });
+
+    res.json(bookings);
+  } catch (error) {
+    console.error('Get transport bookings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the fleet's booked transports for a period
+// @route   GET /api/transport/schedule
+// @access  Private/Hospital Admin
+exports.getFleetSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { hospital } = req.query;
+
+    if (!(await canManageHospital(req.user, hospital))) {
+      return res.status(403).json({ message: 'Not authorized to view transports for this hospital' });
+    }
+
+    // Defaults to the next 24 hours
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 86400000);
+
+    res.json({
+      from,
+      to,
+      ambulances: await getFleetSchedule(hospital, from, to)
+    });
+  } catch (error) {
+    console.error('Get fleet schedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get transport booking by ID
+// @route   GET /api/transport/:id
+// @access  Private
+exports.getBookingById = async (req, res) => {
+  try {
+    const booking = await TransportBooking.findById(req.params.id)
+      .populate('patient', 'name phone')
+      .populate('hospital', 'name address')
+      .populate('dropoff.hospital', 'name address')
+      .populate('ambulance', 'vehicleNumber type');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Transport booking not found' });
+    }
+
+    if (!(await canViewBooking(req.user, booking))) {
+      return res.status(403).json({ message: 'Not authorized to view this booking' });
+    }
+
+    res.json(booking);
+  } catch (error) {
+    console.error('Get transport booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update or reschedule a transport booking
+// @route   PUT /api/transport/:id
+// @access  Private/Hospital Admin
+exports.updateBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await TransportBooking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Transport booking not found' });
+    }
+
+    if (!(await canManageHospital(req.user, booking.hospital))) {
+      return res.status(403).json({ message: 'Not authorized to update this booking' });
+    }
+
+    // Once dispatched the trip is managed as an emergency
+    if (booking.status !== 'Scheduled') {
+      return res.status(409).json({ message: `Booking is already ${booking.status.toLowerCase()}` });
+    }
+
+    const { contact, pickup, dropoff, notes } = req.body;
+
+    // Addresses are replaced whole
+    if ((pickup && !(pickup.coordinates && pickup.address)) ||
+      (dropoff && !(dropoff.coordinates && dropoff.address))) {
+      return res.status(400).json({ message: 'Pickup and drop-off need both coordinates and an address' });
+    }
+
+    if (contact) booking.contact = contact;
+    if (notes !== undefined) booking.notes = notes;
+    if (pickup) {
+      booking.pickup = { type: 'Point', ...pickup };
+    }
+    if (dropoff) {
+      booking.dropoff = { type: 'Point', ...dropoff };
+    }
+
+    const rescheduled = SCHEDULE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (rescheduled.length === 0) {
+      return res.json(await saveScheduledBooking(booking));
+    }
+
+    const previousPickup = booking.pickupTime.getTime();
+    rescheduled.forEach(field => { booking[field] = req.body[field]; });
+
+    // Reminders start over for the new time
+    if (booking.pickupTime.getTime() !== previousPickup) {
+      booking.remindersSent = [];
+    }
+
+    const { booking: saved } = await scheduleBooking(booking);
+
+    res.json(saved);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.code).json({ message: error.message });
+    }
+    console.error('Update transport booking error:', error);
+    res.status(500).json({ message: 'Server error updating transport booking' });
+  }
+};
+
+// @desc    Cancel a transport booking
+// @route   PUT /api/transport/:id/cancel
+// @access  Private/Hospital Admin
+exports.cancelBooking = async (req, res) => {
+  try {
+    const booking = await TransportBooking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Transport booking not found' });
+    }
+
+    if (!(await canManageHospital(req.user, booking.hospital))) {
+      return res.status(403).json({ message: 'Not authorized to cancel this booking' });
+    }
+
+    // A dispatched booking is cancelled through its emergency
+    if (booking.status !== 'Scheduled') {
+      return res.status(409).json({
+        message: booking.status === 'Dispatched'
+          ? 'Booking has been dispatched, cancel its emergency instead'
+          : `Booking is already ${booking.status.toLowerCase()}`,
+        emergencyId: booking.emergency
+      });
+    }
+
+    // Only while still scheduled; the sweep may dispatch it meanwhile
+    const cancelled = await TransportBooking.findOneAndUpdate(
+      { _id: booking._id, status: 'Scheduled' },
+      {
+        status: 'Cancelled',
+        cancelledAt: new Date(),
+        cancellationReason: req.body.reason,
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Booking is no longer scheduled' });
+    }
+
+    res.json(cancelled);
+  } catch (error) {
+    console.error('Cancel transport booking error:', error);
+    res.status(500).json({ message: 'Server error cancelling transport booking' });
+  }
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findTrackedEmergency } = require('../services/guestTracking');
 
 // @desc    Protect routes
 const protect = async (req, res, next) => {
@@ -80,4 +81,27 @@ const checkOwnership = (model, paramName = 'id') => {
   };
 };
 
-module.exports = { protect, authorize, checkOwnership };
+// @desc    Allow a guest caller to reach the emergency they reported
+// with its tracking token (X-Tracking-Token header) instead of a JWT
+const trackingAccess = (paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const emergency = await findTrackedEmergency(
+        req.params[paramName],
+        req.headers['x-tracking-token']
+      );
+
+      if (!emergency) {
+        return res.status(401).json({ message: 'Invalid or expired tracking token' });
+      }
+
+      req.emergency = emergency;
+      next();
+    } catch (error) {
+      console.error('Tracking token error:', error);
+      res.status(500).json({ message: 'Server error during tracking token check' });
+    }
+  };
+};
+
+module.exports = { protect, authorize, checkOwnership, trackingAccess };
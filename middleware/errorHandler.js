@@ -58,6 +58,16 @@ const errorResponse = (err) => {
     // Forbidden error
     response.message = err.message || 'Access denied';
     response.code = 403;
+  } else if (err.name === 'TransitionError') {
+    // Emergency lifecycle error
+    response.errors = [{
+      field: 'status',
+      message: err.message,
+      value: err.to,
+      from: err.from,
+      allowedTransitions: err.allowedTransitions,
+      allowedRoles: err.allowedRoles
+    }];
   }
 
   return response;
@@ -167,6 +177,38 @@ class ValidationError extends AppError {
   }
 }
 
+class TransitionError extends AppError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Transition details
+   * @param {string} details.from - Current status
+   * @param {string} details.to - Requested status
+   * @param {Array<string>} details.allowedTransitions - Statuses reachable from the current one
+   * @param {Array<string>} details.allowedRoles - Roles that may make the requested transition
+   * @param {number} statusCode - 409 for an illegal transition, 403 for a disallowed role
+   */
+  constructor(message, { from, to, allowedTransitions = [], allowedRoles = [] }, statusCode = 409) {
+    super(message, statusCode);
+    this.name = 'TransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowedTransitions = allowedTransitions;
+    this.allowedRoles = allowedRoles;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      message: this.message,
+      error: this.code === 403 ? 'TRANSITION_FORBIDDEN' : 'INVALID_TRANSITION',
+      from: this.from,
+      to: this.to,
+      allowedTransitions: this.allowedTransitions,
+      allowedRoles: this.allowedRoles
+    };
+  }
+}
+
 module.exports = {
   errorHandler,
   notFoundHandler,
@@ -176,5 +218,6 @@ module.exports = {
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
-  ValidationError
+  ValidationError,
+  TransitionError
 };
@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const { logWarning } = require('../utils/logger');
+const { formatPhoneNumber } = require('../utils/helpers');
 
 // Rate limiting configuration
 const apiLimiter = rateLimit({
@@ -42,7 +43,50 @@ const authLimiter = rateLimit({
   }
 });
 
+// Guest emergency requests, per caller IP
+const guestIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 guest requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many emergency requests from this IP, please call your local emergency number'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logWarning('Guest IP rate limit exceeded', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method
+    });
+    res.status(options.statusCode).json(options.message);
+  }
+});
+
+// Guest verification codes, per phone number
+const guestPhoneLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each phone to 5 codes per windowMs
+  keyGenerator: (req) => formatPhoneNumber(req.body.phone || ''),
+  message: {
+    success: false,
+    message: 'Too many verification codes sent to this number, please call your local emergency number'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logWarning('Guest phone rate limit exceeded', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method
+    });
+    res.status(options.statusCode).json(options.message);
+  }
+});
+
 module.exports = {
   apiLimiter,
-  authLimiter
+  authLimiter,
+  guestIpLimiter,
+  guestPhoneLimiter
 };
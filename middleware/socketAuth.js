@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Emergency = require('../models/Emergency');
+const { getParticipantRole, canManageHospital } = require('../services/emergencyAccess');
+const { findTrackedEmergency } = require('../services/guestTracking');
+
+// Roles that follow mass-casualty incidents, as on the incident routes
+const INCIDENT_ROLES = ['hospital_admin', 'admin', 'driver'];
+
+const ROOM_PATTERN = /^(emergency|hospital|user|incident)_([a-f0-9]{24})$/;
+
+// @desc    Authenticate a socket from its handshake: a JWT (auth.token), or
+// a guest caller's tracking token (auth.trackingToken) for their emergency
+const authenticateSocket = async (socket, next) => {
+  const { token, trackingToken } = socket.handshake.auth || {};
+
+  try {
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+
+      if (!user) {
+        return next(new Error('Not authorized, user not found'));
+      }
+
+      socket.data.user = { id: user._id.toString(), role: user.role, name: user.name };
+      return next();
+    }
+
+    if (trackingToken) {
+      socket.data.trackingToken = trackingToken;
+      return next();
+    }
+
+    next(new Error('Not authorized, no token'));
+  } catch (error) {
+    console.error('Socket authentication error:', error.message);
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+/**
+ * Check whether a socket may join a room: an emergency it takes part in
+ * (or tracks as a guest), a hospital it administers, its own user room,
+ * or an incident if its role follows incidents
+ * @param {Object} socket - Authenticated socket
+ * @param {string} room - Room name, e.g. emergency_<id>
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canJoinRoom = async (socket, room) => {
+  const match = ROOM_PATTERN.exec(room);
+  if (!match) return false;
+
+  const [, kind, id] = match;
+  const { user, trackingToken } = socket.data;
+
+  if (!user) {
+    return kind === 'emergency' && !!(await findTrackedEmergency(id, trackingToken));
+  }
+
+  switch (kind) {
+    case 'emergency': {
+      const emergency = await Emergency.findById(id)
+        .select('patient caller additionalCallers assignedAmbulance');
+      return !!emergency && (await getParticipantRole(emergency, user)) !== null;
+    }
+    case 'hospital':
+      return canManageHospital(user, id);
+    case 'user':
+      return id === user.id;
+    case 'incident':
+      return INCIDENT_ROLES.includes(user.role);
+    default:
+      return false;
+  }
+};
+
+module.exports = { authenticateSocket, canJoinRoom };
@@ -0,0 +1,64 @@
+const multer = require('multer');
+const attachmentConfig = require('../config/attachments');
+const { getMimeType, sniffMimeType, sanitizeFileName } = require('../utils/helpers');
+
+// Files are held in memory and written out by the storage backend
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentConfig.maxFileSizeMb * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // The declared type must be allowed and agree with the file extension
+    const allowed = attachmentConfig.allowedTypes.includes(file.mimetype) &&
+      getMimeType(file.originalname) === file.mimetype;
+
+    if (!allowed) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Messages returned for rejected uploads
+const uploadErrors = {
+  LIMIT_FILE_SIZE: `File must be at most ${attachmentConfig.maxFileSizeMb} MB`,
+  LIMIT_FILE_COUNT: 'Only one file can be uploaded at a time',
+  LIMIT_UNEXPECTED_FILE: `File must be one of ${attachmentConfig.allowedTypes.join(', ')}`,
+  CONTENT_MISMATCH: 'File contents do not match its type'
+};
+
+/**
+ * Middleware accepting a single attachment in the given form field.
+ * Rejected uploads get a 400 instead of reaching the error handler. The
+ * file's leading bytes must match its declared type, and its name is
+ * cleaned before anything stores or shows it.
+ * @param {string} field - Form field name
+ * @returns {Function} Express middleware function
+ */
+const uploadAttachment = (field = 'file') => {
+  const handler = attachmentUpload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: uploadErrors[error.code] || error.message });
+      }
+      if (error || !req.file) {
+        return next(error);
+      }
+
+      if (sniffMimeType(req.file.buffer) !== req.file.mimetype) {
+        return res.status(400).json({ message: uploadErrors.CONTENT_MISMATCH });
+      }
+
+      req.file.originalname = sanitizeFileName(req.file.originalname);
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadAttachment
+};
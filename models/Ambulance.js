@@ -55,7 +55,7 @@ const ambulanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Available', 'On Duty', 'In Maintenance', 'Unavailable'],
+    enum: ['Available', 'Offered', 'On Duty', 'In Maintenance', 'Unavailable'],
     default: 'Available'
   },
   isActive: {
@@ -67,6 +67,17 @@ const ambulanceSchema = new mongoose.Schema({
     ref: 'Emergency',
     default: null
   },
+  // Mass-casualty incident the unit is committed to
+  currentIncident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  // Held while a transport booking is written to the unit's schedule
+  scheduleLockedUntil: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,10 +1,54 @@
 const mongoose = require('mongoose');
+const {
+  STATUSES,
+  STATUS_TIMESTAMPS,
+  assertTransition
+} = require('../utils/emergencyTransitions');
+const { REASON_CODES } = require('../utils/cancellationReasons');
+const { SLA_METRICS } = require('../utils/slaMetrics');
+const { RATING_CATEGORIES, MIN_RATING, MAX_RATING } = require('../utils/feedbackRatings');
 
 const emergencySchema = new mongoose.Schema({
+  // Registered user who requested help, may differ from the patient
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   patient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Patient is required']
+    // Guest requests and unregistered patients are described in patientDetails
+    required: [function() { return !this.isGuest && !this.patientDetails?.name; }, 'Patient is required']
+  },
+  // Reported by a bystander without an account
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+  // Verified phone of whoever reported a guest emergency
+  callerContact: {
+    name: String,
+    phone: String,
+    verifiedAt: Date
+  },
+  // Stand-in for the patient record when the patient is not a registered user
+  patientDetails: {
+    name: String,
+    approximateAge: Number,
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other', 'unknown']
+    },
+    knownConditions: [String],
+    description: String
+  },
+  // Scoped token a guest caller uses instead of a JWT to track the emergency
+  guestAccess: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
   },
   location: {
     type: {
@@ -28,27 +72,280 @@ const emergencySchema = new mongoose.Schema({
     ref: 'Hospital',
     required: [true, 'Hospital is required']
   },
+  // Hospital that takes the patient in
+  receivingHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  // Why the receiving hospital was chosen
+  destinationReasoning: {
+    matchedRules: [String],
+    requiredFacilities: [String],
+    requiredCapacity: [String],
+    searchRadiusKm: Number,
+    candidatesConsidered: Number,
+    distanceKm: Number,
+    occupancy: Number,
+    missingFacilities: [String],
+    atCapacity: Boolean,
+    summary: String,
+    decidedAt: Date
+  },
+  // Hospital that lent the assigned unit under mutual aid, if not the home fleet
+  lendingHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    default: null
+  },
+  // Mass-casualty incident this patient is part of
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  // Scheduled transport this dispatch was created from
+  transportBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransportBooking',
+    default: null
+  },
+  // Inter-facility transfer this dispatch moves the patient for
+  transferRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransferRequest',
+    default: null
+  },
+  // Only units of this type are dispatched, e.g. for a booked transport
+  requiredAmbulanceType: {
+    type: String,
+    enum: ['Basic', 'Advanced', 'Mobile ICU', 'Neonatal']
+  },
+  // Possible duplicate report of an open emergency, held back from dispatch
+  duplicateCheck: {
+    status: {
+      type: String,
+      enum: ['suspected', 'cleared', 'merged']
+    },
+    candidates: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency'
+    }],
+    checkedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Emergency this report was merged into
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    default: null
+  },
+  // Callers of duplicate reports merged into this emergency
+  additionalCallers: [{
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    callerContact: {
+      name: String,
+      phone: String
+    },
+    reportedAt: Date,
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   assignedAmbulance: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Ambulance'
   },
+  // Driver crewing the assigned unit when it accepted the call
+  assignedDriver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Why the assigned ambulance was picked
+  dispatchScore: {
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance'
+    },
+    total: Number,
+    distanceKm: Number,
+    components: {
+      distance: Number,
+      typeFit: Number,
+      equipment: Number,
+      freshness: Number
+    },
+    weights: {
+      distance: Number,
+      typeFit: Number,
+      equipment: Number,
+      freshness: Number
+    },
+    candidatesConsidered: Number,
+    mutualAidRingKm: Number,
+    scoredAt: Date
+  },
+  // Open offer awaiting the driver's accept or decline
+  dispatchOffer: {
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  offerHistory: [{
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance'
+    },
+    offeredAt: Date,
+    respondedAt: Date,
+    outcome: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'timeout'],
+      default: 'pending'
+    },
+    reason: String
+  }],
+  // Retries made by the dispatch queue while no unit was free
+  dispatchAttempts: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date
+  },
+  // Steps taken while the emergency waited in Pending (see config/escalation)
+  escalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    searchRadiusKm: Number,
+    widenedAt: Date,
+    alertedAt: Date,
+    pagedAt: Date
+  },
   status: {
     type: String,
-    enum: ['Pending', 'Dispatched', 'In Transit', 'Completed', 'Cancelled'],
+    enum: STATUSES,
     default: 'Pending'
   },
+  // Effective priority: the triage result, or a staff override of it
   priority: {
     type: String,
     enum: ['Low', 'Medium', 'High', 'Critical'],
     default: 'Medium'
   },
+  // Priority the caller asked for, kept for audit only
+  reportedPriority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical']
+  },
+  // Server-side triage of the caller's answers
+  triage: {
+    answers: {
+      conscious: Boolean,
+      breathing: Boolean,
+      breathingDifficulty: Boolean,
+      chestPain: Boolean,
+      bleeding: {
+        type: String,
+        enum: ['none', 'minor', 'severe']
+      },
+      age: Number
+    },
+    score: Number,
+    computedPriority: {
+      type: String,
+      enum: ['Low', 'Medium', 'High', 'Critical']
+    },
+    suggestedAmbulanceType: {
+      type: String,
+      enum: ['Basic', 'Advanced', 'Mobile ICU', 'Neonatal']
+    },
+    matchedRules: [{
+      rule: String,
+      reason: String,
+      score: Number
+    }],
+    rulesVersion: String,
+    assessedAt: Date
+  },
+  // Staff changes to the triaged priority
+  priorityOverrides: [{
+    from: String,
+    to: String,
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   medicalInfo: {
     condition: String,
     symptoms: [String],
     notes: String
   },
+  // SLA alerts already sent, so each goes out once
+  slaAlerts: Object.fromEntries(SLA_METRICS.map(metric => [metric, {
+    warnedAt: Date,
+    breachedAt: Date
+  }])),
+  // Vitals and notes recorded by the crew
+  observations: [{
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    vitals: {
+      heartRate: Number,
+      systolicBP: Number,
+      diastolicBP: Number,
+      respiratoryRate: Number,
+      oxygenSaturation: Number,
+      temperature: Number,
+      bloodGlucose: Number,
+      gcs: Number
+    },
+    notes: String
+  }],
+  // Pre-arrival handoff to the receiving hospital
+  handoff: {
+    sentAt: Date,
+    lastSentAt: Date,
+    acknowledgedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  },
   timeline: [{
     status: String,
+    // Set for entries that record a dispatch event rather than a status change
+    event: String,
     timestamp: {
       type: Date,
       default: Date.now
@@ -63,16 +360,101 @@ const emergencySchema = new mongoose.Schema({
     notes: String
   }],
   estimatedArrivalTime: Date,
-  actualArrivalTime: Date,
+  estimatedHospitalArrivalTime: Date,
+  // First ETA for each leg, used to tell whether the unit is running late
+  etaBaseline: {
+    scene: Date,
+    hospital: Date
+  },
+  // ETAs recalculated from live ambulance positions
+  etaHistory: [{
+    target: {
+      type: String,
+      enum: ['scene', 'hospital']
+    },
+    eta: Date,
+    distanceKm: Number,
+    provider: String,
+    computedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  runningLate: {
+    isLate: {
+      type: Boolean,
+      default: false
+    },
+    target: String,
+    delayMinutes: Number,
+    flaggedAt: Date
+  },
+  // Lifecycle milestones, see STATUS_TIMESTAMPS
+  dispatchedAt: Date,
+  enRouteAt: Date,
+  onSceneAt: Date,
+  patientLoadedAt: Date,
+  atHospitalAt: Date,
+  handedOverAt: Date,
+  // Crew cleared and unit back in service
   completedAt: Date,
+  cancelledAt: Date,
+  // Same as onSceneAt, kept for existing clients
+  actualArrivalTime: Date,
+  // Why and by whom the emergency was cancelled
+  cancellation: {
+    reason: {
+      type: String,
+      enum: REASON_CODES
+    },
+    notes: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Lifecycle role the cancellation was made under, e.g. patient or hospital_admin
+    cancelledByRole: String
+  },
   feedback: {
+    // Overall rating, the mean of the category ratings
     rating: {
       type: Number,
-      min: 1,
-      max: 5
+      min: MIN_RATING,
+      max: MAX_RATING
     },
+    ratings: Object.fromEntries(RATING_CATEGORIES.map(category => [category, {
+      type: Number,
+      min: MIN_RATING,
+      max: MAX_RATING
+    }])),
     comments: String,
-    submittedAt: Date
+    // Who is rated, fixed when the feedback is given
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance'
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    crewHospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
+    submittedAt: Date,
+    // Hospital's reply to the patient
+    response: {
+      message: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: Date
+    }
   },
   createdAt: {
     type: Date,
@@ -82,19 +464,53 @@ const emergencySchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Seconds between two milestones, or null if either has not happened
+const secondsBetween = (start, end) => {
+  return start && end ? Math.round((end - start) / 1000) : null;
+};
+
+// Response and turnaround times derived from the milestones
+emergencySchema.virtual('metrics').get(function() {
+  return {
+    timeToDispatch: secondsBetween(this.createdAt, this.dispatchedAt),
+    responseTime: secondsBetween(this.createdAt, this.onSceneAt),
+    timeOnScene: secondsBetween(this.onSceneAt, this.patientLoadedAt),
+    transportTime: secondsBetween(this.patientLoadedAt, this.atHospitalAt),
+    handoverTime: secondsBetween(this.atHospitalAt, this.handedOverAt),
+    turnaroundTime: secondsBetween(this.atHospitalAt, this.completedAt),
+    totalTime: secondsBetween(this.createdAt, this.completedAt)
+  };
 });
 
 // Create index for geospatial queries
 emergencySchema.index({ 'location.coordinates': '2dsphere' });
 
+// Indexes for listing a user's emergencies
+emergencySchema.index({ patient: 1, createdAt: -1 });
+emergencySchema.index({ caller: 1, createdAt: -1 });
+
+// Index for reading the dispatch queue
+emergencySchema.index({ status: 1, hospital: 1, createdAt: 1 });
+// Feedback lists and ratings per hospital
+emergencySchema.index({ 'feedback.hospital': 1, 'feedback.submittedAt': -1 }, { sparse: true });
+emergencySchema.index({ 'feedback.crewHospital': 1, 'feedback.submittedAt': -1 }, { sparse: true });
+
 // Update the updatedAt field before saving
-documentSchema.pre('save', function(next) {
+emergencySchema.pre('save', function(next) {
   this.updatedAt = new Date();
   next();
 });
 
-// Add a method to update status and log in timeline
+// Add a method to update status and log in timeline.
+// Throws a TransitionError if the move is not in the lifecycle table.
 emergencySchema.methods.updateStatus = async function(newStatus, notes = '') {
+  assertTransition(this.status, newStatus);
+
   this.status = newStatus;
   this.timeline.push({
     status: newStatus,
@@ -104,14 +520,52 @@ emergencySchema.methods.updateStatus = async function(newStatus, notes = '') {
   
   // Update timestamps based on status
   const now = new Date();
-  if (newStatus === 'In Transit') {
+  if (STATUS_TIMESTAMPS[newStatus]) {
+    this[STATUS_TIMESTAMPS[newStatus]] = now;
+  }
+  if (newStatus === 'On Scene') {
     this.actualArrivalTime = now;
-  } else if (newStatus === 'Completed') {
-    this.completedAt = now;
   }
   
   await this.save();
   return this;
 };
 
+// Add a method to log a dispatch event in the timeline without changing status
+emergencySchema.methods.logEvent = function(event, notes = '', location) {
+  this.timeline.push({
+    status: this.status,
+    event,
+    notes,
+    location: location?.coordinates ? {
+      type: 'Point',
+      coordinates: location.coordinates
+    } : this.location
+  });
+  return this;
+};
+
+// Emergencies saved before the lifecycle was split up may still be
+// In Transit, which covered the run to hospital. Moves them to Transporting,
+// taking the old transport start time as the patient loaded time.
+emergencySchema.statics.migrateLegacyStatuses = async function() {
+  const { modifiedCount } = await this.updateMany(
+    { status: 'In Transit' },
+    [{
+      $set: {
+        status: 'Transporting',
+        patientLoadedAt: { $ifNull: ['$patientLoadedAt', '$actualArrivalTime'] }
+      }
+    }]
+  );
+
+  await this.updateMany(
+    { 'timeline.status': 'In Transit' },
+    { $set: { 'timeline.$[entry].status': 'Transporting' } },
+    { arrayFilters: [{ 'entry.status': 'In Transit' }] }
+  );
+
+  return modifiedCount;
+};
+
 module.exports = mongoose.model('Emergency', emergencySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { categories } = require('../config/attachments');
+
+// Photo or document attached to an emergency by the patient, crew or hospital
+const emergencyAttachmentSchema = new mongoose.Schema({
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lifecycle role the uploader attached the file as
+  uploaderRole: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: categories,
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Where the file is kept, see services/storage
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Access-checked download link
+emergencyAttachmentSchema.virtual('url').get(function() {
+  return `/api/emergency/${this.emergency._id || this.emergency}/attachments/${this._id}/download`;
+});
+
+// Index for listing an emergency's attachments
+emergencyAttachmentSchema.index({ emergency: 1, createdAt: 1 });
+
+module.exports = mongoose.model('EmergencyAttachment', emergencyAttachmentSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Message posted to an emergency's thread by the patient, crew or hospital
+const emergencyMessageSchema = new mongoose.Schema({
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lifecycle role the sender posted as, e.g. patient or assigned_driver
+  senderRole: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: 1000
+  },
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for reading a thread in order
+emergencyMessageSchema.index({ emergency: 1, createdAt: 1 });
+
+module.exports = mongoose.model('EmergencyMessage', emergencyMessageSchema);
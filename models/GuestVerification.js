@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One-time phone verification for a guest emergency request
+const guestVerificationSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    index: true
+  },
+  // SHA-256 of the code sent by SMS
+  otpHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  ip: String,
+  verifiedAt: Date,
+  // Set when a request claims the code, so it cannot be used twice
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once an emergency has been created with this verification
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB remove expired verifications
+guestVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GuestVerification', guestVerificationSchema);
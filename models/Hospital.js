@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { ACTIVE_STATUSES } = require('../utils/emergencyTransitions');
+const { CAPACITY_UNITS } = require('../utils/hospitalCapacity');
+const { SLA_PRIORITIES } = require('../utils/slaMetrics');
+
+const capacityUnitSchema = new mongoose.Schema({
+  total: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  available: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
 
 const hospitalSchema = new mongoose.Schema({
   name: {
@@ -112,6 +128,31 @@ const hospitalSchema = new mongoose.Schema({
       default: true
     }
   }],
+  // Opt-in to lend idle ambulances to nearby hospitals whose fleet is busy
+  mutualAid: {
+    enabled: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Real-time bed and equipment availability
+  capacity: {
+    ...Object.fromEntries(CAPACITY_UNITS.map(unit => [unit, {
+      type: capacityUnitSchema,
+      default: () => ({})
+    }])),
+    updatedAt: Date,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Response-time targets in minutes, where they differ from config/sla.js
+  slaTargets: Object.fromEntries(SLA_PRIORITIES.map(priority => [priority, {
+    dispatch: Number,
+    scene: Number,
+    hospital: Number
+  }])),
   isActive: {
     type: Boolean,
     default: true
@@ -148,7 +189,19 @@ hospitalSchema.virtual('activeEmergencies', {
   ref: 'Emergency',
   localField: '_id',
   foreignField: 'hospital',
-  match: { status: { $in: ['Pending', 'Dispatched', 'In Transit'] } }
+  match: { status: { $in: ACTIVE_STATUSES } }
 });
 
+// Share of a unit in use, or null if the hospital does not report it
+hospitalSchema.methods.occupancy = function(unit) {
+  const { total, available } = this.capacity?.[unit] || {};
+  if (!total) return null;
+  return Math.min(1, Math.max(0, (total - available) / total));
+};
+
+// A unit is full when it is reported and nothing is available
+hospitalSchema.methods.isFull = function(unit) {
+  return this.occupancy(unit) === 1;
+};
+
 module.exports = mongoose.model('Hospital', hospitalSchema);
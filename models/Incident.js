@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { TRIAGE_TAGS } = require('../utils/triageTags');
+
+const casualtySchema = new mongoose.Schema({
+  // Scene label written on the triage tag, e.g. "P-07"
+  label: {
+    type: String,
+    required: [true, 'Casualty label is required'],
+    trim: true
+  },
+  triageTag: {
+    type: String,
+    enum: TRIAGE_TAGS,
+    required: [true, 'Triage tag is required']
+  },
+  description: String,
+  // Registered emergency this casualty was logged as, if any
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    default: null
+  },
+  destinationHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    default: null
+  },
+  ambulance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ambulance',
+    default: null
+  },
+  transportStatus: {
+    type: String,
+    enum: ['awaiting', 'in_transport', 'delivered', 'not_transported'],
+    default: 'awaiting'
+  },
+  taggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  taggedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const incidentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Incident title is required'],
+    trim: true
+  },
+  description: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true,
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Coordinates are required']
+    },
+    address: {
+      type: String,
+      required: [true, 'Address is required']
+    }
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Closed'],
+    default: 'Active'
+  },
+  declaredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hospital coordinating the response
+  commandHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  casualties: [casualtySchema],
+  // Units committed to the incident, from any hospital
+  ambulances: [{
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance'
+    },
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    },
+    attachedAt: {
+      type: Date,
+      default: Date.now
+    },
+    releasedAt: Date
+  }],
+  timeline: [{
+    event: String,
+    notes: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  closedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create index for geospatial queries
+incidentSchema.index({ 'location.coordinates': '2dsphere' });
+
+// Update the updatedAt field before saving
+incidentSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Add a method to log an event in the timeline without saving
+incidentSchema.methods.logEvent = function(event, notes = '') {
+  this.timeline.push({ event, notes });
+  return this;
+};
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { retentionDays } = require('../config/tracking');
+
+// GPS fix reported by a unit while on a call
+const locationPingSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Series key, see the timeseries option below
+  meta: {
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance',
+      required: true
+    },
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency',
+      required: true
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  address: String,
+  // Reported by the device when available
+  accuracy: Number, // meters
+  speed: Number, // km/h
+  heading: Number // degrees from north
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: retentionDays * 86400,
+  versionKey: false
+});
+
+// Index for replaying an emergency's track in order
+locationPingSchema.index({ 'meta.emergency': 1, timestamp: 1 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
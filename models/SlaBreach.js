@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { SLA_METRICS, SLA_PRIORITIES } = require('../utils/slaMetrics');
+
+const slaBreachSchema = new mongoose.Schema({
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: SLA_PRIORITIES,
+    required: true
+  },
+  metric: {
+    type: String,
+    enum: SLA_METRICS,
+    required: true
+  },
+  targetMinutes: {
+    type: Number,
+    required: true
+  },
+  // Emergency reported
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  breachedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Filled in once the milestone is reached, late
+  reachedAt: Date,
+  actualMinutes: Number,
+  // Emergency ended without reaching the milestone
+  closedAt: Date
+});
+
+// One breach per metric per emergency
+slaBreachSchema.index({ emergency: 1, metric: 1 }, { unique: true });
+slaBreachSchema.index({ hospital: 1, breachedAt: -1 });
+
+module.exports = mongoose.model('SlaBreach', slaBreachSchema);
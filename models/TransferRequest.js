@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { CAPACITY_UNITS } = require('../utils/hospitalCapacity');
+
+const transferRequestSchema = new mongoose.Schema({
+  originHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Origin hospital is required']
+  },
+  destinationHospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Destination hospital is required']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return !this.patientDetails?.name; }, 'Patient is required']
+  },
+  // Stand-in for the patient record when the patient is not a registered user
+  patientDetails: {
+    name: String,
+    approximateAge: Number,
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other', 'unknown']
+    }
+  },
+  clinicalSummary: {
+    diagnosis: {
+      type: String,
+      required: [true, 'Diagnosis is required']
+    },
+    reasonForTransfer: {
+      type: String,
+      required: [true, 'Reason for transfer is required']
+    },
+    currentTreatment: String,
+    notes: String
+  },
+  // Bed or equipment the destination is asked to provide
+  requiredUnit: {
+    type: String,
+    enum: CAPACITY_UNITS
+  },
+  ambulanceType: {
+    type: String,
+    enum: ['Basic', 'Advanced', 'Mobile ICU', 'Neonatal'],
+    required: [true, 'Ambulance type is required']
+  },
+  urgency: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical'],
+    default: 'High'
+  },
+  status: {
+    type: String,
+    enum: ['Requested', 'Accepted', 'Rejected', 'Dispatched', 'In Transit', 'Completed', 'Cancelled'],
+    default: 'Requested'
+  },
+  // Destination hospital's answer
+  decision: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    notes: String
+  },
+  // Emergency the ambulance run is tracked as once dispatched
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    default: null
+  },
+  timeline: [{
+    status: String,
+    notes: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+transferRequestSchema.index({ originHospital: 1, status: 1, createdAt: -1 });
+transferRequestSchema.index({ destinationHospital: 1, status: 1, createdAt: -1 });
+
+// Update the updatedAt field before saving
+transferRequestSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Add a method to change status and log it in the timeline without saving
+transferRequestSchema.methods.setStatus = function(status, notes = '') {
+  this.status = status;
+  this.timeline.push({ status, notes });
+  return this;
+};
+
+module.exports = mongoose.model('TransferRequest', transferRequestSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const AMBULANCE_TYPES = ['Basic', 'Advanced', 'Mobile ICU', 'Neonatal'];
+
+const transportBookingSchema = new mongoose.Schema({
+  // Hospital whose fleet runs the transport
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: [true, 'Hospital is required']
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return !this.patientDetails?.name; }, 'Patient is required']
+  },
+  // Stand-in for the patient record when the patient is not a registered user
+  patientDetails: {
+    name: String,
+    mobility: {
+      type: String,
+      enum: ['walking', 'wheelchair', 'stretcher']
+    },
+    notes: String
+  },
+  // Who receives reminders, defaults to the patient
+  contact: {
+    name: String,
+    phone: String,
+    email: String
+  },
+  purpose: {
+    type: String,
+    enum: ['discharge', 'dialysis', 'outpatient_imaging', 'other'],
+    required: [true, 'Purpose is required']
+  },
+  pickup: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Pickup coordinates are required']
+    },
+    address: {
+      type: String,
+      required: [true, 'Pickup address is required']
+    },
+    additionalInfo: String
+  },
+  dropoff: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Drop-off coordinates are required']
+    },
+    address: {
+      type: String,
+      required: [true, 'Drop-off address is required']
+    },
+    // Set when the patient is taken to a hospital, e.g. for dialysis
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      default: null
+    }
+  },
+  pickupTime: {
+    type: Date,
+    required: [true, 'Pickup time is required']
+  },
+  durationMinutes: Number,
+  ambulanceType: {
+    type: String,
+    enum: AMBULANCE_TYPES,
+    default: 'Basic'
+  },
+  // Unit reserved for the trip and the window it is held for
+  ambulance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ambulance',
+    default: null
+  },
+  slot: {
+    start: Date,
+    end: Date
+  },
+  status: {
+    type: String,
+    enum: ['Scheduled', 'Dispatched', 'Completed', 'Cancelled'],
+    default: 'Scheduled'
+  },
+  // Live emergency the booking was turned into
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    default: null
+  },
+  remindersSent: [{
+    hoursBefore: Number,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: String,
+  dispatchedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+transportBookingSchema.index({ status: 1, pickupTime: 1 });
+transportBookingSchema.index({ ambulance: 1, 'slot.start': 1, 'slot.end': 1 });
+transportBookingSchema.index({ hospital: 1, pickupTime: 1 });
+
+// Update the updatedAt field before saving
+transportBookingSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('TransportBooking', transportBookingSchema);
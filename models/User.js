@@ -52,7 +52,12 @@ const userSchema = new mongoose.Schema({
   emergencyContacts: [{
     name: String,
     phone: String,
-    relationship: String
+    relationship: String,
+    // Registered account of the contact, lets them request help on this user's behalf
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }],
   medicalInfo: {
     bloodType: String,
@@ -73,7 +73,10 @@ router.put(
   authorize('driver'),
   [
     check('coordinates', 'Coordinates are required').isArray({ min: 2, max: 2 }),
-    check('address', 'Address is required').not().isEmpty()
+    check('address', 'Address is required').not().isEmpty(),
+    check('accuracy', 'Accuracy must be a non-negative number of meters').optional().isFloat({ min: 0 }).toFloat(),
+    check('speed', 'Speed must be a non-negative number of km/h').optional().isFloat({ min: 0 }).toFloat(),
+    check('heading', 'Heading must be between 0 and 360 degrees').optional().isFloat({ min: 0, max: 360 }).toFloat()
   ],
   ambulanceController.updateAmbulanceLocation
 );
@@ -87,4 +90,25 @@ router.get(
   ambulanceController.getAmbulanceEmergency
 );
 
+// @route   POST /api/ambulance/:id/offer/accept
+// @desc    Accept the emergency offered to this ambulance
+// @access  Private/Driver
+router.post(
+  '/:id/offer/accept',
+  authorize('driver'),
+  ambulanceController.acceptOffer
+);
+
+// @route   POST /api/ambulance/:id/offer/decline
+// @desc    Decline the emergency offered to this ambulance
+// @access  Private/Driver
+router.post(
+  '/:id/offer/decline',
+  authorize('driver'),
+  [
+    check('reason', 'Reason must be text').optional().isString()
+  ],
+  ambulanceController.declineOffer
+);
+
 module.exports = router;
@@ -1,10 +1,67 @@
 const express = require('express');
 const { check } = require('express-validator');
 const emergencyController = require('../controllers/emergencyController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, trackingAccess } = require('../middleware/auth');
+const { guestIpLimiter, guestPhoneLimiter } = require('../middleware/rateLimiter');
+const { uploadAttachment } = require('../middleware/upload');
+const { STATUSES } = require('../utils/emergencyTransitions');
+const { REASON_CODES } = require('../utils/cancellationReasons');
+const { RATING_CATEGORIES, MIN_RATING, MAX_RATING } = require('../utils/feedbackRatings');
+const { bleedingLevels } = require('../config/triage');
+const { categories: ATTACHMENT_CATEGORIES } = require('../config/attachments');
 
 const router = express.Router();
 
+// Structured triage answers the server computes priority from
+const triageChecks = [
+  check('triage.conscious', 'Triage answer "conscious" is required').isBoolean({ strict: true }),
+  check('triage.breathing', 'Triage answer "breathing" is required').isBoolean({ strict: true }),
+  check('triage.breathingDifficulty').optional().isBoolean({ strict: true }),
+  check('triage.chestPain').optional().isBoolean({ strict: true }),
+  check('triage.bleeding').optional().isIn(bleedingLevels),
+  check('triage.age').optional().isFloat({ min: 0, max: 130 })
+];
+
+// @route   POST /api/emergency/guest/otp
+// @desc    Send a verification code to a guest caller
+// @access  Public
+router.post(
+  '/guest/otp',
+  guestIpLimiter,
+  guestPhoneLimiter,
+  [
+    check('phone', 'Please include a valid phone number').matches(/^\+?[0-9]{10,15}$/)
+  ],
+  emergencyController.requestGuestOtp
+);
+
+// @route   POST /api/emergency/guest
+// @desc    Create an emergency request as a guest caller
+// @access  Public
+router.post(
+  '/guest',
+  guestIpLimiter,
+  [
+    check('verificationId', 'Verification ID is required').isMongoId(),
+    check('phone', 'Please include a valid phone number').matches(/^\+?[0-9]{10,15}$/),
+    check('otp', 'Verification code is required').not().isEmpty(),
+    check('location.coordinates', 'Location coordinates are required').isArray({ min: 2, max: 2 }),
+    check('location.address', 'Location address is required').not().isEmpty(),
+    check('medicalInfo.condition', 'Medical condition is required').not().isEmpty(),
+    ...triageChecks,
+    check('priority', 'Priority must be Low, Medium, High, or Critical').optional().isIn(['Low', 'Medium', 'High', 'Critical']),
+    check('patientDetails.approximateAge').optional().isInt({ min: 0, max: 130 }),
+    check('patientDetails.gender').optional().isIn(['male', 'female', 'other', 'unknown']),
+    check('patientDetails.knownConditions').optional().isArray()
+  ],
+  emergencyController.createGuestEmergency
+);
+
+// @route   GET /api/emergency/guest/:id
+// @desc    Track a guest emergency
+// @access  Public (X-Tracking-Token header)
+router.get('/guest/:id', trackingAccess(), emergencyController.trackGuestEmergency);
+
 // Apply protect middleware to all routes
 router.use(protect);
 
@@ -17,16 +74,48 @@ router.post(
     check('location.coordinates', 'Location coordinates are required').isArray({ min: 2, max: 2 }),
     check('location.address', 'Location address is required').not().isEmpty(),
     check('medicalInfo.condition', 'Medical condition is required').not().isEmpty(),
-    check('priority', 'Priority must be Low, Medium, High, or Critical').isIn(['Low', 'Medium', 'High', 'Critical'])
+    ...triageChecks,
+    // Self-reported, kept for audit; the triage answers decide the priority
+    check('priority', 'Priority must be Low, Medium, High, or Critical').optional().isIn(['Low', 'Medium', 'High', 'Critical']),
+    check('patientId', 'Patient must be a valid user ID').optional().isMongoId(),
+    check('patientDetails.name').optional().isString(),
+    check('patientDetails.approximateAge').optional().isInt({ min: 0, max: 130 }),
+    check('patientDetails.gender').optional().isIn(['male', 'female', 'other', 'unknown']),
+    check('patientDetails.knownConditions').optional().isArray()
   ],
   emergencyController.createEmergency
 );
 
+// @route   GET /api/emergency/reports/cancellations
+// @desc    Get cancellation rates per reason and caller
+// @access  Private/Hospital Admin
+router.get(
+  '/reports/cancellations',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('from').optional().isISO8601(),
+    check('to').optional().isISO8601(),
+    check('hospital').optional().isMongoId()
+  ],
+  emergencyController.getCancellationReport
+);
+
 // @route   GET /api/emergency/:id
 // @desc    Get emergency by ID
 // @access  Private
 router.get('/:id', emergencyController.getEmergencyById);
 
+// @route   GET /api/emergency/:id/track
+// @desc    Get the units' GPS track as GeoJSON or GPX
+// @access  Private
+router.get(
+  '/:id/track',
+  [
+    check('format', 'Format must be geojson or gpx').optional().isIn(['geojson', 'gpx'])
+  ],
+  emergencyController.getEmergencyTrack
+);
+
 // @route   PUT /api/emergency/:id/status
 // @desc    Update emergency status
 // @access  Private
@@ -34,11 +123,166 @@ router.put(
   '/:id/status',
   [
     check('status', 'Status is required').not().isEmpty(),
-    check('status').isIn(['Pending', 'Dispatched', 'In Transit', 'Completed', 'Cancelled'])
+    check('status').isIn(STATUSES)
   ],
   emergencyController.updateEmergencyStatus
 );
 
+// @route   POST /api/emergency/:id/cancel
+// @desc    Cancel an emergency with a reason
+// @access  Private
+router.post(
+  '/:id/cancel',
+  [
+    check('reason', `Reason must be one of ${REASON_CODES.join(', ')}`).isIn(REASON_CODES),
+    check('notes').optional().isString()
+  ],
+  emergencyController.cancelEmergency
+);
+
+// @route   PUT /api/emergency/:id/priority
+// @desc    Override the triaged priority
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/priority',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('priority', 'Priority must be Low, Medium, High, or Critical').isIn(['Low', 'Medium', 'High', 'Critical']),
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  emergencyController.overridePriority
+);
+
+// @route   POST /api/emergency/:id/feedback
+// @desc    Rate a completed emergency
+// @access  Private/Patient
+router.post(
+  '/:id/feedback',
+  [
+    ...RATING_CATEGORIES.map(category =>
+      check(`ratings.${category}`, `${category} rating must be between ${MIN_RATING} and ${MAX_RATING}`)
+        .isInt({ min: MIN_RATING, max: MAX_RATING }).toInt()
+    ),
+    check('comments', 'Comments must be at most 2000 characters').optional().isString().isLength({ max: 2000 })
+  ],
+  emergencyController.submitFeedback
+);
+
+// @route   POST /api/emergency/:id/observations
+// @desc    Record crew observations
+// @access  Private/Driver
+router.post(
+  '/:id/observations',
+  authorize('driver'),
+  [
+    check('vitals.heartRate').optional().isFloat({ min: 0, max: 300 }),
+    check('vitals.systolicBP').optional().isFloat({ min: 0, max: 300 }),
+    check('vitals.diastolicBP').optional().isFloat({ min: 0, max: 200 }),
+    check('vitals.respiratoryRate').optional().isFloat({ min: 0, max: 100 }),
+    check('vitals.oxygenSaturation').optional().isFloat({ min: 0, max: 100 }),
+    check('vitals.temperature').optional().isFloat({ min: 25, max: 45 }),
+    check('vitals.bloodGlucose').optional().isFloat({ min: 0 }),
+    check('vitals.gcs', 'GCS must be between 3 and 15').optional().isInt({ min: 3, max: 15 }),
+    check('notes').optional().isString()
+  ],
+  emergencyController.addObservation
+);
+
+// @route   GET /api/emergency/:id/messages
+// @desc    Get the emergency's message thread
+// @access  Private
+router.get(
+  '/:id/messages',
+  [
+    check('since', 'Since must be a valid date').optional().isISO8601()
+  ],
+  emergencyController.getMessages
+);
+
+// @route   POST /api/emergency/:id/messages
+// @desc    Post to the emergency's message thread
+// @access  Private
+router.post(
+  '/:id/messages',
+  [
+    check('body', 'Message text is required').trim().not().isEmpty(),
+    check('body', 'Message must be at most 1000 characters').isLength({ max: 1000 })
+  ],
+  emergencyController.postMessage
+);
+
+// @route   PUT /api/emergency/:id/messages/read
+// @desc    Mark the emergency's messages as read
+// @access  Private
+router.put(
+  '/:id/messages/read',
+  [
+    check('upTo', 'Up to must be a valid date').optional().isISO8601()
+  ],
+  emergencyController.markMessagesRead
+);
+
+// @route   POST /api/emergency/:id/attachments
+// @desc    Attach a photo or document (multipart, field "file")
+// @access  Private
+router.post(
+  '/:id/attachments',
+  uploadAttachment('file'),
+  [
+    check('category', `Category must be one of ${ATTACHMENT_CATEGORIES.join(', ')}`).optional().isIn(ATTACHMENT_CATEGORIES),
+    check('description', 'Description must be at most 500 characters').optional().isLength({ max: 500 })
+  ],
+  emergencyController.uploadAttachment
+);
+
+// @route   GET /api/emergency/:id/attachments
+// @desc    Get the emergency's attachments
+// @access  Private
+router.get('/:id/attachments', emergencyController.getAttachments);
+
+// @route   GET /api/emergency/:id/attachments/:attachmentId/download
+// @desc    Download an attachment
+// @access  Private
+router.get('/:id/attachments/:attachmentId/download', emergencyController.downloadAttachment);
+
+// @route   DELETE /api/emergency/:id/attachments/:attachmentId
+// @desc    Remove an attachment
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', emergencyController.deleteAttachment);
+
+// @route   POST /api/emergency/:id/handoff/acknowledge
+// @desc    Acknowledge the pre-arrival handoff
+// @access  Private/Hospital Admin
+router.post(
+  '/:id/handoff/acknowledge',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('notes').optional().isString()
+  ],
+  emergencyController.acknowledgeHandoff
+);
+
+// @route   POST /api/emergency/:id/merge
+// @desc    Merge a duplicate report into another emergency
+// @access  Private/Hospital Admin
+router.post(
+  '/:id/merge',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('targetId', 'Target emergency ID is required').isMongoId()
+  ],
+  emergencyController.mergeEmergency
+);
+
+// @route   POST /api/emergency/:id/duplicate/clear
+// @desc    Confirm a suspected duplicate is a separate emergency
+// @access  Private/Hospital Admin
+router.post(
+  '/:id/duplicate/clear',
+  authorize('hospital_admin', 'admin'),
+  emergencyController.clearDuplicate
+);
+
 // @route   GET /api/emergency/hospital/:hospitalId
 // @desc    Get emergencies for a hospital
 // @access  Private/Hospital Admin
@@ -2,6 +2,8 @@ const express = require('express');
 const { check } = require('express-validator');
 const hospitalController = require('../controllers/hospitalController');
 const { protect, authorize } = require('../middleware/auth');
+const { CAPACITY_UNITS } = require('../utils/hospitalCapacity');
+const { SLA_METRICS, SLA_PRIORITIES } = require('../utils/slaMetrics');
 
 const router = express.Router();
 
@@ -47,6 +49,7 @@ router.post(
     check('address.state', 'State is required').not().isEmpty(),
     check('address.postalCode', 'Postal code is required').not().isEmpty(),
     check('address.location.coordinates', 'Location coordinates are required').isArray({ min: 2, max: 2 }),
+    check('mutualAid.enabled', 'Mutual aid flag must be a boolean').optional().isBoolean(),
     check('admin', 'Admin user ID is required').not().isEmpty()
   ],
   hospitalController.createHospital
@@ -60,11 +63,90 @@ router.put(
   authorize('admin', 'hospital_admin'),
   [
     check('contact.email', 'Please include a valid email').optional().isEmail(),
-    check('contact.phone', 'Please include a valid phone number').optional().matches(/^[0-9]{10,15}$/)
+    check('contact.phone', 'Please include a valid phone number').optional().matches(/^[0-9]{10,15}$/),
+    check('mutualAid.enabled', 'Mutual aid flag must be a boolean').optional().isBoolean()
   ],
   hospitalController.updateHospital
 );
 
+// @route   PUT /api/hospital/:id/capacity
+// @desc    Update hospital bed and equipment capacity
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/capacity',
+  authorize('hospital_admin', 'admin'),
+  CAPACITY_UNITS.flatMap(unit => [
+    check(`${unit}.total`, `${unit} total must be a non-negative integer`).optional().isInt({ min: 0 }).toInt(),
+    check(`${unit}.available`, `${unit} available must be a non-negative integer`).optional().isInt({ min: 0 }).toInt()
+  ]),
+  hospitalController.updateCapacity
+);
+
+// @route   GET /api/hospital/:id/sla
+// @desc    Get hospital response-time SLA targets
+// @access  Private/Hospital Admin
+router.get('/:id/sla', authorize('hospital_admin', 'admin'), hospitalController.getSlaTargets);
+
+// @route   PUT /api/hospital/:id/sla
+// @desc    Update hospital response-time SLA targets
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/sla',
+  authorize('hospital_admin', 'admin'),
+  SLA_PRIORITIES.flatMap(priority => SLA_METRICS.map(metric =>
+    check(`${priority}.${metric}`, `${priority} ${metric} target must be a positive number of minutes`)
+      .optional({ nullable: true }).isFloat({ gt: 0 }).toFloat()
+  )),
+  hospitalController.updateSlaTargets
+);
+
+// @route   GET /api/hospital/:id/sla/report
+// @desc    Get monthly SLA compliance report
+// @access  Private/Hospital Admin
+router.get(
+  '/:id/sla/report',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('month', 'Month must be in YYYY-MM format').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+  ],
+  hospitalController.getSlaReport
+);
+
+// @route   GET /api/hospital/:id/feedback
+// @desc    Get patient feedback
+// @access  Private/Hospital Admin
+router.get(
+  '/:id/feedback',
+  authorize('hospital_admin', 'admin'),
+  hospitalController.getHospitalFeedback
+);
+
+// @route   GET /api/hospital/:id/feedback/summary
+// @desc    Get average ratings per hospital, unit and driver
+// @access  Private/Hospital Admin
+router.get(
+  '/:id/feedback/summary',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('from', 'From must be a valid date').optional().isISO8601(),
+    check('to', 'To must be a valid date').optional().isISO8601()
+  ],
+  hospitalController.getFeedbackSummary
+);
+
+// @route   PUT /api/hospital/:id/feedback/:emergencyId/response
+// @desc    Reply to patient feedback
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/feedback/:emergencyId/response',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('message', 'Message is required').trim().not().isEmpty(),
+    check('message', 'Message must be at most 2000 characters').isLength({ max: 2000 })
+  ],
+  hospitalController.respondToFeedback
+);
+
 // @route   DELETE /api/hospital/:id
 // @desc    Delete hospital
 // @access  Private/Admin
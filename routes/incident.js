@@ -0,0 +1,123 @@
+const express = require('express');
+const { check } = require('express-validator');
+const incidentController = require('../controllers/incidentController');
+const { protect, authorize } = require('../middleware/auth');
+const { TRIAGE_TAGS } = require('../utils/triageTags');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+// @route   POST /api/incident
+// @desc    Declare a mass-casualty incident
+// @access  Private/Hospital Admin
+router.post(
+  '/',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('location.coordinates', 'Location coordinates are required').isArray({ min: 2, max: 2 }),
+    check('location.address', 'Location address is required').not().isEmpty(),
+    check('commandHospital', 'Command hospital must be a valid ID').optional().isMongoId()
+  ],
+  incidentController.createIncident
+);
+
+// @route   GET /api/incident
+// @desc    Get incidents
+// @access  Private
+router.get(
+  '/',
+  authorize('hospital_admin', 'admin', 'driver'),
+  incidentController.getIncidents
+);
+
+// @route   GET /api/incident/:id
+// @desc    Get incident by ID
+// @access  Private
+router.get(
+  '/:id',
+  authorize('hospital_admin', 'admin', 'driver'),
+  incidentController.getIncidentById
+);
+
+// @route   GET /api/incident/:id/dashboard
+// @desc    Get incident dashboard
+// @access  Private
+router.get(
+  '/:id/dashboard',
+  authorize('hospital_admin', 'admin', 'driver'),
+  incidentController.getIncidentDashboard
+);
+
+// @route   POST /api/incident/:id/casualties
+// @desc    Add a casualty to an incident
+// @access  Private/Hospital Admin/Driver
+router.post(
+  '/:id/casualties',
+  authorize('hospital_admin', 'admin', 'driver'),
+  [
+    check('label', 'Casualty label is required').not().isEmpty(),
+    check('triageTag', `Triage tag must be one of ${TRIAGE_TAGS.join(', ')}`).isIn(TRIAGE_TAGS),
+    check('emergencyId', 'Emergency must be a valid ID').optional().isMongoId()
+  ],
+  incidentController.addCasualty
+);
+
+// @route   PUT /api/incident/:id/casualties/:casualtyId
+// @desc    Re-triage or update transport of a casualty
+// @access  Private/Hospital Admin/Driver
+router.put(
+  '/:id/casualties/:casualtyId',
+  authorize('hospital_admin', 'admin', 'driver'),
+  [
+    check('triageTag').optional().isIn(TRIAGE_TAGS),
+    check('ambulance', 'Ambulance must be a valid ID').optional().isMongoId(),
+    check('destinationHospital', 'Hospital must be a valid ID').optional().isMongoId(),
+    check('transportStatus').optional().isIn(['awaiting', 'in_transport', 'delivered', 'not_transported'])
+  ],
+  incidentController.updateCasualty
+);
+
+// @route   POST /api/incident/:id/ambulances
+// @desc    Commit ambulances to an incident
+// @access  Private/Hospital Admin
+router.post(
+  '/:id/ambulances',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('ambulanceIds', 'Ambulance IDs are required').isArray({ min: 1 }),
+    check('ambulanceIds.*', 'Ambulance must be a valid ID').isMongoId()
+  ],
+  incidentController.attachAmbulances
+);
+
+// @route   DELETE /api/incident/:id/ambulances/:ambulanceId
+// @desc    Release an ambulance from an incident
+// @access  Private/Hospital Admin
+router.delete(
+  '/:id/ambulances/:ambulanceId',
+  authorize('hospital_admin', 'admin'),
+  incidentController.releaseAmbulance
+);
+
+// @route   POST /api/incident/:id/distribute
+// @desc    Spread unassigned casualties across hospitals by capacity
+// @access  Private/Hospital Admin
+router.post(
+  '/:id/distribute',
+  authorize('hospital_admin', 'admin'),
+  incidentController.distributeCasualties
+);
+
+// @route   PUT /api/incident/:id/close
+// @desc    Close an incident and release its ambulances
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/close',
+  authorize('hospital_admin', 'admin'),
+  incidentController.closeIncident
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { check } = require('express-validator');
+const transferController = require('../controllers/transferController');
+const { protect, authorize } = require('../middleware/auth');
+const { CAPACITY_UNITS } = require('../utils/hospitalCapacity');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+// Transfers are arranged between hospital staff
+router.use(authorize('hospital_admin', 'admin'));
+
+// @route   POST /api/transfer
+// @desc    Request a patient transfer to another hospital
+// @access  Private/Hospital Admin
+router.post(
+  '/',
+  [
+    check('originHospital', 'Origin hospital must be a valid ID').isMongoId(),
+    check('destinationHospital', 'Destination hospital must be a valid ID').isMongoId(),
+    check('patientId', 'Patient must be a valid user ID').optional().isMongoId(),
+    check('patientDetails.approximateAge').optional().isInt({ min: 0, max: 130 }),
+    check('patientDetails.gender').optional().isIn(['male', 'female', 'other', 'unknown']),
+    check('clinicalSummary.diagnosis', 'Diagnosis is required').not().isEmpty(),
+    check('clinicalSummary.reasonForTransfer', 'Reason for transfer is required').not().isEmpty(),
+    check('requiredUnit').optional().isIn(CAPACITY_UNITS),
+    check('ambulanceType', 'Ambulance type must be Basic, Advanced, Mobile ICU or Neonatal')
+      .isIn(['Basic', 'Advanced', 'Mobile ICU', 'Neonatal']),
+    check('urgency').optional().isIn(['Low', 'Medium', 'High', 'Critical'])
+  ],
+  transferController.createTransfer
+);
+
+// @route   GET /api/transfer
+// @desc    Get a hospital's incoming or outgoing transfers
+// @access  Private/Hospital Admin
+router.get(
+  '/',
+  [
+    check('hospital', 'Hospital must be a valid ID').isMongoId(),
+    check('direction').optional().isIn(['incoming', 'outgoing']),
+    check('status').optional().isIn(['Requested', 'Accepted', 'Rejected', 'Dispatched', 'In Transit', 'Completed', 'Cancelled'])
+  ],
+  transferController.getTransfers
+);
+
+// @route   GET /api/transfer/:id
+// @desc    Get transfer request by ID
+// @access  Private/Hospital Admin
+router.get('/:id', transferController.getTransferById);
+
+// @route   PUT /api/transfer/:id/accept
+// @desc    Accept a transfer and dispatch a unit to the origin hospital
+// @access  Private/Hospital Admin
+router.put('/:id/accept', transferController.acceptTransfer);
+
+// @route   PUT /api/transfer/:id/reject
+// @desc    Reject a transfer
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/reject',
+  [
+    check('reason', 'Reason is required').not().isEmpty()
+  ],
+  transferController.rejectTransfer
+);
+
+// @route   PUT /api/transfer/:id/cancel
+// @desc    Withdraw a transfer request
+// @access  Private/Hospital Admin
+router.put('/:id/cancel', transferController.cancelTransfer);
+
+module.exports = router;
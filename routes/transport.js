@@ -0,0 +1,101 @@
+const express = require('express');
+const { check } = require('express-validator');
+const transportController = require('../controllers/transportController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const AMBULANCE_TYPES = ['Basic', 'Advanced', 'Mobile ICU', 'Neonatal'];
+const PURPOSES = ['discharge', 'dialysis', 'outpatient_imaging', 'other'];
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+// @route   POST /api/transport
+// @desc    Book a scheduled transport
+// @access  Private/Hospital Admin
+router.post(
+  '/',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('hospital', 'Hospital must be a valid ID').isMongoId(),
+    check('patientId', 'Patient must be a valid user ID').optional().isMongoId(),
+    check('patientDetails.mobility').optional().isIn(['walking', 'wheelchair', 'stretcher']),
+    check('contact.email').optional().isEmail(),
+    check('contact.phone').optional().matches(/^\+?[0-9]{10,15}$/),
+    check('purpose', `Purpose must be one of ${PURPOSES.join(', ')}`).isIn(PURPOSES),
+    check('pickup.coordinates', 'Pickup coordinates are required').isArray({ min: 2, max: 2 }),
+    check('pickup.address', 'Pickup address is required').not().isEmpty(),
+    check('dropoff.coordinates', 'Drop-off coordinates are required').isArray({ min: 2, max: 2 }),
+    check('dropoff.address', 'Drop-off address is required').not().isEmpty(),
+    check('dropoff.hospital').optional().isMongoId(),
+    check('pickupTime', 'Pickup time must be a valid date').isISO8601(),
+    check('durationMinutes').optional().isInt({ min: 5, max: 720 }),
+    check('ambulanceType').optional().isIn(AMBULANCE_TYPES)
+  ],
+  transportController.createBooking
+);
+
+// @route   GET /api/transport
+// @desc    Get a hospital's transport bookings
+// @access  Private/Hospital Admin
+router.get(
+  '/',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('hospital', 'Hospital must be a valid ID').isMongoId(),
+    check('status').optional().isIn(['Scheduled', 'Dispatched', 'Completed', 'Cancelled']),
+    check('from').optional().isISO8601(),
+    check('to').optional().isISO8601()
+  ],
+  transportController.getBookings
+);
+
+// @route   GET /api/transport/schedule
+// @desc    Get the fleet's booked transports for a period
+// @access  Private/Hospital Admin
+router.get(
+  '/schedule',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('hospital', 'Hospital must be a valid ID').isMongoId(),
+    check('from').optional().isISO8601(),
+    check('to').optional().isISO8601()
+  ],
+  transportController.getFleetSchedule
+);
+
+// @route   GET /api/transport/:id
+// @desc    Get transport booking by ID
+// @access  Private
+router.get('/:id', transportController.getBookingById);
+
+// @route   PUT /api/transport/:id
+// @desc    Update or reschedule a transport booking
+// @access  Private/Hospital Admin
+router.put(
+  '/:id',
+  authorize('hospital_admin', 'admin'),
+  [
+    check('contact.email').optional().isEmail(),
+    check('contact.phone').optional().matches(/^\+?[0-9]{10,15}$/),
+    check('pickup.coordinates').optional().isArray({ min: 2, max: 2 }),
+    check('dropoff.coordinates').optional().isArray({ min: 2, max: 2 }),
+    check('dropoff.hospital').optional().isMongoId(),
+    check('pickupTime').optional().isISO8601(),
+    check('durationMinutes').optional().isInt({ min: 5, max: 720 }),
+    check('ambulanceType').optional().isIn(AMBULANCE_TYPES)
+  ],
+  transportController.updateBooking
+);
+
+// @route   PUT /api/transport/:id/cancel
+// @desc    Cancel a transport booking
+// @access  Private/Hospital Admin
+router.put(
+  '/:id/cancel',
+  authorize('hospital_admin', 'admin'),
+  transportController.cancelBooking
+);
+
+module.exports = router;
@@ -4,12 +4,23 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
+const Emergency = require('./models/Emergency');
+const { authenticateSocket, canJoinRoom } = require('./middleware/socketAuth');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const ambulanceRoutes = require('./routes/ambulance');
 const hospitalRoutes = require('./routes/hospital');
 const emergencyRoutes = require('./routes/emergency');
+const incidentRoutes = require('./routes/incident');
+const transportRoutes = require('./routes/transport');
+const transferRoutes = require('./routes/transfer');
+
+// Import background jobs
+const { startDispatchSweep } = require('./services/dispatchQueue');
+const { startTransportScheduler } = require('./services/transportBookings');
+const { startSlaMonitor } = require('./services/slaMonitor');
+const { startEscalationSweep } = require('./services/dispatchEscalation');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,21 +35,28 @@ const io = socketIo(server, {
 app.use(cors());
 app.use(express.json());
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ambulance-on-demand', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('Connected to MongoDB'))
-.catch(err => console.error('MongoDB connection error:', err));
-
 // Socket.io connection
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('New client connected');
   
-  socket.on('join_room', (room) => {
-    socket.join(room);
-    console.log(`User joined room: ${room}`);
+  // Rooms carry live emergency, hospital and user updates, so each join is checked
+  socket.on('join_room', async (room, ack) => {
+    let joined = false;
+    try {
+      joined = await canJoinRoom(socket, room);
+    } catch (error) {
+      console.error('Join room error:', error);
+    }
+
+    if (joined) {
+      socket.join(room);
+      console.log(`User joined room: ${room}`);
+    }
+    if (typeof ack === 'function') {
+      ack({ joined });
+    }
   });
 
   socket.on('disconnect', () => {
@@ -54,6 +72,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/ambulance', ambulanceRoutes);
 app.use('/api/hospital', hospitalRoutes);
 app.use('/api/emergency', emergencyRoutes);
+app.use('/api/incident', incidentRoutes);
+app.use('/api/transport', transportRoutes);
+app.use('/api/transfer', transferRoutes);
 
 // Test route
 app.get('/', (req, res) => {
@@ -61,6 +82,35 @@ app.get('/', (req, res) => {
 });
 
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
+
+// Tests require the app without connecting or listening
+if (require.main === module) {
+  // Database connection
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ambulance-on-demand', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    const migrated = await Emergency.migrateLegacyStatuses();
+    if (migrated > 0) {
+      console.log(`Moved ${migrated} In Transit emergencies to Transporting`);
+    }
+  })
+  .catch(err => console.error('MongoDB connection error:', err));
+
+  server.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+
+    // Background jobs
+    if (process.env.NODE_ENV !== 'test') {
+      startDispatchSweep(io);
+      startTransportScheduler(io);
+      startSlaMonitor(io);
+      startEscalationSweep(io);
+    }
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const cancellationConfig = require('../config/cancellations');
+const { CANCELLATION_REASONS, ABUSE_REASONS } = require('../utils/cancellationReasons');
+
+/**
+ * Share of a total, rounded to three decimals
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number} Rate between 0 and 1
+ */
+const rate = (count, total) => {
+  return total ? Math.round((count / total) * 1000) / 1000 : 0;
+};
+
+/**
+ * Check a caller's history against the abuse thresholds
+ * @param {Object} caller - { total, cancelled, abuseCancellations }
+ * @returns {Array<string>} Why the caller is flagged, empty if not
+ */
+const abuseFlags = ({ total, cancelled, abuseCancellations }) => {
+  const { minRequests, maxAbuseCancellations, maxCancellationRate } = cancellationConfig.abuse;
+  const flags = [];
+
+  if (total < minRequests) return flags;
+
+  if (abuseCancellations >= maxAbuseCancellations) {
+    flags.push(`${abuseCancellations} requests cancelled as ${ABUSE_REASONS.join('/')}`);
+  }
+  if (rate(cancelled, total) >= maxCancellationRate) {
+    flags.push(`${Math.round(rate(cancelled, total) * 100)}% of requests cancelled`);
+  }
+
+  return flags;
+};
+
+/**
+ * Cancellation rates per reason, per cancelling role and per caller, with
+ * callers whose history looks abusive flagged
+ * @param {Object} options - Report options
+ * @param {Date} options.from - Start of the period
+ * @param {Date} options.to - End of the period
+ * @param {string} options.hospital - Limit to one dispatching hospital
+ * @returns {Promise<Object>} Cancellation report
+ */
+const buildCancellationReport = async ({ from, to, hospital } = {}) => {
+  const periodEnd = to || new Date();
+  const periodStart = from ||
+    new Date(periodEnd.getTime() - cancellationConfig.defaultPeriodDays * 86400000);
+
+  const match = { createdAt: { $gte: periodStart, $lte: periodEnd } };
+  if (hospital) {
+    match.hospital = new mongoose.Types.ObjectId(hospital);
+  }
+
+  const isCancelled = { $eq: ['$status', 'Cancelled'] };
+  // Duplicates are merged by dispatchers and say nothing about the caller
+  const countsAgainstCaller = {
+    $and: [isCancelled, { $ne: ['$cancellation.reason', 'duplicate'] }]
+  };
+
+  const [result] = await Emergency.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              cancelled: { $sum: { $cond: [isCancelled, 1, 0] } }
+            }
+          }
+        ],
+        byReason: [
+          { $match: { status: 'Cancelled' } },
+          { $group: { _id: '$cancellation.reason', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        byRole: [
+          { $match: { status: 'Cancelled' } },
+          { $group: { _id: '$cancellation.cancelledByRole', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        byCaller: [
+          {
+            $group: {
+              // Registered caller, else the patient, else a guest's phone
+              _id: { $ifNull: ['$caller', { $ifNull: ['$patient', '$callerContact.phone'] }] },
+              total: { $sum: 1 },
+              cancelled: { $sum: { $cond: [countsAgainstCaller, 1, 0] } },
+              abuseCancellations: {
+                $sum: {
+                  $cond: [
+                    { $and: [isCancelled, { $in: ['$cancellation.reason', ABUSE_REASONS] }] },
+                    1,
+                    0
+                  ]
+                }
+              }
+            }
+          },
+          { $match: { cancelled: { $gt: 0 } } },
+          { $sort: { abuseCancellations: -1, cancelled: -1 } },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'user'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const { total = 0, cancelled = 0 } = result.totals[0] || {};
+
+  const callers = result.byCaller.map(({ _id, user, ...counts }) => ({
+    caller: user[0]
+      ? { _id: user[0]._id, name: user[0].name, phone: user[0].phone, email: user[0].email }
+      : { phone: _id },
+    ...counts,
+    cancellationRate: rate(counts.cancelled, counts.total),
+    flags: abuseFlags(counts)
+  }));
+
+  return {
+    period: { from: periodStart, to: periodEnd },
+    hospital: hospital || null,
+    total,
+    cancelled,
+    cancellationRate: rate(cancelled, total),
+    byReason: result.byReason.map(({ _id, count }) => ({
+      reason: _id || 'unspecified',
+      label: CANCELLATION_REASONS[_id] || 'Not recorded',
+      count,
+      shareOfCancellations: rate(count, cancelled)
+    })),
+    byRole: result.byRole.map(({ _id, count }) => ({
+      role: _id || 'unspecified',
+      count
+    })),
+    callers,
+    flaggedCallers: callers.filter(caller => caller.flags.length > 0)
+  };
+};
+
+module.exports = {
+  buildCancellationReport
+};
@@ -0,0 +1,230 @@
+const Emergency = require('../models/Emergency');
+const User = require('../models/User');
+const dispatchConfig = require('../config/dispatch');
+const escalationConfig = require('../config/escalation');
+const NotificationService = require('./notificationService');
+const { sendDispatchEscalation } = require('./emailService');
+const { sendDispatchEscalation: sendSmsDispatchEscalation } = require('./smsService');
+const { requestDispatchRetry } = require('./dispatchQueue');
+
+let isProcessing = false;
+
+/**
+ * Build the alert sent to staff about a waiting emergency
+ * @param {Object} emergency - Emergency document with hospital populated
+ * @param {number} waitingMinutes - Minutes since the emergency was reported
+ * @returns {Object} Alert details
+ */
+const toAlert = (emergency, waitingMinutes) => ({
+  emergencyId: emergency._id,
+  hospitalId: emergency.hospital._id,
+  hospitalName: emergency.hospital.name,
+  priority: emergency.priority,
+  address: emergency.location.address || emergency.location.coordinates.join(', '),
+  waitingMinutes,
+  dispatchAttempts: emergency.dispatchAttempts?.count || 0,
+  level: emergency.escalation.level
+});
+
+/**
+ * Send an alert by SMS and email. A failure on one channel does not stop
+ * the other.
+ * @param {Object} recipient - { name, phone, email }
+ * @param {Object} alert - Alert details
+ * @param {boolean} paged - True when paging the on-call dispatcher
+ */
+const sendToRecipient = async (recipient, alert, paged = false) => {
+  if (recipient.phone) {
+    try {
+      await sendSmsDispatchEscalation({ to: recipient.phone, ...alert, paged });
+    } catch (error) {
+      console.error('Dispatch escalation SMS error:', error.message);
+    }
+  }
+
+  if (recipient.email) {
+    try {
+      await sendDispatchEscalation({
+        to: recipient.email,
+        recipientName: recipient.name,
+        ...alert,
+        paged
+      });
+    } catch (error) {
+      console.error('Dispatch escalation email error:', error.message);
+    }
+  }
+};
+
+/**
+ * Radius searched once an emergency's search has been widened
+ * @returns {number} Radius in kilometers
+ */
+const widenedRadiusKm = () => {
+  const { widenedRingsKm } = escalationConfig;
+  return widenedRingsKm[widenedRingsKm.length - 1] ||
+    dispatchConfig.mutualAidRingsKm[dispatchConfig.mutualAidRingsKm.length - 1];
+};
+
+/**
+ * Search for mutual aid units further out than usual
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<string>} Timeline note
+ */
+const widenSearch = async (emergency) => {
+  const searchRadiusKm = widenedRadiusKm();
+
+  emergency.escalation.searchRadiusKm = searchRadiusKm;
+  emergency.escalation.widenedAt = new Date();
+
+  return `Mutual aid search widened to ${searchRadiusKm} km`;
+};
+
+/**
+ * Alert the hospital admin and system admins
+ * @param {Object} emergency - Emergency document with hospital populated
+ * @param {Object} alert - Alert details
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<string>} Timeline note
+ */
+const alertAdmins = async (emergency, alert, io) => {
+  const notificationService = new NotificationService(io);
+
+  const admins = await User.find({
+    $or: [{ role: 'admin' }, { _id: emergency.hospital.admin }]
+  }).select('name email phone');
+
+  await notificationService.notifyHospital(alert.hospitalId, 'dispatch_escalation', alert);
+  for (const admin of admins) {
+    await notificationService.notifyUser(admin._id, 'dispatch_escalation', alert);
+    await sendToRecipient(admin, alert);
+  }
+
+  emergency.escalation.alertedAt = new Date();
+
+  return `Hospital and system admins alerted (${admins.length})`;
+};
+
+/**
+ * Page the configured on-call dispatcher
+ * @param {Object} emergency - Emergency document
+ * @param {Object} alert - Alert details
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<string>} Timeline note
+ */
+const pageOnCall = async (emergency, alert, io) => {
+  const { onCall } = escalationConfig;
+
+  emergency.escalation.pagedAt = new Date();
+
+  if (!onCall.phone && !onCall.email) {
+    console.error('Dispatch escalation: no on-call dispatcher configured');
+    return 'No on-call dispatcher configured to page';
+  }
+
+  await sendToRecipient(onCall, alert, true);
+  await new NotificationService(io).notifyHospital(alert.hospitalId, 'dispatch_escalation', {
+    ...alert,
+    paged: onCall.name
+  });
+
+  return `Paged ${onCall.name}`;
+};
+
+// Run in order; each level is reached once its delay has passed
+const STEPS = [
+  { level: 1, afterSeconds: escalationConfig.widenAfterSeconds, run: widenSearch },
+  { level: 2, afterSeconds: escalationConfig.alertAfterSeconds, run: alertAdmins },
+  { level: 3, afterSeconds: escalationConfig.pageAfterSeconds, run: pageOnCall }
+];
+
+/**
+ * Take every escalation step now due for one waiting emergency
+ * @param {Object} emergency - Emergency document with hospital populated
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Array<number>>} Levels reached
+ */
+const escalateEmergency = async (emergency, io) => {
+  const waitingSeconds = (Date.now() - emergency.createdAt) / 1000;
+  const waitingMinutes = Math.round(waitingSeconds / 60);
+  const reached = [];
+
+  for (const step of STEPS) {
+    if (step.level <= emergency.escalation.level || waitingSeconds < step.afterSeconds) continue;
+
+    emergency.escalation.level = step.level;
+    const notes = await step.run(emergency, toAlert(emergency, waitingMinutes), io);
+    emergency.logEvent('escalation', `Level ${step.level} after ${waitingMinutes} min: ${notes}`);
+    reached.push(step.level);
+  }
+
+  if (reached.length > 0) {
+    await emergency.save();
+  }
+
+  return reached;
+};
+
+/**
+ * Escalate every emergency that has waited too long for a unit
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<number>} Emergencies escalated
+ */
+const escalatePending = async (io) => {
+  const firstStepSeconds = Math.min(...STEPS.map(step => step.afterSeconds));
+  const holdCutoff = new Date(Date.now() - dispatchConfig.duplicates.holdMinutes * 60000);
+
+  const waiting = await Emergency.find({
+    status: 'Pending',
+    assignedAmbulance: null,
+    createdAt: { $lte: new Date(Date.now() - firstStepSeconds * 1000) },
+    'escalation.level': { $lt: STEPS.length },
+    // Suspected duplicates are waiting on a dispatcher, not a unit
+    $or: [
+      { 'duplicateCheck.status': { $ne: 'suspected' } },
+      { 'duplicateCheck.checkedAt': { $lte: holdCutoff } }
+    ]
+  }).populate('hospital', 'name admin');
+
+  let escalated = 0;
+  let widened = false;
+
+  for (const emergency of waiting) {
+    const reached = await escalateEmergency(emergency, io);
+    if (reached.length > 0) escalated += 1;
+    if (reached.includes(1)) widened = true;
+  }
+
+  // Try the newly widened search straight away
+  if (widened) {
+    await requestDispatchRetry(io);
+  }
+
+  return escalated;
+};
+
+/**
+ * Start the periodic escalation check
+ * @param {Object} io - Socket.io server
+ * @returns {Object} Interval handle
+ */
+const startEscalationSweep = (io) => {
+  return setInterval(async () => {
+    if (isProcessing) return;
+
+    isProcessing = true;
+    try {
+      await escalatePending(io);
+    } catch (error) {
+      console.error('Dispatch escalation error:', error);
+    } finally {
+      isProcessing = false;
+    }
+  }, escalationConfig.sweepIntervalSeconds * 1000);
+};
+
+module.exports = {
+  widenedRadiusKm,
+  escalatePending,
+  startEscalationSweep
+};
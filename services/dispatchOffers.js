@@ -0,0 +1,233 @@
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const NotificationService = require('./notificationService');
+const { reserveAmbulance } = require('./dispatchService');
+const { transitionEmergency } = require('./emergencyLifecycle');
+
+const OFFER_TIMEOUT_MS = (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 60) * 1000;
+
+// Pending offer timers keyed by emergency ID
+const offerTimers = new Map();
+
+/**
+ * Cancel the timeout of an emergency's current offer
+ * @param {string} emergencyId - Emergency ID
+ */
+const clearOfferTimer = (emergencyId) => {
+  const key = emergencyId.toString();
+  clearTimeout(offerTimers.get(key));
+  offerTimers.delete(key);
+};
+
+/**
+ * Close the open offer history entry for an ambulance
+ * @param {Object} emergency - Emergency document
+ * @param {string} ambulanceId - Ambulance ID
+ * @param {string} outcome - accepted, declined or timeout
+ * @param {string} reason - Optional reason given by the driver
+ */
+const resolveOffer = (emergency, ambulanceId, outcome, reason) => {
+  const entry = emergency.offerHistory.find(
+    offer => offer.ambulance.equals(ambulanceId) && offer.outcome === 'pending'
+  );
+
+  if (entry) {
+    entry.outcome = outcome;
+    entry.respondedAt = new Date();
+    entry.reason = reason;
+  }
+
+  emergency.dispatchOffer = undefined;
+};
+
+/**
+ * Put an Offered ambulance back into service
+ * @param {string} ambulanceId - Ambulance ID
+ * @param {string} emergencyId - Emergency the unit was offered
+ */
+const releaseOfferedAmbulance = (ambulanceId, emergencyId) => {
+  return Ambulance.findOneAndUpdate(
+    { _id: ambulanceId, status: 'Offered', currentEmergency: emergencyId },
+    { status: 'Available', currentEmergency: null }
+  );
+};
+
+/**
+ * Find the emergency an ambulance currently holds an open offer for
+ * @param {Object} ambulance - Ambulance document
+ * @returns {Promise<Object|null>} Emergency document or null
+ */
+const findOfferedEmergency = (ambulance) => {
+  if (ambulance.status !== 'Offered' || !ambulance.currentEmergency) {
+    return null;
+  }
+
+  return Emergency.findOne({
+    _id: ambulance.currentEmergency,
+    status: 'Pending',
+    'dispatchOffer.ambulance': ambulance._id
+  });
+};
+
+/**
+ * Offer an emergency to the driver of the best available unit
+ * @param {Object} emergency - Emergency document
+ * @param {Object} io - Socket.io server
+ * @param {Object} options - Passed on to reserveAmbulance, e.g. { preferredAmbulanceId }
+ * @returns {Promise<Object|null>} Offered ambulance or null if none is free
+ */
+const offerDispatch = async (emergency, io, options = {}) => {
+  const ambulance = await reserveAmbulance(emergency, options);
+
+  if (!ambulance) {
+    return null;
+  }
+
+  const offeredAt = new Date();
+  emergency.dispatchOffer = {
+    ambulance: ambulance._id,
+    offeredAt,
+    expiresAt: new Date(offeredAt.getTime() + OFFER_TIMEOUT_MS)
+  };
+  emergency.offerHistory.push({
+    ambulance: ambulance._id,
+    offeredAt,
+    outcome: 'pending'
+  });
+  emergency.logEvent('offer', `Offered to ambulance ${ambulance.vehicleNumber}`, ambulance.currentLocation);
+  await emergency.save();
+
+  const ambulanceId = ambulance._id;
+  clearOfferTimer(emergency._id);
+  offerTimers.set(emergency._id.toString(), setTimeout(() => {
+    expireOffer(emergency._id, ambulanceId, io)
+      .catch(error => console.error('Expire dispatch offer error:', error));
+  }, OFFER_TIMEOUT_MS));
+
+  await new NotificationService(io).handleDispatchOffer(emergency, ambulance);
+
+  return ambulance;
+};
+
+/**
+ * Accept an open offer and dispatch the ambulance
+ * @param {Object} ambulance - Ambulance document
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object|null>} Dispatched emergency or null if no offer is open
+ */
+const acceptOffer = async (ambulance, io) => {
+  const emergency = await findOfferedEmergency(ambulance);
+
+  if (!emergency) {
+    return null;
+  }
+
+  // The timer may not have fired yet
+  if (emergency.dispatchOffer.expiresAt <= new Date()) {
+    await expireOffer(emergency._id, ambulance._id, io);
+    return null;
+  }
+
+  clearOfferTimer(emergency._id);
+
+  resolveOffer(emergency, ambulance._id, 'accepted');
+  emergency.assignedAmbulance = ambulance._id;
+  emergency.assignedDriver = ambulance.driver;
+  emergency.logEvent('offer_accepted', `Accepted by ambulance ${ambulance.vehicleNumber}`, ambulance.currentLocation);
+  // Entering Dispatched tells the crew, hospital, patient and callers
+  await transitionEmergency(emergency, 'Dispatched', {
+    notes: 'Driver accepted the assignment',
+    io
+  });
+
+  return emergency;
+};
+
+/**
+ * Decline an open offer and move it to the next-best unit
+ * @param {Object} ambulance - Ambulance document
+ * @param {string} reason - Reason given by the driver
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object|null>} Emergency or null if no offer is open
+ */
+const declineOffer = async (ambulance, reason, io) => {
+  const emergency = await findOfferedEmergency(ambulance);
+
+  if (!emergency) {
+    return null;
+  }
+
+  clearOfferTimer(emergency._id);
+  await releaseOfferedAmbulance(ambulance._id, emergency._id);
+
+  resolveOffer(emergency, ambulance._id, 'declined', reason);
+  emergency.logEvent(
+    'offer_declined',
+    `Declined by ambulance ${ambulance.vehicleNumber}${reason ? `: ${reason}` : ''}`,
+    ambulance.currentLocation
+  );
+  await emergency.save();
+
+  await offerDispatch(emergency, io);
+  return emergency;
+};
+
+/**
+ * Withdraw an unanswered offer and move it to the next-best unit
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} ambulanceId - Ambulance the offer was made to
+ * @param {Object} io - Socket.io server
+ */
+const expireOffer = async (emergencyId, ambulanceId, io) => {
+  clearOfferTimer(emergencyId);
+
+  const emergency = await Emergency.findOne({
+    _id: emergencyId,
+    status: 'Pending',
+    'dispatchOffer.ambulance': ambulanceId
+  });
+
+  // Already accepted, declined or expired
+  if (!emergency) return;
+
+  const ambulance = await releaseOfferedAmbulance(ambulanceId, emergencyId);
+
+  resolveOffer(emergency, ambulanceId, 'timeout');
+  emergency.logEvent(
+    'offer_timeout',
+    `No response from ambulance ${ambulance?.vehicleNumber || ambulanceId}`,
+    ambulance?.currentLocation
+  );
+  await emergency.save();
+
+  if (ambulance) {
+    await new NotificationService(io).notifyUser(ambulance.driver, 'dispatch_offer_expired', {
+      emergencyId,
+      ambulanceId
+    });
+  }
+
+  await offerDispatch(emergency, io);
+};
+
+/**
+ * Expire offers whose window has passed, e.g. after a restart lost the timers
+ * @param {Object} io - Socket.io server
+ */
+const expireStaleOffers = async (io) => {
+  const stale = await Emergency.find({
+    status: 'Pending',
+    'dispatchOffer.expiresAt': { $lte: new Date() }
+  }).select('dispatchOffer');
+
+  for (const emergency of stale) {
+    await expireOffer(emergency._id, emergency.dispatchOffer.ambulance, io);
+  }
+};
+
+module.exports = {
+  offerDispatch,
+  acceptOffer,
+  declineOffer,
+  expireStaleOffers
+};
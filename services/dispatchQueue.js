@@ -0,0 +1,185 @@
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const dispatchConfig = require('../config/dispatch');
+const { offerDispatch, expireStaleOffers } = require('./dispatchOffers');
+
+// Lower rank is served first
+const PRIORITY_RANK = { Critical: 0, High: 1, Medium: 2, Low: 3 };
+
+const SWEEP_INTERVAL_MS = (parseInt(process.env.DISPATCH_SWEEP_INTERVAL_SECONDS, 10) || 30) * 1000;
+const DEFAULT_SERVICE_MINUTES = parseInt(process.env.DISPATCH_AVG_SERVICE_MINUTES, 10) || 45;
+
+let isProcessing = false;
+let rerunRequested = false;
+
+/**
+ * Compare two queued emergencies by priority, then by age
+ * @param {Object} a - Emergency document
+ * @param {Object} b - Emergency document
+ * @returns {number} Sort order
+ */
+const compareQueued = (a, b) => {
+  const rankA = PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.Medium;
+  const rankB = PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.Medium;
+  return rankA - rankB || new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * Get unassigned emergencies in dispatch order
+ * @param {Object} filter - Extra query conditions (e.g. { hospital })
+ * @returns {Promise<Array>} Queued emergency documents
+ */
+const getQueue = async (filter = {}) => {
+  const holdCutoff = new Date(Date.now() - dispatchConfig.duplicates.holdMinutes * 60000);
+
+  const queued = await Emergency.find({
+    ...filter,
+    status: 'Pending',
+    assignedAmbulance: null,
+    'dispatchOffer.ambulance': null,
+    // Suspected duplicates wait for a dispatcher, unless held too long
+    $or: [
+      { 'duplicateCheck.status': { $ne: 'suspected' } },
+      { 'duplicateCheck.checkedAt': { $lte: holdCutoff } }
+    ]
+  });
+
+  return queued.sort(compareQueued);
+};
+
+/**
+ * Average minutes a unit of the hospital spends on a call, from recent history
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Promise<number>} Average service time in minutes
+ */
+const getAverageServiceMinutes = async (hospitalId) => {
+  const recent = await Emergency.find({
+    hospital: hospitalId,
+    status: 'Completed',
+    completedAt: { $ne: null }
+  })
+    .select('createdAt completedAt')
+    .sort({ completedAt: -1 })
+    .limit(50);
+
+  if (recent.length === 0) {
+    return DEFAULT_SERVICE_MINUTES;
+  }
+
+  const totalMinutes = recent.reduce(
+    (sum, emergency) => sum + (emergency.completedAt - emergency.createdAt) / 60000,
+    0
+  );
+  return totalMinutes / recent.length;
+};
+
+/**
+ * Get an emergency's position in its hospital's queue and the expected wait
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object|null>} { position, queueLength, estimatedWaitMinutes } or null if not queued
+ */
+const getQueueStatus = async (emergency) => {
+  if (
+    emergency.status !== 'Pending' ||
+    emergency.assignedAmbulance ||
+    emergency.dispatchOffer?.ambulance
+  ) {
+    return null;
+  }
+
+  const hospitalId = emergency.hospital._id || emergency.hospital;
+  const queue = await getQueue({ hospital: hospitalId });
+  const index = queue.findIndex(queued => queued._id.equals(emergency._id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const [fleetSize, serviceMinutes] = await Promise.all([
+    Ambulance.countDocuments({ hospital: hospitalId, isActive: true }),
+    getAverageServiceMinutes(hospitalId)
+  ]);
+
+  // Each unit clears one call per service cycle
+  const cycles = Math.ceil((index + 1) / Math.max(fleetSize, 1));
+
+  return {
+    position: index + 1,
+    queueLength: queue.length,
+    estimatedWaitMinutes: Math.round(cycles * serviceMinutes),
+    dispatchAttempts: emergency.dispatchAttempts?.count || 0
+  };
+};
+
+/**
+ * Try to dispatch every queued emergency, highest priority first
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<number>} Number of emergencies offered to a unit
+ */
+const processQueue = async (io) => {
+  await expireStaleOffers(io);
+
+  const queue = await getQueue();
+  let offered = 0;
+
+  for (const emergency of queue) {
+    // Nothing left to hand out, the rest stay queued
+    const available = await Ambulance.exists({ status: 'Available', isActive: true });
+    if (!available) break;
+
+    emergency.dispatchAttempts = {
+      count: (emergency.dispatchAttempts?.count || 0) + 1,
+      lastAttemptAt: new Date()
+    };
+
+    const ambulance = await offerDispatch(emergency, io);
+
+    if (ambulance) {
+      offered += 1;
+    } else {
+      await emergency.save();
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Retry dispatch for queued emergencies, e.g. after a unit becomes Available.
+ * Calls made while a run is in progress are folded into one follow-up run.
+ * @param {Object} io - Socket.io server
+ */
+const requestDispatchRetry = async (io) => {
+  if (isProcessing) {
+    rerunRequested = true;
+    return;
+  }
+
+  isProcessing = true;
+  try {
+    do {
+      rerunRequested = false;
+      await processQueue(io);
+    } while (rerunRequested);
+  } catch (error) {
+    console.error('Dispatch queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Start the periodic sweep over the dispatch queue
+ * @param {Object} io - Socket.io server
+ * @returns {Object} Interval handle
+ */
+const startDispatchSweep = (io) => {
+  return setInterval(() => requestDispatchRetry(io), SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  getQueue,
+  getQueueStatus,
+  requestDispatchRetry,
+  startDispatchSweep
+};
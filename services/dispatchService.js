@@ -0,0 +1,382 @@
+const Ambulance = require('../models/Ambulance');
+const Hospital = require('../models/Hospital');
+const dispatchConfig = require('../config/dispatch');
+const matchingConfig = require('../config/hospitalMatching');
+const escalationConfig = require('../config/escalation');
+const { calculateDistance } = require('../utils/helpers');
+const { getRoute } = require('./routing');
+
+/**
+ * Convert a GeoJSON [longitude, latitude] pair to { lat, lng }
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Object} Coordinate { lat, lng }
+ */
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+/**
+ * Score how close an ambulance is to the emergency
+ * @param {number} distanceKm - Distance to the scene in kilometers
+ * @returns {number} Score between 0 and 1
+ */
+const scoreDistance = (distanceKm) => {
+  const { maxDistanceKm } = dispatchConfig;
+  return Math.max(0, 1 - Math.min(distanceKm, maxDistanceKm) / maxDistanceKm);
+};
+
+/**
+ * Score how well the ambulance type suits the emergency. The type triage
+ * suggested scores 1; other types score their fit for the priority, scaled
+ * down by offSuggestionFactor.
+ * @param {string} type - Ambulance type
+ * @param {string} priority - Emergency priority
+ * @param {string} suggestedType - Ambulance type suggested by triage, if any
+ * @returns {number} Score between 0 and 1
+ */
+const scoreTypeFit = (type, priority, suggestedType = null) => {
+  const fit = dispatchConfig.typeFit[priority] || dispatchConfig.typeFit.Medium;
+  if (!suggestedType) return fit[type] ?? 0;
+
+  return type === suggestedType ? 1 : (fit[type] ?? 0) * dispatchConfig.offSuggestionFactor;
+};
+
+/**
+ * Score the share of required equipment that is on board and available
+ * @param {Array} equipment - Ambulance equipment list
+ * @param {string} priority - Emergency priority
+ * @returns {number} Score between 0 and 1
+ */
+const scoreEquipment = (equipment = [], priority) => {
+  const required = dispatchConfig.requiredEquipment[priority] || [];
+  if (required.length === 0) return 1;
+
+  const available = new Set(
+    equipment
+      .filter(item => item.name && item.status === 'Available')
+      .map(item => item.name.toLowerCase())
+  );
+
+  const present = required.filter(name => available.has(name.toLowerCase()));
+  return present.length / required.length;
+};
+
+/**
+ * Score how recent the ambulance's last GPS fix is
+ * @param {Date} lastUpdated - Time of the last location update
+ * @param {Date} now - Reference time
+ * @returns {number} Score between 0 and 1
+ */
+const scoreFreshness = (lastUpdated, now = new Date()) => {
+  if (!lastUpdated) return 0;
+
+  const { freshMinutes, staleMinutes } = dispatchConfig.freshness;
+  const ageMinutes = (now - new Date(lastUpdated)) / 60000;
+
+  if (ageMinutes <= freshMinutes) return 1;
+  if (ageMinutes >= staleMinutes) return 0;
+  return 1 - (ageMinutes - freshMinutes) / (staleMinutes - freshMinutes);
+};
+
+/**
+ * Score a single ambulance against an emergency
+ * @param {Object} ambulance - Ambulance document
+ * @param {Object} emergency - Emergency document
+ * @returns {Object} Score breakdown { ambulance, total, distanceKm, components }
+ */
+const scoreAmbulance = (ambulance, emergency) => {
+  const { weights } = dispatchConfig;
+  const distanceKm = calculateDistance(
+    toLatLng(ambulance.currentLocation.coordinates),
+    toLatLng(emergency.location.coordinates)
+  );
+
+  const components = {
+    distance: scoreDistance(distanceKm),
+    typeFit: scoreTypeFit(ambulance.type, emergency.priority, emergency.triage?.suggestedAmbulanceType),
+    equipment: scoreEquipment(ambulance.equipment, emergency.priority),
+    freshness: scoreFreshness(ambulance.currentLocation.lastUpdated)
+  };
+
+  const totalWeight = Object.values(weights).reduce((sum, value) => sum + value, 0) || 1;
+  const total = Object.keys(components)
+    .reduce((sum, key) => sum + components[key] * (weights[key] || 0), 0) / totalWeight;
+
+  return {
+    ambulance,
+    total: Number(total.toFixed(4)),
+    distanceKm: Number(distanceKm.toFixed(2)),
+    components
+  };
+};
+
+/**
+ * Rank candidate ambulances for an emergency, best first
+ * @param {Array} ambulances - Candidate ambulance documents
+ * @param {Object} emergency - Emergency document
+ * @returns {Array} Score breakdowns sorted by descending total
+ */
+const rankAmbulances = (ambulances, emergency) => {
+  return ambulances
+    .map(ambulance => scoreAmbulance(ambulance, emergency))
+    .sort((a, b) => b.total - a.total || a.distanceKm - b.distanceKm);
+};
+
+/**
+ * Build the score record stored on the emergency for the chosen unit
+ * @param {Object} score - Score breakdown from scoreAmbulance
+ * @param {number} candidatesConsidered - Number of candidates ranked
+ * @param {number|null} mutualAidRingKm - Ring the unit was found in, null for the home fleet
+ * @returns {Object} Dispatch score record
+ */
+const toDispatchScore = (score, candidatesConsidered, mutualAidRingKm = null) => ({
+  ambulance: score.ambulance._id,
+  total: score.total,
+  distanceKm: score.distanceKm,
+  components: score.components,
+  weights: { ...dispatchConfig.weights },
+  candidatesConsidered,
+  mutualAidRingKm,
+  scoredAt: new Date()
+});
+
+/**
+ * Find the nearest active hospital to a location. Its fleet handles the
+ * dispatch; the receiving hospital is chosen separately.
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @param {number} radiusKm - Search radius, defaults to the usual hospital search radius
+ * @returns {Promise<Object|null>} Hospital document or null
+ */
+const findNearestHospital = async (coordinates, radiusKm = matchingConfig.searchRadiusKm) => {
+  try {
+    // Find hospitals within the search radius, nearest first
+    const hospitals = await Hospital.find({
+      'address.location': {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates: coordinates
+          },
+          $maxDistance: radiusKm * 1000
+        }
+      },
+      isActive: true
+    });
+
+    return hospitals[0] || null;
+  } catch (error) {
+    console.error('Find nearest hospital error:', error);
+    return null;
+  }
+};
+
+/**
+ * Find hospitals that lend units under mutual aid within a radius
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @param {number} radiusKm - Search radius in kilometers
+ * @param {Array} excludeIds - Hospital IDs already searched
+ * @returns {Promise<Array>} Hospital documents, nearest first
+ */
+const findMutualAidHospitals = async (coordinates, radiusKm, excludeIds = []) => {
+  return Hospital.find({
+    'address.location': {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates
+        },
+        $maxDistance: radiusKm * 1000
+      }
+    },
+    _id: { $nin: excludeIds },
+    isActive: true,
+    'mutualAid.enabled': true
+  }).select('_id name');
+};
+
+/**
+ * Build the query for free units that were not recently offered this emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} filter - Extra query conditions (e.g. { hospital })
+ * @returns {Object} Mongoose query
+ */
+const candidateQuery = (emergency, filter) => {
+  const cooldownStart = Date.now() - dispatchConfig.offerCooldownMinutes * 60000;
+  const recentlyOffered = (emergency.offerHistory || [])
+    .filter(offer => offer.offeredAt >= cooldownStart)
+    .map(offer => offer.ambulance);
+
+  const query = {
+    ...filter,
+    _id: { $nin: recentlyOffered },
+    status: 'Available',
+    isActive: true
+  };
+
+  if (emergency.requiredAmbulanceType) {
+    query.type = emergency.requiredAmbulanceType;
+  }
+
+  return query;
+};
+
+/**
+ * Rank candidates and reserve the best one that is still available
+ * @param {Array} candidates - Candidate ambulance documents
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object|null>} { ambulance, score, ranked } or null
+ */
+const claimBestAmbulance = async (candidates, emergency) => {
+  const ranked = rankAmbulances(candidates, emergency);
+
+  // Another dispatch may have taken a unit between the find and the update
+  for (const score of ranked) {
+    const ambulance = await Ambulance.findOneAndUpdate(
+      { _id: score.ambulance._id, status: 'Available', isActive: true },
+      { status: 'Offered', currentEmergency: emergency._id },
+      { new: true }
+    );
+
+    if (ambulance) {
+      return { ambulance, score, ranked };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Mutual aid rings to search for an emergency, including the wider rings
+ * opened up once it has been escalated
+ * @param {Object} emergency - Emergency document
+ * @returns {Array<number>} Radii in kilometers, smallest first
+ */
+const mutualAidRingsFor = (emergency) => {
+  const searchRadiusKm = emergency.escalation?.searchRadiusKm;
+  if (!searchRadiusKm) {
+    return dispatchConfig.mutualAidRingsKm;
+  }
+
+  const widened = escalationConfig.widenedRingsKm.filter(ringKm =>
+    ringKm <= searchRadiusKm &&
+    !dispatchConfig.mutualAidRingsKm.some(usual => usual >= ringKm)
+  );
+  return [...dispatchConfig.mutualAidRingsKm, ...widened];
+};
+
+/**
+ * Search mutual aid hospitals in widening rings for a free unit
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object|null>} { ambulance, score, ranked, ringKm } or null
+ */
+const claimMutualAidAmbulance = async (emergency) => {
+  const searched = [emergency.hospital];
+
+  for (const ringKm of mutualAidRingsFor(emergency)) {
+    const hospitals = await findMutualAidHospitals(
+      emergency.location.coordinates,
+      ringKm,
+      searched
+    );
+
+    if (hospitals.length === 0) continue;
+
+    const hospitalIds = hospitals.map(hospital => hospital._id);
+    searched.push(...hospitalIds);
+
+    const candidates = await Ambulance.find(
+      candidateQuery(emergency, { hospital: { $in: hospitalIds } })
+    );
+
+    const claimed = await claimBestAmbulance(candidates, emergency);
+    if (claimed) {
+      return { ...claimed, ringKm };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Estimate arrival time at the scene with the configured routing provider
+ * @param {Object} ambulance - Ambulance document
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Date|null>} Estimated arrival time
+ */
+const estimateArrival = async (ambulance, emergency) => {
+  try {
+    const route = await getRoute(
+      toLatLng(ambulance.currentLocation.coordinates),
+      toLatLng(emergency.location.coordinates),
+      { priority: emergency.priority }
+    );
+    return route.arrivalTime;
+  } catch (error) {
+    console.error('Error calculating ETA:', error);
+    return null;
+  }
+};
+
+/**
+ * Reserve the best-scoring available ambulance for an emergency, falling
+ * back to mutual aid hospitals when the home fleet has no free unit.
+ * The unit is held as Offered until its driver accepts; the caller saves
+ * the emergency.
+ * @param {Object} emergency - Emergency document
+ * @param {Object} options - Reservation options
+ * @param {string} options.preferredAmbulanceId - Unit to try first, e.g. the one booked for a scheduled transport
+ * @returns {Promise<Object|null>} Reserved ambulance or null
+ */
+const reserveAmbulance = async (emergency, { preferredAmbulanceId = null } = {}) => {
+  try {
+    let claimed = null;
+
+    if (preferredAmbulanceId) {
+      const preferred = await Ambulance.find({
+        ...candidateQuery(emergency, {}),
+        _id: preferredAmbulanceId
+      });
+      claimed = await claimBestAmbulance(preferred, emergency);
+    }
+
+    if (!claimed) {
+      const homeFleet = await Ambulance.find(
+        candidateQuery(emergency, { hospital: emergency.hospital })
+      );
+
+      claimed = await claimBestAmbulance(homeFleet, emergency) ||
+        await claimMutualAidAmbulance(emergency);
+    }
+
+    if (!claimed) {
+      return null;
+    }
+
+    const { ambulance, score, ranked, ringKm = null } = claimed;
+    const isMutualAid = ambulance.hospital.toString() !== emergency.hospital.toString();
+
+    emergency.dispatchScore = toDispatchScore(score, ranked.length, ringKm);
+    emergency.lendingHospital = isMutualAid ? ambulance.hospital : null;
+    if (!emergency.receivingHospital) {
+      emergency.receivingHospital = emergency.hospital;
+    }
+
+    const eta = await estimateArrival(ambulance, emergency);
+    if (eta) {
+      emergency.estimatedArrivalTime = eta;
+      // Live recalculations are measured against the dispatch estimate
+      emergency.set('etaBaseline.scene', eta);
+    }
+
+    return ambulance;
+  } catch (error) {
+    console.error('Reserve ambulance error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  scoreAmbulance,
+  rankAmbulances,
+  toDispatchScore,
+  findNearestHospital,
+  reserveAmbulance
+};
@@ -0,0 +1,168 @@
+const Emergency = require('../models/Emergency');
+const dispatchConfig = require('../config/dispatch');
+const NotificationService = require('./notificationService');
+const { offerDispatch } = require('./dispatchOffers');
+const { cancelEmergency } = require('./emergencyLifecycle');
+const { ACTIVE_STATUSES, assertTransition } = require('../utils/emergencyTransitions');
+
+// Lowest to highest
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+/**
+ * Find open emergencies close to and shortly before this one
+ * @param {Object} emergency - Newly created emergency document
+ * @returns {Promise<Array>} Possible duplicate emergencies, nearest first
+ */
+const findPossibleDuplicates = (emergency) => {
+  const { radiusMeters, windowMinutes } = dispatchConfig.duplicates;
+
+  return Emergency.find({
+    _id: { $ne: emergency._id },
+    status: { $in: ACTIVE_STATUSES },
+    mergedInto: null,
+    createdAt: { $gte: new Date(Date.now() - windowMinutes * 60000) },
+    'location.coordinates': {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: emergency.location.coordinates
+        },
+        $maxDistance: radiusMeters
+      }
+    }
+  })
+    .select('status priority location medicalInfo assignedAmbulance createdAt')
+    .limit(5);
+};
+
+/**
+ * Hold a likely duplicate back from dispatch and ask the hospital to decide
+ * @param {Object} emergency - Emergency document
+ * @param {Array} candidates - Open emergencies it may duplicate
+ * @param {Object} io - Socket.io server
+ */
+const holdAsDuplicate = async (emergency, candidates, io) => {
+  const checkedAt = new Date();
+
+  emergency.duplicateCheck = {
+    status: 'suspected',
+    candidates: candidates.map(candidate => candidate._id),
+    checkedAt
+  };
+  emergency.logEvent(
+    'suspected_duplicate',
+    `Possible duplicate of ${candidates.map(candidate => candidate._id).join(', ')}`
+  );
+  await emergency.save();
+
+  await new NotificationService(io).notifyHospital(emergency.hospital, 'possible_duplicate_emergency', {
+    emergencyId: emergency._id,
+    location: emergency.location,
+    medicalInfo: emergency.medicalInfo,
+    priority: emergency.priority,
+    candidates,
+    // Dispatched anyway if nobody decides by then
+    holdUntil: new Date(checkedAt.getTime() + dispatchConfig.duplicates.holdMinutes * 60000)
+  });
+};
+
+/**
+ * Mark a suspected duplicate as a separate emergency and dispatch it
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Dispatcher making the call
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} Updated emergency
+ */
+const clearDuplicate = async (emergency, user, io) => {
+  emergency.duplicateCheck.status = 'cleared';
+  emergency.duplicateCheck.resolvedAt = new Date();
+  emergency.duplicateCheck.resolvedBy = user.id;
+  emergency.logEvent('duplicate_cleared', `Confirmed as a separate emergency by ${user.name}`);
+  await emergency.save();
+
+  // May have been dispatched already if the hold ran out
+  if (emergency.status === 'Pending' && !emergency.assignedAmbulance && !emergency.dispatchOffer?.ambulance) {
+    const ambulance = await offerDispatch(emergency, io);
+    if (!ambulance) {
+      await emergency.logEvent('queued', 'No ambulance available, queued for dispatch').save();
+    }
+  }
+
+  return emergency;
+};
+
+/**
+ * Fold a duplicate report into the emergency it duplicates. The duplicate is
+ * cancelled, any unit held for it is released, and its callers are added to
+ * the surviving emergency so they follow its tracking stream.
+ * @param {Object} source - Duplicate emergency document
+ * @param {Object} target - Emergency document that survives
+ * @param {Object} user - Dispatcher making the merge
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} Updated target emergency
+ * @throws {TransitionError} If the duplicate cannot be cancelled by the user
+ */
+const mergeEmergencies = async (source, target, user, io) => {
+  // Cancelled first: if the duplicate cannot be cancelled (too far along,
+  // or the user may not) nothing has been written to either emergency
+  assertTransition(source.status, 'Cancelled');
+
+  source.mergedInto = target._id;
+  source.set('duplicateCheck.status', 'merged');
+  source.set('duplicateCheck.resolvedAt', new Date());
+  source.set('duplicateCheck.resolvedBy', user.id);
+  await cancelEmergency(source, {
+    user,
+    reason: 'duplicate',
+    notes: `Merged into emergency ${target._id}`,
+    merged: true,
+    io
+  });
+
+  target.additionalCallers.push(
+    {
+      emergency: source._id,
+      user: source.caller || source.patient,
+      callerContact: source.callerContact?.phone ? {
+        name: source.callerContact.name,
+        phone: source.callerContact.phone
+      } : undefined,
+      reportedAt: source.createdAt
+    },
+    // Reports already merged into the duplicate come along with it
+    ...source.additionalCallers.map(entry => entry.toObject())
+  );
+
+  if (PRIORITIES.indexOf(source.priority) > PRIORITIES.indexOf(target.priority)) {
+    target.priority = source.priority;
+  }
+
+  const condition = source.medicalInfo?.condition;
+  if (condition && condition !== target.medicalInfo?.condition) {
+    target.set('medicalInfo.notes', [target.medicalInfo?.notes, `Also reported: ${condition}`]
+      .filter(Boolean)
+      .join('\n'));
+  }
+
+  target.logEvent('merged', `Merged duplicate report ${source._id}`);
+  await target.save();
+
+  // Clients following the duplicate switch to the surviving emergency
+  const notificationService = new NotificationService(io);
+  const payload = { emergencyId: source._id, mergedInto: target._id };
+  await notificationService.notifyEmergency(source._id, 'emergency_merged', payload);
+  const userIds = new Set([source.caller, source.patient].filter(Boolean).map(id => id.toString()));
+  for (const userId of userIds) {
+    await notificationService.notifyUser(userId, 'emergency_merged', payload);
+  }
+  await notificationService.notifyEmergency(target._id, 'status_update', target);
+
+  return target;
+};
+
+module.exports = {
+  findPossibleDuplicates,
+  holdAsDuplicate,
+  clearDuplicate,
+  mergeEmergencies
+};
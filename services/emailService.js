@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const ejs = require('ejs');
 const path = require('path');
 const fs = require('fs');
+const { format } = require('date-fns');
 
 // Create a transporter object using the default SMTP transport
 const transporter = nodemailer.createTransport({
@@ -18,14 +19,18 @@ const transporter = nodemailer.createTransport({
 const templates = {
   verification: fs.readFileSync(path.join(__dirname, '../templates/verification-email.ejs'), 'utf8'),
   passwordReset: fs.readFileSync(path.join(__dirname, '../templates/password-reset.ejs'), 'utf8'),
-  emergencyAlert: fs.readFileSync(path.join(__dirname, '../templates/emergency-alert.ejs'), 'utf8')
+  emergencyAlert: fs.readFileSync(path.join(__dirname, '../templates/emergency-alert.ejs'), 'utf8'),
+  transportReminder: fs.readFileSync(path.join(__dirname, '../templates/transport-reminder.ejs'), 'utf8'),
+  dispatchEscalation: fs.readFileSync(path.join(__dirname, '../templates/dispatch-escalation.ejs'), 'utf8')
 };
 
 // Compile templates
 const compiledTemplates = {
   verification: ejs.compile(templates.verification),
   passwordReset: ejs.compile(templates.passwordReset),
-  emergencyAlert: ejs.compile(templates.emergencyAlert)
+  emergencyAlert: ejs.compile(templates.emergencyAlert),
+  transportReminder: ejs.compile(templates.transportReminder),
+  dispatchEscalation: ejs.compile(templates.dispatchEscalation)
 };
 
 /**
@@ -159,15 +164,27 @@ const sendStatusUpdate = async ({ to, patientName, status, ambulanceNumber, driv
       case 'dispatched':
         subject = `Ambulance Dispatched for ${patientName}`;
         break;
-      case 'in transit':
+      case 'en route':
         subject = `Ambulance is on the way to ${patientName}`;
         break;
-      case 'arrived':
+      case 'on scene':
         subject = `Ambulance has arrived for ${patientName}`;
         break;
+      case 'transporting':
+        subject = `${patientName} is being taken to hospital`;
+        break;
+      case 'at hospital':
+        subject = `${patientName} has arrived at the hospital`;
+        break;
+      case 'handed over':
+        subject = `${patientName} is now in the care of the hospital team`;
+        break;
       case 'completed':
         subject = `Emergency Service Completed for ${patientName}`;
         break;
+      case 'cancelled':
+        subject = `Emergency Request Cancelled for ${patientName}`;
+        break;
       default:
         subject = `Update on Emergency for ${patientName}`;
     }
@@ -188,9 +205,88 @@ const sendStatusUpdate = async ({ to, patientName, status, ambulanceNumber, driv
   }
 };
 
+/**
+ * Send a reminder of an upcoming scheduled transport
+ * @param {Object} options - Reminder options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.patientName - Name of the patient
+ * @param {Date} options.pickupTime - Booked pickup time
+ * @param {string} options.pickupAddress - Pickup address
+ * @param {string} options.dropoffAddress - Drop-off address
+ * @returns {Promise}
+ */
+const sendTransportReminder = async ({ to, patientName, pickupTime, pickupAddress, dropoffAddress }) => {
+  try {
+    const mailOptions = {
+      from: `"Ambulance on Demand" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to,
+      subject: `Reminder: ambulance transport for ${patientName} on ${format(pickupTime, 'EEE d MMM, HH:mm')}`,
+      html: compiledTemplates.transportReminder({
+        patientName,
+        pickupTime: format(pickupTime, 'EEEE d MMMM yyyy, HH:mm'),
+        pickupAddress,
+        dropoffAddress,
+        appName: 'Ambulance on Demand',
+        supportEmail: process.env.SUPPORT_EMAIL || 'support@ambulanceondemand.com'
+      })
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Transport reminder email sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending transport reminder email:', error);
+    throw new Error('Failed to send transport reminder email');
+  }
+};
+
+/**
+ * Alert staff that an emergency has been waiting too long for a unit
+ * @param {Object} options - Alert options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.recipientName - Name of the recipient
+ * @param {string} options.emergencyId - Emergency ID
+ * @param {string} options.priority - Emergency priority
+ * @param {number} options.waitingMinutes - Minutes since the emergency was reported
+ * @param {string} options.address - Emergency location
+ * @param {string} options.hospitalName - Dispatching hospital
+ * @param {number} options.dispatchAttempts - Dispatch retries so far
+ * @param {boolean} options.paged - True when paging the on-call dispatcher
+ * @returns {Promise}
+ */
+const sendDispatchEscalation = async ({ to, recipientName, emergencyId, priority, waitingMinutes, address, hospitalName, dispatchAttempts, paged = false }) => {
+  try {
+    const mailOptions = {
+      from: `"Ambulance on Demand" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to,
+      subject: `${paged ? 'PAGE: ' : ''}${priority} emergency waiting ${waitingMinutes} minutes for an ambulance`,
+      html: compiledTemplates.dispatchEscalation({
+        recipientName,
+        emergencyId,
+        priority,
+        waitingMinutes,
+        address,
+        hospitalName,
+        dispatchAttempts,
+        paged,
+        appName: 'Ambulance on Demand'
+      })
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Dispatch escalation email sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending dispatch escalation email:', error);
+    throw new Error('Failed to send dispatch escalation email');
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendEmergencyAlert,
-  sendStatusUpdate
+  sendStatusUpdate,
+  sendTransportReminder,
+  sendDispatchEscalation
 };
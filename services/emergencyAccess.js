@@ -0,0 +1,68 @@
+const Hospital = require('../models/Hospital');
+const { resolveActorRoles } = require('./emergencyLifecycle');
+
+// Roles that may read an emergency
+const VIEW_ROLES = ['patient', 'caller', 'hospital_admin', 'admin'];
+
+// Roles that take part in a call, e.g. post messages or attach files: its
+// readers, plus the crew on the call
+const PARTICIPANT_ROLES = [...VIEW_ROLES, 'assigned_driver'];
+
+/**
+ * Check whether a user holds any of the given lifecycle roles on an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Authenticated user
+ * @param {Array<string>} roles - Accepted lifecycle roles
+ * @returns {Promise<boolean>} True if the user holds one of the roles
+ */
+const hasEmergencyRole = async (emergency, user, roles) => {
+  const actorRoles = await resolveActorRoles(emergency, user);
+  return actorRoles.some(role => roles.includes(role));
+};
+
+/**
+ * Check whether a user may read an emergency: its patient, the caller who
+ * requested it, or hospital and system admins
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canViewEmergency = (emergency, user) => {
+  return hasEmergencyRole(emergency, user, VIEW_ROLES);
+};
+
+/**
+ * Lifecycle role a user takes part in an emergency as, e.g. to record who
+ * posted a message or attached a file
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<string|null>} First matching role, or null if not a participant
+ */
+const getParticipantRole = async (emergency, user) => {
+  const actorRoles = await resolveActorRoles(emergency, user);
+  return PARTICIPANT_ROLES.find(role => actorRoles.includes(role)) || null;
+};
+
+/**
+ * Check whether a user administers a hospital: system admins, or the
+ * hospital's own admin
+ * @param {Object} user - Authenticated user
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canManageHospital = async (user, hospitalId) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'hospital_admin' || !hospitalId) return false;
+
+  const hospital = await Hospital.findById(hospitalId).select('admin');
+  return !!hospital && hospital.admin?.toString() === user.id;
+};
+
+module.exports = {
+  VIEW_ROLES,
+  PARTICIPANT_ROLES,
+  hasEmergencyRole,
+  canViewEmergency,
+  getParticipantRole,
+  canManageHospital
+};
@@ -0,0 +1,135 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const EmergencyAttachment = require('../models/EmergencyAttachment');
+const NotificationService = require('./notificationService');
+const attachmentConfig = require('../config/attachments');
+const { getStorage, getStorageByName } = require('./storage');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Store an uploaded file and attach it to an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} uploader - { user, role } attaching the file
+ * @param {Object} file - Upload from multer { originalname, mimetype, size, buffer }
+ * @param {Object} details - { category, description }
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} Attachment document
+ * @throws {AppError} If the emergency already has the maximum number of attachments
+ */
+const addAttachment = async (emergency, { user, role }, file, { category, description }, io) => {
+  const count = await EmergencyAttachment.countDocuments({ emergency: emergency._id });
+  if (count >= attachmentConfig.maxPerEmergency) {
+    throw new AppError(`An emergency can have at most ${attachmentConfig.maxPerEmergency} attachments`, 409);
+  }
+
+  const storage = getStorage();
+  const _id = new mongoose.Types.ObjectId();
+
+  // Keyed by ID so the uploaded file name never reaches the storage path
+  const key = await storage.save(
+    `${emergency._id}/${_id}${path.extname(file.originalname).toLowerCase()}`,
+    file.buffer
+  );
+
+  let attachment;
+  try {
+    attachment = await EmergencyAttachment.create({
+      _id,
+      emergency: emergency._id,
+      uploadedBy: user.id,
+      uploaderRole: role,
+      category,
+      description,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      storage: storage.name,
+      key
+    });
+  } catch (error) {
+    // Nothing points at the file without its record
+    await storage.remove(key).catch((removeError) => {
+      console.error('Remove orphaned attachment error:', removeError);
+    });
+    throw error;
+  }
+
+  await new NotificationService(io).notifyEmergency(emergency._id, 'attachment_added', {
+    emergencyId: emergency._id,
+    attachment
+  });
+
+  return attachment;
+};
+
+/**
+ * Get an emergency's attachments, oldest first
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Array>} Attachment documents
+ */
+const listAttachments = (emergencyId) => {
+  return EmergencyAttachment.find({ emergency: emergencyId })
+    .populate('uploadedBy', 'name')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Find an attachment of an emergency with its storage key
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Object>} Attachment document
+ * @throws {NotFoundError} If the emergency has no such attachment
+ */
+const findAttachment = async (emergencyId, attachmentId) => {
+  const attachment = await EmergencyAttachment.findOne({
+    _id: attachmentId,
+    emergency: emergencyId
+  }).select('+key');
+
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  return attachment;
+};
+
+/**
+ * Open a stored attachment for download
+ * @param {Object} attachment - Attachment document with its key
+ * @returns {Object} Readable stream
+ * @throws {AppError} If the backend the file was stored with is not available
+ */
+const openAttachment = (attachment) => {
+  const storage = getStorageByName(attachment.storage);
+  if (!storage) {
+    throw new AppError(`Storage backend ${attachment.storage} is not available`, 503);
+  }
+
+  return storage.createReadStream(attachment.key);
+};
+
+/**
+ * Delete an attachment and its stored file
+ * @param {Object} attachment - Attachment document with its key
+ * @param {Object} io - Socket.io server
+ */
+const removeAttachment = async (attachment, io) => {
+  const storage = getStorageByName(attachment.storage);
+  if (storage) {
+    await storage.remove(attachment.key);
+  }
+  await attachment.deleteOne();
+
+  await new NotificationService(io).notifyEmergency(attachment.emergency, 'attachment_removed', {
+    emergencyId: attachment.emergency,
+    attachmentId: attachment._id
+  });
+};
+
+module.exports = {
+  addAttachment,
+  listAttachments,
+  findAttachment,
+  openAttachment,
+  removeAttachment
+};
@@ -0,0 +1,174 @@
+const Emergency = require('../models/Emergency');
+const User = require('../models/User');
+const { findNearestHospital } = require('./dispatchService');
+const { selectDestinationHospital } = require('./hospitalMatching');
+const { offerDispatch } = require('./dispatchOffers');
+const { getQueueStatus } = require('./dispatchQueue');
+const { findPossibleDuplicates, holdAsDuplicate } = require('./duplicateDetection');
+const { assessTriage } = require('./triageEngine');
+const { widenedRadiusKm } = require('./dispatchEscalation');
+const matchingConfig = require('../config/hospitalMatching');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Work out who the patient is on a request made by a registered user. The
+ * patient is the caller themselves, a registered user who lists the caller's
+ * account as an emergency contact, or someone described only by free-text
+ * details.
+ * @param {Object} caller - Requesting user
+ * @param {Object} patient - Request body patient fields
+ * @param {string} patient.patientId - Registered patient, if not the caller
+ * @param {Object} patient.patientDetails - Details of an unregistered patient
+ * @returns {Promise<Object>} Emergency fields { caller, patient, patientDetails }
+ * @throws {BadRequestError|NotFoundError|ForbiddenError} If the patient cannot be requested for
+ */
+const resolvePatient = async (caller, { patientId, patientDetails } = {}) => {
+  if (patientId && patientId !== caller.id) {
+    const patient = await User.findById(patientId).select('emergencyContacts');
+
+    if (!patient) {
+      throw new NotFoundError('Patient not found');
+    }
+
+    // Only a contact linked to the caller's account counts; a matching
+    // phone number is not proof of who the caller is
+    const isContact = patient.emergencyContacts.some(contact =>
+      contact.user?.toString() === caller.id
+    );
+    if (!isContact) {
+      throw new ForbiddenError('You are not an emergency contact of this patient');
+    }
+
+    return { caller: caller.id, patient: patient._id };
+  }
+
+  if (patientDetails) {
+    if (!patientDetails.name) {
+      throw new BadRequestError('Patient name is required');
+    }
+    return { caller: caller.id, patientDetails };
+  }
+
+  return { caller: caller.id, patient: caller.id };
+};
+
+/**
+ * Create an emergency, triage it, pick its dispatching and receiving
+ * hospitals, offer it to the best available unit and tell the hospitals
+ * involved
+ * @param {Object} request - Emergency request
+ * @param {Object} request.location - { coordinates, address, additionalInfo }
+ * @param {Object} request.medicalInfo - { condition, symptoms, notes }
+ * @param {Object} request.triage - Triage answers, see services/triageEngine
+ * @param {string} request.reportedPriority - Priority the caller asked for, kept for audit
+ * @param {Object} request.details - Who the emergency is for, e.g. { patient } or guest fields
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object|null>} { emergency, queue } or null if no hospital is in range
+ */
+const createEmergencyRequest = async ({ location, medicalInfo, triage, reportedPriority, details }, io) => {
+  // Nearest hospital dispatches the ambulance
+  let hospital = await findNearestHospital(location.coordinates);
+
+  // None in the usual radius: start out as widened escalation would leave it
+  let escalation;
+  const widenedKm = widenedRadiusKm();
+  if (!hospital && widenedKm > matchingConfig.searchRadiusKm) {
+    hospital = await findNearestHospital(location.coordinates, widenedKm);
+    if (hospital) {
+      escalation = { level: 1, searchRadiusKm: widenedKm, widenedAt: new Date() };
+    }
+  }
+
+  if (!hospital) {
+    return null;
+  }
+
+  // Priority comes from the answers, not from what the caller asked for
+  const assessment = assessTriage(triage);
+  const priority = assessment.computedPriority;
+
+  // Receiving hospital is matched to the patient's condition and capacity
+  const destination = await selectDestinationHospital({ location, medicalInfo, priority });
+
+  // Create emergency record
+  const emergency = await Emergency.create({
+    ...details,
+    location: {
+      type: 'Point',
+      coordinates: location.coordinates,
+      address: location.address,
+      additionalInfo: location.additionalInfo
+    },
+    hospital: hospital._id,
+    receivingHospital: destination.hospital?._id || hospital._id,
+    destinationReasoning: destination.reasoning,
+    priority,
+    reportedPriority,
+    triage: assessment,
+    medicalInfo,
+    escalation,
+    status: 'Pending',
+    timeline: [
+      {
+        status: 'Pending',
+        notes: details.isGuest ? 'Emergency reported by guest caller' : 'Emergency request created',
+        location: {
+          type: 'Point',
+          coordinates: location.coordinates
+        }
+      },
+      escalation && {
+        status: 'Pending',
+        event: 'escalation',
+        notes: `Level 1 at intake: no hospital within ${matchingConfig.searchRadiusKm} km, ` +
+          `search widened to ${escalation.searchRadiusKm} km`,
+        location: {
+          type: 'Point',
+          coordinates: location.coordinates
+        }
+      }
+    ].filter(Boolean)
+  });
+
+  // Another caller may already have reported this; let the hospital decide
+  // before sending a second unit
+  const duplicates = await findPossibleDuplicates(emergency);
+  if (duplicates.length > 0) {
+    await holdAsDuplicate(emergency, duplicates, io);
+  } else {
+    // Offer the emergency to the best available unit, otherwise leave it queued
+    const ambulance = await offerDispatch(emergency, io);
+    if (!ambulance) {
+      await emergency.logEvent('queued', 'No ambulance available, queued for dispatch').save();
+    }
+  }
+
+  // Notify hospital and update emergency status
+  const updatedEmergency = await Emergency.findById(emergency._id)
+    .populate('patient', 'name phone medicalInfo')
+    .populate('assignedAmbulance', 'vehicleNumber driver')
+    .populate('lendingHospital', 'name');
+
+  // Emit real-time update
+  io.to(`hospital_${hospital._id}`).emit('new_emergency', updatedEmergency);
+
+  // Give a separate receiving hospital notice of the incoming patient
+  if (!emergency.receivingHospital.equals(hospital._id)) {
+    io.to(`hospital_${emergency.receivingHospital}`).emit('incoming_patient', updatedEmergency);
+  }
+
+  // Let the lending hospital know one of its units went out under mutual aid
+  if (updatedEmergency.lendingHospital) {
+    io.to(`hospital_${updatedEmergency.lendingHospital._id}`).emit('mutual_aid_dispatch', updatedEmergency);
+  }
+
+  return {
+    emergency: updatedEmergency,
+    queue: await getQueueStatus(updatedEmergency)
+  };
+};
+
+module.exports = {
+  resolvePatient,
+  createEmergencyRequest
+};
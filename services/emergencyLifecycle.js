@@ -0,0 +1,301 @@
+const Ambulance = require('../models/Ambulance');
+const TransportBooking = require('../models/TransportBooking');
+const TransferRequest = require('../models/TransferRequest');
+const NotificationService = require('./notificationService');
+const { sendHandoffPacket } = require('./handoffService');
+const { recordMilestone } = require('./slaMonitor');
+const { ForbiddenError, TransitionError } = require('../middleware/errorHandler');
+const { assertTransition, allowedTransitions, getTransition } = require('../utils/emergencyTransitions');
+const {
+  CANCELLATION_REASONS,
+  STAFF_REASONS,
+  STAFF_ROLES,
+  MERGE_REASON
+} = require('../utils/cancellationReasons');
+
+/**
+ * Put the emergency's unit on duty
+ * @param {Object} emergency - Emergency document
+ */
+const occupyAmbulance = async (emergency) => {
+  await Ambulance.findByIdAndUpdate(emergency.assignedAmbulance, {
+    status: 'On Duty',
+    currentEmergency: emergency._id
+  });
+};
+
+/**
+ * Return every unit held for the emergency, assigned or offered, to service
+ * @param {Object} emergency - Emergency document
+ * @param {Object} context - Transition context
+ * @param {Object} context.io - Socket.io server
+ */
+const releaseAmbulances = async (emergency, { io }) => {
+  const { modifiedCount } = await Ambulance.updateMany(
+    { currentEmergency: emergency._id },
+    { status: 'Available', currentEmergency: null }
+  );
+
+  // The freed unit can take the next queued emergency. Required here
+  // because the dispatch queue itself moves emergencies through this module.
+  if (modifiedCount > 0 && io) {
+    const { requestDispatchRetry } = require('./dispatchQueue');
+    requestDispatchRetry(io);
+  }
+};
+
+/**
+ * Tell the crew of every unit held for the emergency that it was called off
+ * @param {Object} emergency - Emergency document
+ * @param {Object} context - Transition context
+ * @param {Object} context.io - Socket.io server
+ */
+const notifyCrewOfCancellation = async (emergency, { io }) => {
+  if (!io) return;
+
+  const ambulances = await Ambulance.find({ currentEmergency: emergency._id }).select('driver');
+  const notificationService = new NotificationService(io);
+
+  for (const ambulance of ambulances) {
+    await notificationService.notifyUser(ambulance.driver, 'emergency_cancelled', {
+      emergencyId: emergency._id,
+      ambulanceId: ambulance._id,
+      reason: emergency.cancellation?.reason,
+      notes: emergency.cancellation?.notes
+    });
+  }
+};
+
+/**
+ * Tell the emergency room, the patient and their contacts about the new status
+ * @param {Object} emergency - Emergency document
+ * @param {Object} context - Transition context
+ * @param {Object} context.io - Socket.io server
+ */
+const announceMilestone = async (emergency, { io }) => {
+  if (!io) return;
+  await new NotificationService(io).handleMilestone(emergency);
+};
+
+/**
+ * Send the assignment to the crew of the dispatched unit, the hospital,
+ * and the patient and caller
+ * @param {Object} emergency - Emergency document
+ * @param {Object} context - Transition context
+ * @param {Object} context.io - Socket.io server
+ */
+const announceAssignment = async (emergency, { io }) => {
+  if (!io) return;
+  await new NotificationService(io).handleNewEmergency(emergency);
+};
+
+/**
+ * Send the receiving hospital the pre-arrival handoff packet
+ * @param {Object} emergency - Emergency document
+ * @param {Object} context - Transition context
+ * @param {Object} context.io - Socket.io server
+ */
+const sendHandoff = async (emergency, { io }) => {
+  if (!io) return;
+  await sendHandoffPacket(emergency, io);
+};
+
+/**
+ * Close the scheduled transport booking the emergency was dispatched for
+ * @param {Object} emergency - Emergency document
+ */
+const closeTransportBooking = async (emergency) => {
+  if (!emergency.transportBooking) return;
+
+  const update = emergency.status === 'Completed'
+    ? { status: 'Completed' }
+    : {
+      status: 'Cancelled',
+      cancelledAt: emergency.cancelledAt,
+      cancellationReason: emergency.cancellation?.notes || emergency.cancellation?.reason
+    };
+
+  await TransportBooking.updateOne(
+    { _id: emergency.transportBooking, status: 'Dispatched' },
+    update
+  );
+};
+
+// Transfer status each emergency status moves the transfer request to
+const TRANSFER_STATUSES = {
+  Transporting: 'In Transit',
+  'Handed Over': 'Completed',
+  Completed: 'Completed',
+  Cancelled: 'Cancelled'
+};
+
+/**
+ * Keep the inter-facility transfer the emergency is running in step, and
+ * post its progress to both hospitals
+ * @param {Object} emergency - Emergency document
+ * @param {Object} context - Transition context
+ * @param {Object} context.io - Socket.io server
+ */
+const syncTransferRequest = async (emergency, { io }) => {
+  if (!emergency.transferRequest) return;
+
+  const transfer = await TransferRequest.findById(emergency.transferRequest);
+  if (!transfer) return;
+
+  const status = TRANSFER_STATUSES[emergency.status];
+  if (status && status !== transfer.status && transfer.status !== 'Completed') {
+    transfer.setStatus(status, `Ambulance run ${emergency.status.toLowerCase()}`);
+    await transfer.save();
+  }
+
+  if (!io) return;
+
+  // Required here because the transfer service dispatches through this module
+  const { notifyTransferHospitals } = require('./transferService');
+  await notifyTransferHospitals(io, transfer, 'transfer_updated', {
+    emergencyStatus: emergency.status
+  });
+};
+
+// Side effects run after the emergency has entered a status
+const ON_ENTER = {
+  Dispatched: [occupyAmbulance, announceAssignment, announceMilestone],
+  'En Route': [announceMilestone],
+  'On Scene': [announceMilestone],
+  Transporting: [sendHandoff, announceMilestone],
+  'At Hospital': [announceMilestone],
+  'Handed Over': [announceMilestone],
+  Completed: [releaseAmbulances, closeTransportBooking, announceMilestone],
+  // Crew is told before their unit is released
+  Cancelled: [notifyCrewOfCancellation, releaseAmbulances, closeTransportBooking, announceMilestone]
+};
+
+// Side effects run after the emergency has entered any status
+const ON_ENTER_ANY = [syncTransferRequest, recordMilestone];
+
+/**
+ * Work out which lifecycle roles a user holds on an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Authenticated user, or null for internal callers
+ * @returns {Promise<Array<string>>} Lifecycle roles
+ */
+const resolveActorRoles = async (emergency, user) => {
+  if (!user) return ['system'];
+
+  const roles = [];
+  const patientId = emergency.patient?._id || emergency.patient;
+  const callerId = emergency.caller?._id || emergency.caller;
+
+  if (user.role === 'admin') roles.push('admin');
+  if (user.role === 'hospital_admin') roles.push('hospital_admin');
+  if (patientId && patientId.toString() === user.id) roles.push('patient');
+  if (
+    (callerId && callerId.toString() === user.id) ||
+    // Callers of duplicate reports merged into this one
+    emergency.additionalCallers?.some(entry => entry.user?.toString() === user.id)
+  ) {
+    roles.push('caller');
+  }
+
+  if (user.role === 'driver' && emergency.assignedAmbulance) {
+    const ambulance = await Ambulance.findById(emergency.assignedAmbulance).select('driver');
+    if (ambulance && ambulance.driver.toString() === user.id) {
+      roles.push('assigned_driver');
+    }
+  }
+
+  return roles;
+};
+
+/**
+ * Move an emergency to a new status, enforcing the transition table and
+ * running the side effects attached to the new status
+ * @param {Object} emergency - Emergency document
+ * @param {string} newStatus - Requested status
+ * @param {Object} options - Transition options
+ * @param {Object} options.user - Acting user, omit for internal callers
+ * @param {string} options.notes - Timeline notes
+ * @param {Object} options.io - Socket.io server
+ * @returns {Promise<Object>} Updated emergency
+ */
+const transitionEmergency = async (emergency, newStatus, { user = null, notes = '', io } = {}) => {
+  const from = emergency.status;
+  const transition = assertTransition(from, newStatus);
+
+  const actorRoles = await resolveActorRoles(emergency, user);
+  if (!transition.roles.some(role => actorRoles.includes(role))) {
+    throw new TransitionError(
+      `Not authorized to move emergency from ${from} to ${newStatus}`,
+      {
+        from,
+        to: newStatus,
+        allowedTransitions: allowedTransitions(from),
+        allowedRoles: transition.roles
+      },
+      403
+    );
+  }
+
+  if (transition.requiresAmbulance && !emergency.assignedAmbulance) {
+    throw new TransitionError(`An ambulance must be assigned before moving to ${newStatus}`, {
+      from,
+      to: newStatus,
+      allowedTransitions: allowedTransitions(from),
+      allowedRoles: transition.roles
+    });
+  }
+
+  await emergency.updateStatus(newStatus, notes);
+
+  for (const effect of [...(ON_ENTER[newStatus] || []), ...ON_ENTER_ANY]) {
+    await effect(emergency, { from, user, io });
+  }
+
+  return emergency;
+};
+
+/**
+ * Cancel an emergency with a reason. Only possible before the patient is
+ * picked up; see the transition table.
+ * @param {Object} emergency - Emergency document
+ * @param {Object} options - Cancellation options
+ * @param {Object} options.user - Cancelling user, omit for internal callers
+ * @param {string} options.reason - Reason code, see utils/cancellationReasons
+ * @param {string} options.notes - Free-text notes
+ * @param {Object} options.io - Socket.io server
+ * @param {boolean} options.merged - True when cancelling a duplicate merged into another report
+ * @returns {Promise<Object>} Cancelled emergency
+ * @throws {ForbiddenError} If the user may not give this reason
+ */
+const cancelEmergency = async (emergency, { user = null, reason, notes = '', io, merged = false } = {}) => {
+  const transition = getTransition(emergency.status, 'Cancelled');
+  const actorRoles = await resolveActorRoles(emergency, user);
+
+  if (reason === MERGE_REASON && !merged) {
+    throw new ForbiddenError('Duplicate reports are cancelled by merging them into the original');
+  }
+
+  // Abuse reasons count against the caller, so the caller cannot give them
+  if (STAFF_REASONS.includes(reason) && !STAFF_ROLES.some(role => actorRoles.includes(role))) {
+    throw new ForbiddenError(`Only dispatch staff or the crew can cancel as ${CANCELLATION_REASONS[reason].toLowerCase()}`);
+  }
+
+  emergency.cancellation = {
+    reason,
+    notes,
+    cancelledBy: user?.id,
+    cancelledByRole: actorRoles.find(role => transition?.roles.includes(role)) || actorRoles[0]
+  };
+
+  return transitionEmergency(emergency, 'Cancelled', {
+    user,
+    notes: [CANCELLATION_REASONS[reason], notes].filter(Boolean).join(': '),
+    io
+  });
+};
+
+module.exports = {
+  transitionEmergency,
+  cancelEmergency,
+  resolveActorRoles
+};
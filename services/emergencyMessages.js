@@ -0,0 +1,88 @@
+const EmergencyMessage = require('../models/EmergencyMessage');
+const NotificationService = require('./notificationService');
+
+/**
+ * Post a message to an emergency's thread and deliver it live to the
+ * emergency room
+ * @param {Object} emergency - Emergency document
+ * @param {Object} sender - { user, role } posting the message
+ * @param {string} body - Message text
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} Message document with the sender populated
+ */
+const postMessage = async (emergency, { user, role }, body, io) => {
+  const message = await EmergencyMessage.create({
+    emergency: emergency._id,
+    sender: user.id,
+    senderRole: role,
+    body,
+    // The sender has read their own message
+    readBy: [{ user: user.id }]
+  });
+
+  await message.populate('sender', 'name role');
+
+  await new NotificationService(io).notifyEmergency(emergency._id, 'emergency_message', message);
+
+  return message;
+};
+
+/**
+ * Get an emergency's messages, oldest first
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} options - List options
+ * @param {Date} options.since - Only messages posted after this time
+ * @returns {Promise<Array>} Message documents
+ */
+const listMessages = (emergencyId, { since } = {}) => {
+  const query = { emergency: emergencyId };
+  if (since) {
+    query.createdAt = { $gt: since };
+  }
+
+  return EmergencyMessage.find(query)
+    .populate('sender', 'name role')
+    .populate('readBy.user', 'name')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Record that a user has read an emergency's messages and tell the others
+ * in the thread
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Reader
+ * @param {Object} io - Socket.io server
+ * @param {Object} options - Read options
+ * @param {Date} options.upTo - Only messages posted up to this time, defaults to all
+ * @returns {Promise<Object>} { read, readAt }
+ */
+const markMessagesRead = async (emergency, user, io, { upTo } = {}) => {
+  const readAt = new Date();
+
+  const { modifiedCount } = await EmergencyMessage.updateMany(
+    {
+      emergency: emergency._id,
+      createdAt: { $lte: upTo || readAt },
+      'readBy.user': { $ne: user.id }
+    },
+    { $push: { readBy: { user: user.id, readAt } } }
+  );
+
+  if (modifiedCount > 0) {
+    await new NotificationService(io).notifyEmergency(emergency._id, 'messages_read', {
+      emergencyId: emergency._id,
+      userId: user.id,
+      name: user.name,
+      upTo: upTo || readAt,
+      readAt
+    });
+  }
+
+  return { read: modifiedCount, readAt };
+};
+
+module.exports = {
+  postMessage,
+  listMessages,
+  markMessagesRead
+};
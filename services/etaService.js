@@ -0,0 +1,113 @@
+const Hospital = require('../models/Hospital');
+const routingConfig = require('../config/routing');
+const { getRoute } = require('./routing');
+
+const { lateThresholdMinutes, historyLimit } = routingConfig.eta;
+
+// Statuses in which the unit is heading to the scene or to hospital
+const SCENE_STATUSES = ['Dispatched', 'En Route'];
+const HOSPITAL_STATUSES = ['Transporting'];
+
+/**
+ * Convert a GeoJSON [longitude, latitude] pair to { lat, lng }
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Object} Coordinate { lat, lng }
+ */
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+/**
+ * Work out where the ambulance is currently heading
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object|null>} { target, coordinates } or null if not travelling
+ */
+const resolveDestination = async (emergency) => {
+  if (SCENE_STATUSES.includes(emergency.status)) {
+    return { target: 'scene', coordinates: emergency.location.coordinates };
+  }
+
+  if (HOSPITAL_STATUSES.includes(emergency.status)) {
+    const hospital = await Hospital.findById(emergency.receivingHospital || emergency.hospital)
+      .select('address.location');
+    if (hospital) {
+      return { target: 'hospital', coordinates: hospital.address.location.coordinates };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Recompute the ETA from the ambulance's latest position, record it in the
+ * emergency's ETA history and flag the call as running late if the ETA has
+ * slipped past the threshold. The caller saves the emergency.
+ * @param {Object} emergency - Emergency document
+ * @param {Array<number>} coordinates - Ambulance position [longitude, latitude]
+ * @returns {Promise<Object|null>} ETA update payload or null if the unit is not travelling
+ */
+const recalculateEta = async (emergency, coordinates) => {
+  const destination = await resolveDestination(emergency);
+
+  if (!destination) {
+    return null;
+  }
+
+  const { target } = destination;
+  const route = await getRoute(
+    toLatLng(coordinates),
+    toLatLng(destination.coordinates),
+    { priority: emergency.priority }
+  );
+
+  const eta = route.arrivalTime;
+  const computedAt = new Date();
+
+  if (target === 'scene') {
+    emergency.estimatedArrivalTime = eta;
+  } else {
+    emergency.estimatedHospitalArrivalTime = eta;
+  }
+
+  // The first ETA for a leg is what lateness is measured against
+  if (!emergency.etaBaseline?.[target]) {
+    emergency.set(`etaBaseline.${target}`, eta);
+  }
+
+  emergency.etaHistory.push({
+    target,
+    eta,
+    distanceKm: Number(route.distance.toFixed(2)),
+    provider: route.provider,
+    computedAt
+  });
+  if (emergency.etaHistory.length > historyLimit) {
+    emergency.etaHistory.splice(0, emergency.etaHistory.length - historyLimit);
+  }
+
+  const delayMs = eta - emergency.etaBaseline[target];
+  const isLate = delayMs > lateThresholdMinutes * 60000;
+  // Each leg is flagged on its own
+  const wasLate = emergency.runningLate?.isLate && emergency.runningLate.target === target;
+  const becameLate = isLate && !wasLate;
+
+  emergency.runningLate = {
+    isLate,
+    target,
+    delayMinutes: Math.max(0, Math.round(delayMs / 60000)),
+    flaggedAt: isLate ? (wasLate ? emergency.runningLate.flaggedAt : computedAt) : null
+  };
+
+  return {
+    emergencyId: emergency._id,
+    target,
+    eta,
+    distanceKm: Number(route.distance.toFixed(2)),
+    provider: route.provider,
+    runningLate: emergency.runningLate,
+    becameLate,
+    computedAt
+  };
+};
+
+module.exports = {
+  recalculateEta
+};
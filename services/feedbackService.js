@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { RATING_CATEGORIES } = require('../utils/feedbackRatings');
+const { AppError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Average to one decimal, or null when nothing was rated
+ * @param {number|null} value - Raw average
+ * @returns {number|null} Rounded average
+ */
+const roundAverage = (value) => {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+};
+
+/**
+ * Record a patient's feedback on a completed emergency. Feedback can only
+ * be given once.
+ * @param {string} emergencyId - Emergency ID
+ * @param {Object} user - Patient giving feedback
+ * @param {Object} feedback - { ratings: { crew, responseTime, hospital }, comments }
+ * @returns {Promise<Object>} Updated emergency document
+ * @throws {NotFoundError|ForbiddenError|AppError} If feedback cannot be given
+ */
+const submitFeedback = async (emergencyId, user, { ratings, comments }) => {
+  const emergency = await Emergency.findById(emergencyId)
+    .select('patient status assignedAmbulance assignedDriver hospital receivingHospital feedback');
+
+  if (!emergency) {
+    throw new NotFoundError('Emergency not found');
+  }
+
+  if (emergency.patient?.toString() !== user.id) {
+    throw new ForbiddenError('Only the patient can give feedback on this emergency');
+  }
+
+  if (emergency.status !== 'Completed') {
+    throw new AppError('Feedback can only be given once the emergency is completed', 409);
+  }
+
+  const ambulance = emergency.assignedAmbulance
+    ? await Ambulance.findById(emergency.assignedAmbulance).select('hospital')
+    : null;
+
+  const rating = RATING_CATEGORIES.reduce((sum, category) => sum + ratings[category], 0) /
+    RATING_CATEGORIES.length;
+
+  // Claimed atomically so a second submission cannot overwrite the first
+  const updated = await Emergency.findOneAndUpdate(
+    { _id: emergency._id, 'feedback.submittedAt': null },
+    {
+      feedback: {
+        rating: roundAverage(rating),
+        ratings,
+        comments,
+        ambulance: ambulance?._id,
+        // The unit may have changed crew since; credit who drove this call
+        driver: emergency.assignedDriver,
+        crewHospital: ambulance?.hospital,
+        hospital: emergency.receivingHospital || emergency.hospital,
+        submittedAt: new Date()
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Feedback has already been given for this emergency', 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Group stage averaging the given rating categories
+ * @param {*} groupId - Group key expression
+ * @param {Array<string>} categories - Rating categories to average
+ * @returns {Object} $group stage
+ */
+const averageStage = (groupId, categories) => ({
+  $group: {
+    _id: groupId,
+    count: { $sum: 1 },
+    ...Object.fromEntries(categories.map(category => [
+      category,
+      { $avg: `$feedback.ratings.${category}` }
+    ]))
+  }
+});
+
+/**
+ * Round the averages of an aggregated group
+ * @param {Object} group - Group from averageStage
+ * @param {Array<string>} categories - Rating categories averaged
+ * @returns {Object} { count, averages }
+ */
+const toSummary = (group, categories) => ({
+  count: group?.count || 0,
+  averages: Object.fromEntries(categories.map(category => [
+    category,
+    roundAverage(group?.[category] ?? null)
+  ]))
+});
+
+/**
+ * Roll a hospital's feedback up into averages for the hospital, each of
+ * its units and each of its drivers
+ * @param {string} hospitalId - Hospital ID
+ * @param {Object} options - Summary options
+ * @param {Date} options.from - Only feedback given after this time
+ * @param {Date} options.to - Only feedback given before this time
+ * @returns {Promise<Object>} { hospital, byAmbulance, byDriver }
+ */
+const summarizeFeedback = async (hospitalId, { from, to } = {}) => {
+  const id = new mongoose.Types.ObjectId(hospitalId);
+  const crewCategories = ['crew', 'responseTime'];
+
+  const submittedAt = { $ne: null };
+  if (from) submittedAt.$gte = from;
+  if (to) submittedAt.$lte = to;
+
+  const [result] = await Emergency.aggregate([
+    {
+      $match: {
+        'feedback.submittedAt': submittedAt,
+        $or: [{ 'feedback.hospital': id }, { 'feedback.crewHospital': id }]
+      }
+    },
+    {
+      $facet: {
+        hospital: [
+          { $match: { 'feedback.hospital': id } },
+          averageStage(null, ['hospital'])
+        ],
+        byAmbulance: [
+          { $match: { 'feedback.crewHospital': id, 'feedback.ambulance': { $ne: null } } },
+          averageStage('$feedback.ambulance', crewCategories),
+          {
+            $lookup: {
+              from: 'ambulances',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'ambulance'
+            }
+          },
+          { $sort: { count: -1 } }
+        ],
+        byDriver: [
+          { $match: { 'feedback.crewHospital': id, 'feedback.driver': { $ne: null } } },
+          averageStage('$feedback.driver', crewCategories),
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'driver'
+            }
+          },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    hospital: toSummary(result.hospital[0], ['hospital']),
+    byAmbulance: result.byAmbulance.map(group => ({
+      ambulance: group.ambulance[0]
+        ? { _id: group._id, vehicleNumber: group.ambulance[0].vehicleNumber, type: group.ambulance[0].type }
+        : { _id: group._id },
+      ...toSummary(group, crewCategories)
+    })),
+    byDriver: result.byDriver.map(group => ({
+      driver: group.driver[0]
+        ? { _id: group._id, name: group.driver[0].name }
+        : { _id: group._id },
+      ...toSummary(group, crewCategories)
+    }))
+  };
+};
+
+module.exports = {
+  submitFeedback,
+  summarizeFeedback
+};
@@ -0,0 +1,100 @@
+const GuestVerification = require('../models/GuestVerification');
+const guestConfig = require('../config/guestIntake');
+const { sendOTP } = require('./smsService');
+const { generateOTP, hashString, safeCompareHash, formatPhoneNumber } = require('../utils/helpers');
+const { BadRequestError, UnauthorizedError } = require('../middleware/errorHandler');
+
+/**
+ * Text a one-time code to a guest caller
+ * @param {string} phone - Caller phone number
+ * @param {string} ip - Caller IP address
+ * @returns {Promise<Object>} GuestVerification document
+ */
+const requestGuestOtp = async (phone, ip) => {
+  const { length, ttlMinutes } = guestConfig.otp;
+  const otp = generateOTP(length);
+
+  const verification = await GuestVerification.create({
+    phone: formatPhoneNumber(phone),
+    otpHash: hashString(otp),
+    ip,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60000)
+  });
+
+  await sendOTP(verification.phone, otp, 'emergency request');
+
+  return verification;
+};
+
+/**
+ * Check a guest caller's one-time code and claim it. A verification can be
+ * used for one emergency only.
+ * @param {string} verificationId - GuestVerification ID
+ * @param {string} phone - Caller phone number
+ * @param {string} otp - Code the caller entered
+ * @returns {Promise<Object>} Claimed GuestVerification document
+ * @throws {UnauthorizedError} If the code is wrong, expired or out of attempts
+ * @throws {BadRequestError} If the code has already been used
+ */
+const verifyGuestOtp = async (verificationId, phone, otp) => {
+  const verification = await GuestVerification.findById(verificationId);
+
+  if (
+    !verification ||
+    verification.phone !== formatPhoneNumber(phone) ||
+    verification.expiresAt <= new Date()
+  ) {
+    throw new UnauthorizedError('Verification code expired or not found');
+  }
+
+  if (verification.consumedAt || verification.emergency) {
+    throw new BadRequestError('Verification code has already been used');
+  }
+
+  // Counted before the code is checked so parallel guesses cannot go past the limit
+  const attempt = await GuestVerification.findOneAndUpdate(
+    { _id: verification._id, attempts: { $lt: guestConfig.otp.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+otpHash');
+
+  if (!attempt) {
+    throw new UnauthorizedError('Too many incorrect codes, request a new one');
+  }
+
+  if (!safeCompareHash(hashString(String(otp)), attempt.otpHash)) {
+    throw new UnauthorizedError('Invalid verification code');
+  }
+
+  // Only one request can claim the code
+  const now = new Date();
+  const claimed = await GuestVerification.findOneAndUpdate(
+    { _id: verification._id, emergency: null, consumedAt: null },
+    { consumedAt: now, verifiedAt: now },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new BadRequestError('Verification code has already been used');
+  }
+
+  return claimed;
+};
+
+/**
+ * Give back a claimed code that did not lead to an emergency, so the caller
+ * can retry without a new code
+ * @param {Object} verification - Claimed GuestVerification document
+ */
+const releaseGuestOtp = async (verification) => {
+  await GuestVerification.updateOne(
+    { _id: verification._id, emergency: null },
+    { consumedAt: null }
+  );
+};
+
+module.exports = {
+  requestGuestOtp,
+  verifyGuestOtp,
+  releaseGuestOtp
+};
@@ -0,0 +1,75 @@
+const Emergency = require('../models/Emergency');
+const guestConfig = require('../config/guestIntake');
+const { generateRandomString, hashString, safeCompareHash } = require('../utils/helpers');
+
+/**
+ * Create a tracking token for a guest emergency. Only its hash is stored.
+ * @returns {Object} { token, guestAccess } - guestAccess is saved on the emergency
+ */
+const issueTrackingToken = () => {
+  const token = generateRandomString(48);
+
+  return {
+    token,
+    guestAccess: {
+      tokenHash: hashString(token),
+      expiresAt: new Date(Date.now() + guestConfig.trackingTokenHours * 3600000)
+    }
+  };
+};
+
+/**
+ * Find the guest emergency a tracking token grants access to
+ * @param {string} emergencyId - Emergency ID
+ * @param {string} token - Tracking token
+ * @returns {Promise<Object|null>} Emergency document or null if the token does not match
+ */
+const findTrackedEmergency = async (emergencyId, token) => {
+  if (!token) return null;
+
+  const emergency = await Emergency.findById(emergencyId).select('+guestAccess.tokenHash');
+
+  if (
+    !emergency?.isGuest ||
+    !emergency.guestAccess?.expiresAt ||
+    emergency.guestAccess.expiresAt <= new Date() ||
+    !safeCompareHash(hashString(token), emergency.guestAccess.tokenHash)
+  ) {
+    return null;
+  }
+
+  return emergency;
+};
+
+/**
+ * What a guest caller may see about the emergency they reported
+ * @param {Object} emergency - Emergency document with assignedAmbulance and receivingHospital populated
+ * @returns {Object} Tracking view
+ */
+const toTrackingView = (emergency) => ({
+  _id: emergency._id,
+  status: emergency.status,
+  priority: emergency.priority,
+  location: emergency.location,
+  patientDetails: emergency.patientDetails,
+  ambulance: emergency.assignedAmbulance ? {
+    vehicleNumber: emergency.assignedAmbulance.vehicleNumber,
+    currentLocation: emergency.assignedAmbulance.currentLocation
+  } : null,
+  receivingHospital: emergency.receivingHospital ? {
+    name: emergency.receivingHospital.name,
+    address: emergency.receivingHospital.address
+  } : null,
+  estimatedArrivalTime: emergency.estimatedArrivalTime,
+  runningLate: emergency.runningLate,
+  timeline: emergency.timeline
+    .filter(entry => !entry.event)
+    .map(({ status, timestamp }) => ({ status, timestamp })),
+  createdAt: emergency.createdAt
+});
+
+module.exports = {
+  issueTrackingToken,
+  findTrackedEmergency,
+  toTrackingView
+};
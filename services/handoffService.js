@@ -0,0 +1,139 @@
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const EmergencyAttachment = require('../models/EmergencyAttachment');
+const NotificationService = require('./notificationService');
+const { recalculateEta } = require('./etaService');
+
+// Most recent crew observations included in the packet
+const OBSERVATIONS_IN_PACKET = 5;
+
+/**
+ * Assemble what the receiving ER needs before the patient arrives
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Object|null>} Handoff packet or null if the emergency is gone
+ */
+const buildHandoffPacket = async (emergencyId) => {
+  const emergency = await Emergency.findById(emergencyId)
+    .populate('patient', 'name phone medicalInfo')
+    .populate('assignedAmbulance', 'vehicleNumber type driver')
+    .populate('observations.recordedBy', 'name');
+
+  if (!emergency) {
+    return null;
+  }
+
+  const patientInfo = emergency.patient?.medicalInfo || {};
+
+  // Photos and documents from the scene, downloaded through the access-checked links
+  const attachments = await EmergencyAttachment.find({ emergency: emergency._id })
+    .select('category description originalName contentType size createdAt emergency')
+    .sort({ createdAt: 1 });
+
+  return {
+    emergencyId: emergency._id,
+    priority: emergency.priority,
+    status: emergency.status,
+    patient: {
+      name: emergency.patient?.name || emergency.patientDetails?.name,
+      phone: emergency.patient?.phone,
+      // Unregistered patients carry what the caller could tell
+      details: emergency.patient ? undefined : emergency.patientDetails,
+      bloodType: patientInfo.bloodType,
+      allergies: patientInfo.allergies || [],
+      conditions: patientInfo.conditions || [],
+      medications: patientInfo.medications || [],
+      notes: patientInfo.notes
+    },
+    medicalInfo: emergency.medicalInfo,
+    observations: emergency.observations.slice(-OBSERVATIONS_IN_PACKET).reverse(),
+    attachments: attachments.map(attachment => ({
+      _id: attachment._id,
+      category: attachment.category,
+      description: attachment.description,
+      originalName: attachment.originalName,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      uploadedAt: attachment.createdAt,
+      url: attachment.url
+    })),
+    eta: emergency.estimatedHospitalArrivalTime,
+    requiredFacilities: emergency.destinationReasoning?.requiredFacilities || [],
+    ambulance: emergency.assignedAmbulance,
+    sentAt: new Date()
+  };
+};
+
+/**
+ * Push the pre-arrival handoff packet to the receiving hospital. Sent when
+ * transport starts and again whenever the crew records new observations.
+ * @param {Object} emergency - Emergency document
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object|null>} Packet sent, or null
+ */
+const sendHandoffPacket = async (emergency, io) => {
+  // Refresh the hospital ETA from the unit's last known position
+  const ambulance = await Ambulance.findById(emergency.assignedAmbulance).select('currentLocation');
+  if (ambulance?.currentLocation?.coordinates?.length === 2) {
+    await recalculateEta(emergency, ambulance.currentLocation.coordinates)
+      .catch(error => console.error('Recalculate ETA error:', error));
+  }
+
+  const now = new Date();
+  if (!emergency.handoff?.sentAt) {
+    emergency.set('handoff.sentAt', now);
+    emergency.logEvent('handoff_sent', 'Pre-arrival handoff sent to receiving hospital');
+  }
+  emergency.set('handoff.lastSentAt', now);
+  await emergency.save();
+
+  const packet = await buildHandoffPacket(emergency._id);
+  if (!packet) {
+    return null;
+  }
+
+  await new NotificationService(io).notifyHospital(
+    emergency.receivingHospital || emergency.hospital,
+    'pre_arrival_handoff',
+    packet
+  );
+
+  return packet;
+};
+
+/**
+ * Record that the ER team is ready for the patient and tell the crew
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Acknowledging hospital user
+ * @param {string} notes - Optional notes for the crew, e.g. the bay to go to
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} Updated emergency
+ */
+const acknowledgeHandoff = async (emergency, user, notes, io) => {
+  emergency.set('handoff.acknowledgedAt', new Date());
+  emergency.set('handoff.acknowledgedBy', user.id);
+  emergency.set('handoff.notes', notes);
+  emergency.logEvent('handoff_acknowledged', notes ? `ER ready: ${notes}` : 'ER ready');
+  await emergency.save();
+
+  const payload = {
+    emergencyId: emergency._id,
+    acknowledgedAt: emergency.handoff.acknowledgedAt,
+    acknowledgedBy: user.name,
+    notes
+  };
+
+  const notificationService = new NotificationService(io);
+  const ambulance = await Ambulance.findById(emergency.assignedAmbulance).select('driver');
+  if (ambulance) {
+    await notificationService.notifyUser(ambulance.driver, 'handoff_acknowledged', payload);
+  }
+  await notificationService.notifyEmergency(emergency._id, 'handoff_acknowledged', payload);
+
+  return emergency;
+};
+
+module.exports = {
+  buildHandoffPacket,
+  sendHandoffPacket,
+  acknowledgeHandoff
+};
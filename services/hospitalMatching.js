@@ -0,0 +1,178 @@
+const Hospital = require('../models/Hospital');
+const matchingConfig = require('../config/hospitalMatching');
+const { calculateDistance } = require('../utils/helpers');
+
+/**
+ * Convert a GeoJSON [longitude, latitude] pair to { lat, lng }
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Object} Coordinate { lat, lng }
+ */
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+/**
+ * Build a pattern matching a keyword or phrase as whole words, so that
+ * e.g. "labor" does not match "laboratory"
+ * @param {string} keyword - Keyword or phrase
+ * @returns {RegExp} Case-insensitive pattern
+ */
+const keywordPattern = (keyword) => {
+  const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`\\b${escaped}\\b`, 'i');
+};
+
+/**
+ * Work out which facilities and capacity the receiving hospital needs
+ * @param {Object} medicalInfo - Emergency medical info { condition, symptoms }
+ * @param {string} priority - Emergency priority
+ * @returns {Object} { matchedRules, facilities, capacity }
+ */
+const matchRequirements = (medicalInfo = {}, priority = 'Medium') => {
+  const { rules, requiredCapacity } = matchingConfig;
+  const text = [medicalInfo.condition, ...(medicalInfo.symptoms || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  const matched = rules.filter(rule =>
+    rule.keywords.some(keyword => keywordPattern(keyword).test(text))
+  );
+
+  return {
+    matchedRules: matched.map(rule => rule.name),
+    facilities: [...new Set(matched.flatMap(rule => rule.facilities))],
+    capacity: [...new Set([
+      ...(requiredCapacity[priority] || requiredCapacity.Medium),
+      ...matched.flatMap(rule => rule.capacity)
+    ])]
+  };
+};
+
+/**
+ * Score a hospital against the patient's requirements
+ * @param {Object} hospital - Hospital document
+ * @param {Array<number>} coordinates - Scene [longitude, latitude]
+ * @param {Object} requirements - Output of matchRequirements
+ * @returns {Object} { hospital, distanceKm, occupancy, full, missingFacilities, effectiveDistanceKm }
+ */
+const scoreHospital = (hospital, coordinates, requirements) => {
+  const distanceKm = calculateDistance(
+    toLatLng(coordinates),
+    toLatLng(hospital.address.location.coordinates)
+  );
+
+  // Units the hospital does not report are left out
+  const reported = requirements.capacity
+    .map(unit => hospital.occupancy(unit))
+    .filter(value => value !== null);
+  const occupancy = reported.length ? Math.max(...reported) : 0;
+
+  return {
+    hospital,
+    distanceKm,
+    occupancy,
+    full: requirements.capacity.some(unit => hospital.isFull(unit)),
+    missingFacilities: requirements.facilities.filter(
+      facility => !hospital.facilities.includes(facility)
+    ),
+    effectiveDistanceKm: distanceKm * (1 + matchingConfig.occupancyPenalty * occupancy)
+  };
+};
+
+/**
+ * Order candidates: hospitals with free capacity first, then those missing
+ * the fewest required facilities, then by capacity-adjusted distance
+ * @param {Object} a - Scored hospital
+ * @param {Object} b - Scored hospital
+ * @returns {number} Sort order
+ */
+const compareCandidates = (a, b) => {
+  return (a.full - b.full) ||
+    (a.missingFacilities.length - b.missingFacilities.length) ||
+    (a.effectiveDistanceKm - b.effectiveDistanceKm);
+};
+
+/**
+ * Explain a destination choice in one line
+ * @param {Object} best - Chosen scored hospital
+ * @param {Object} requirements - Output of matchRequirements
+ * @returns {string} Summary
+ */
+const summarize = (best, requirements) => {
+  const parts = [`${best.hospital.name} is ${best.distanceKm.toFixed(1)}km away`];
+
+  if (requirements.facilities.length) {
+    parts.push(best.missingFacilities.length
+      ? `missing ${best.missingFacilities.join(', ')} (no closer match)`
+      : `has ${requirements.facilities.join(', ')}`);
+  }
+  parts.push(best.full
+    ? 'every hospital in range is at capacity'
+    : `${Math.round(best.occupancy * 100)}% occupied`);
+
+  return parts.join('; ');
+};
+
+/**
+ * Choose the hospital that should receive the patient, based on the
+ * facilities their condition needs, distance and capacity. This is
+ * independent of the hospital whose fleet dispatches the ambulance.
+ * @param {Object} emergency - Emergency data { location, medicalInfo, priority }
+ * @returns {Promise<Object>} { hospital, reasoning } - hospital is null if none is in range
+ */
+const selectDestinationHospital = async ({ location, medicalInfo, priority }) => {
+  const requirements = matchRequirements(medicalInfo, priority);
+  const radiusKm = requirements.facilities.length
+    ? matchingConfig.specialtySearchRadiusKm
+    : matchingConfig.searchRadiusKm;
+
+  const hospitals = await Hospital.find({
+    'address.location': {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: location.coordinates
+        },
+        $maxDistance: radiusKm * 1000
+      }
+    },
+    'workingHours.emergency': true,
+    isActive: true
+  });
+
+  const reasoning = {
+    matchedRules: requirements.matchedRules,
+    requiredFacilities: requirements.facilities,
+    requiredCapacity: requirements.capacity,
+    searchRadiusKm: radiusKm,
+    candidatesConsidered: hospitals.length,
+    decidedAt: new Date()
+  };
+
+  if (hospitals.length === 0) {
+    return {
+      hospital: null,
+      reasoning: { ...reasoning, summary: `No emergency hospital within ${radiusKm}km` }
+    };
+  }
+
+  const [best] = hospitals
+    .map(hospital => scoreHospital(hospital, location.coordinates, requirements))
+    .sort(compareCandidates);
+
+  return {
+    hospital: best.hospital,
+    reasoning: {
+      ...reasoning,
+      distanceKm: Number(best.distanceKm.toFixed(2)),
+      occupancy: Number(best.occupancy.toFixed(2)),
+      missingFacilities: best.missingFacilities,
+      atCapacity: best.full,
+      summary: summarize(best, requirements)
+    }
+  };
+};
+
+module.exports = {
+  matchRequirements,
+  selectDestinationHospital
+};
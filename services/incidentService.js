@@ -0,0 +1,256 @@
+const Ambulance = require('../models/Ambulance');
+const Hospital = require('../models/Hospital');
+const matchingConfig = require('../config/hospitalMatching');
+const { calculateDistance } = require('../utils/helpers');
+const { TRIAGE_TAGS, TAG_CAPACITY_UNITS } = require('../utils/triageTags');
+const { requestDispatchRetry } = require('./dispatchQueue');
+
+/**
+ * Convert a GeoJSON [longitude, latitude] pair to { lat, lng }
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Object} Coordinate { lat, lng }
+ */
+const toLatLng = ([lng, lat]) => ({ lat, lng });
+
+/**
+ * Count items by a key
+ * @param {Array} items - Items to count
+ * @param {Function} keyOf - Returns the key of an item
+ * @returns {Object} Counts keyed by key
+ */
+const countBy = (items, keyOf) => {
+  return items.reduce((counts, item) => {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * Commit available ambulances to an incident. Units that are busy or
+ * inactive are skipped. The caller checks the user may commit each unit.
+ * @param {Object} incident - Incident document
+ * @param {Array<string>} ambulanceIds - Ambulance IDs
+ * @returns {Promise<Object>} { attached, skipped } ambulance lists
+ */
+const attachAmbulances = async (incident, ambulanceIds) => {
+  const attached = [];
+  const skipped = [];
+
+  for (const ambulanceId of ambulanceIds) {
+    // Claimed atomically so the dispatcher cannot take it at the same time
+    const ambulance = await Ambulance.findOneAndUpdate(
+      { _id: ambulanceId, status: 'Available', isActive: true },
+      { status: 'On Duty', currentIncident: incident._id },
+      { new: true }
+    );
+
+    if (!ambulance) {
+      skipped.push(ambulanceId);
+      continue;
+    }
+
+    incident.ambulances.push({
+      ambulance: ambulance._id,
+      hospital: ambulance.hospital
+    });
+    attached.push(ambulance);
+  }
+
+  if (attached.length) {
+    incident.logEvent('ambulances_attached', attached.map(a => a.vehicleNumber).join(', '));
+  }
+
+  return { attached, skipped };
+};
+
+/**
+ * Return incident units to service
+ * @param {Object} incident - Incident document
+ * @param {Object} io - Socket.io server
+ * @param {string} ambulanceId - Release only this unit, otherwise all of them
+ * @returns {Promise<number>} Number of units released
+ */
+const releaseAmbulances = async (incident, io, ambulanceId = null) => {
+  const filter = { currentIncident: incident._id };
+  if (ambulanceId) filter._id = ambulanceId;
+
+  const { modifiedCount } = await Ambulance.updateMany(filter, {
+    status: 'Available',
+    currentIncident: null
+  });
+
+  const now = new Date();
+  incident.ambulances
+    .filter(entry => !entry.releasedAt && (!ambulanceId || entry.ambulance.equals(ambulanceId)))
+    .forEach(entry => { entry.releasedAt = now; });
+
+  if (modifiedCount > 0) {
+    incident.logEvent('ambulances_released', `${modifiedCount} unit(s) back in service`);
+    requestDispatchRetry(io);
+  }
+
+  return modifiedCount;
+};
+
+/**
+ * Beds each hospital has left for the incident, per capacity unit. Units a
+ * hospital does not report get a small allowance; casualties already sent
+ * there and not yet delivered are taken off.
+ * @param {Array} hospitals - Hospital documents
+ * @param {Array} casualties - Incident casualties
+ * @returns {Map} Hospital ID -> { unit: beds }
+ */
+const remainingBeds = (hospitals, casualties) => {
+  const remaining = new Map();
+
+  for (const hospital of hospitals) {
+    const beds = {};
+    for (const unit of Object.values(TAG_CAPACITY_UNITS)) {
+      const { total, available } = hospital.capacity?.[unit] || {};
+      beds[unit] = total ? available : matchingConfig.unreportedBedAllowance;
+    }
+    remaining.set(hospital._id.toString(), beds);
+  }
+
+  for (const casualty of casualties) {
+    const beds = casualty.destinationHospital &&
+      remaining.get(casualty.destinationHospital.toString());
+    const unit = TAG_CAPACITY_UNITS[casualty.triageTag];
+    if (beds && unit && casualty.transportStatus !== 'delivered') {
+      beds[unit] -= 1;
+    }
+  }
+
+  return remaining;
+};
+
+/**
+ * Spread casualties without a destination across nearby hospitals, most
+ * urgent first, each to the nearest hospital with a bed left in the unit
+ * their triage tag needs. When every hospital is full the casualty goes to
+ * the nearest one and is reported as over capacity.
+ * @param {Object} incident - Incident document
+ * @returns {Promise<Object>} { assigned, overCapacity } casualty lists
+ */
+const distributeCasualties = async (incident) => {
+  const pending = incident.casualties
+    .filter(casualty =>
+      TAG_CAPACITY_UNITS[casualty.triageTag] &&
+      casualty.transportStatus === 'awaiting' &&
+      !casualty.destinationHospital
+    )
+    .sort((a, b) => TRIAGE_TAGS.indexOf(a.triageTag) - TRIAGE_TAGS.indexOf(b.triageTag));
+
+  if (pending.length === 0) {
+    return { assigned: [], overCapacity: [] };
+  }
+
+  // $near returns hospitals sorted nearest first
+  const hospitals = await Hospital.find({
+    'address.location': {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: incident.location.coordinates
+        },
+        $maxDistance: matchingConfig.specialtySearchRadiusKm * 1000
+      }
+    },
+    'workingHours.emergency': true,
+    isActive: true
+  });
+
+  if (hospitals.length === 0) {
+    return { assigned: [], overCapacity: pending };
+  }
+
+  const remaining = remainingBeds(hospitals, incident.casualties);
+  const assigned = [];
+  const overCapacity = [];
+
+  for (const casualty of pending) {
+    const unit = TAG_CAPACITY_UNITS[casualty.triageTag];
+    const hospital = hospitals.find(h => remaining.get(h._id.toString())[unit] > 0);
+
+    if (hospital) {
+      remaining.get(hospital._id.toString())[unit] -= 1;
+      casualty.destinationHospital = hospital._id;
+    } else {
+      casualty.destinationHospital = hospitals[0]._id;
+      overCapacity.push(casualty);
+    }
+    assigned.push(casualty);
+  }
+
+  incident.logEvent(
+    'casualties_distributed',
+    `${assigned.length} casualties across hospitals` +
+      (overCapacity.length ? `, ${overCapacity.length} over capacity` : '')
+  );
+
+  return { assigned, overCapacity };
+};
+
+/**
+ * Summarise an incident for the command dashboard
+ * @param {Object} incident - Incident document with casualties and ambulances populated
+ * @returns {Object} Dashboard data
+ */
+const buildDashboard = (incident) => {
+  const { casualties } = incident;
+  const hospitals = new Map();
+
+  for (const casualty of casualties) {
+    if (!casualty.destinationHospital) continue;
+
+    const hospital = casualty.destinationHospital;
+    const key = (hospital._id || hospital).toString();
+    if (!hospitals.has(key)) {
+      hospitals.set(key, { hospital, casualties: [] });
+    }
+    hospitals.get(key).casualties.push(casualty);
+  }
+
+  return {
+    incident: {
+      _id: incident._id,
+      title: incident.title,
+      status: incident.status,
+      location: incident.location,
+      createdAt: incident.createdAt,
+      closedAt: incident.closedAt
+    },
+    casualties: {
+      total: casualties.length,
+      byTriageTag: countBy(casualties, casualty => casualty.triageTag),
+      byTransportStatus: countBy(casualties, casualty => casualty.transportStatus),
+      unassigned: casualties.filter(casualty =>
+        TAG_CAPACITY_UNITS[casualty.triageTag] && !casualty.destinationHospital
+      ).length
+    },
+    hospitals: [...hospitals.values()].map(({ hospital, casualties: sent }) => ({
+      hospital,
+      total: sent.length,
+      byTriageTag: countBy(sent, casualty => casualty.triageTag)
+    })),
+    ambulances: incident.ambulances
+      .filter(entry => !entry.releasedAt)
+      .map(entry => ({
+        ambulance: entry.ambulance,
+        hospital: entry.hospital,
+        attachedAt: entry.attachedAt,
+        casualtiesCarried: casualties.filter(casualty =>
+          casualty.ambulance && (casualty.ambulance._id || casualty.ambulance).equals(entry.ambulance._id || entry.ambulance)
+        ).length
+      })),
+    timeline: incident.timeline.slice(-20)
+  };
+};
+
+module.exports = {
+  attachAmbulances,
+  releaseAmbulances,
+  distributeCasualties,
+  buildDashboard
+};
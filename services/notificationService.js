@@ -3,6 +3,17 @@ const User = require('../models/User');
 const { sendStatusUpdate } = require('./emailService');
 const { sendStatusUpdate: sendSmsStatusUpdate } = require('./smsService');
 
+// Statuses the patient and their emergency contacts hear about by email/SMS
+const CONTACT_STATUSES = [
+  'dispatched',
+  'en route',
+  'on scene',
+  'transporting',
+  'at hospital',
+  'completed',
+  'cancelled'
+];
+
 class NotificationService {
   constructor(io) {
     this.io = io;
@@ -53,6 +64,21 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send real-time notification to everyone following a mass-casualty incident
+   * @param {string} incidentId - Incident ID
+   * @param {string} event - Event name
+   * @param {Object} data - Data to send
+   */
+  async notifyIncident(incidentId, event, data) {
+    try {
+      this.io.to(`incident_${incidentId}`).emit(event, data);
+      console.log(`Notification sent to incident ${incidentId}: ${event}`);
+    } catch (error) {
+      console.error(`Error notifying incident ${incidentId}:`, error);
+    }
+  }
+
   /**
    * Handle emergency status updates and send appropriate notifications
    * @param {string} emergencyId - Emergency ID
@@ -63,6 +89,7 @@ class NotificationService {
     try {
       const emergency = await Emergency.findById(emergencyId)
         .populate('patient', 'name email phone')
+        .populate('caller', 'name email phone')
         .populate('assignedAmbulance', 'vehicleNumber driver')
         .populate('assignedAmbulance.driver', 'name phone')
         .populate('hospital', 'name');
@@ -84,12 +111,12 @@ class NotificationService {
       await this.notifyHospital(emergency.hospital._id, 'emergency_updated', {
         emergencyId,
         status,
-        patientName: emergency.patient.name,
+        patientName: emergency.patient?.name || emergency.patientDetails?.name,
         updatedAt: new Date()
       });
 
       // Send email/SMS to patient and emergency contacts if status is important
-      if (['dispatched', 'in_transit', 'arrived', 'completed'].includes(status.toLowerCase())) {
+      if (CONTACT_STATUSES.includes(status.toLowerCase())) {
         await this.sendStatusUpdateNotifications(emergency, status);
       }
     } catch (error) {
@@ -97,6 +124,39 @@ class NotificationService {
     }
   }
 
+  /**
+   * Announce a lifecycle milestone to everyone following the emergency
+   * @param {Object} emergency - Emergency document that just changed status
+   */
+  async handleMilestone(emergency) {
+    try {
+      await this.notifyEmergency(emergency._id, 'emergency_milestone', {
+        emergencyId: emergency._id,
+        status: emergency.status,
+        at: new Date(),
+        metrics: emergency.metrics
+      });
+
+      // Callers of a merged duplicate follow the emergency it was merged into
+      if (emergency.mergedInto) return;
+
+      if (CONTACT_STATUSES.includes(emergency.status.toLowerCase())) {
+        const populatedEmergency = await Emergency.findById(emergency._id)
+          .populate('patient', 'name email phone')
+          .populate('caller', 'name email phone')
+          .populate({
+            path: 'assignedAmbulance',
+            select: 'vehicleNumber driver',
+            populate: { path: 'driver', select: 'name phone' }
+          });
+
+        await this.sendStatusUpdateNotifications(populatedEmergency, emergency.status);
+      }
+    } catch (error) {
+      console.error('Error in handleMilestone:', error);
+    }
+  }
+
   /**
    * Send status update notifications via email and SMS
    * @param {Object} emergency - Emergency document
@@ -104,11 +164,11 @@ class NotificationService {
    */
   async sendStatusUpdateNotifications(emergency, status) {
     try {
-      const { patient, assignedAmbulance } = emergency;
+      const { patient, caller, assignedAmbulance, callerContact } = emergency;
       
       // Prepare status update data
       const statusData = {
-        patientName: patient.name,
+        patientName: patient?.name || emergency.patientDetails?.name,
         status: status.charAt(0).toUpperCase() + status.slice(1).replace('_', ' '),
         ambulanceNumber: assignedAmbulance?.vehicleNumber || 'N/A',
         driverName: assignedAmbulance?.driver?.name || 'N/A',
@@ -116,6 +176,40 @@ class NotificationService {
           new Date(emergency.estimatedArrivalTime).toLocaleTimeString() : 'Shortly'
       };
 
+      // A caller who requested help for someone else hears about it too
+      if (caller?._id && !caller._id.equals(patient?._id)) {
+        if (caller.email) {
+          await sendStatusUpdate({
+            to: caller.email,
+            ...statusData
+          });
+        }
+        if (caller.phone) {
+          await sendSmsStatusUpdate({
+            to: caller.phone,
+            ...statusData,
+            contactName: caller.name
+          });
+        }
+      }
+
+      // Guest emergencies only have the caller's verified phone, as do
+      // guest callers of duplicate reports merged into this one
+      const guestCallers = [
+        callerContact,
+        ...(emergency.additionalCallers || []).map(entry => entry.callerContact)
+      ].filter(contact => contact?.phone);
+      for (const contact of guestCallers) {
+        await sendSmsStatusUpdate({
+          to: contact.phone,
+          ...statusData,
+          contactName: contact.name
+        });
+      }
+
+      // Unregistered patients have no contact details of their own
+      if (!patient) return;
+
       // Send email to patient
       if (patient.email) {
         await sendStatusUpdate({
@@ -138,7 +232,8 @@ class NotificationService {
       if (user?.emergencyContacts?.length > 0) {
         // Send notifications to emergency contacts
         const notificationPromises = user.emergencyContacts.map(async (contact) => {
-          if (contact.phone) {
+          // The caller has already been told
+          if (contact.phone && contact.phone !== caller?.phone) {
             await sendSmsStatusUpdate({
               to: contact.phone,
               ...statusData,
@@ -155,7 +250,57 @@ class NotificationService {
   }
 
   /**
-   * Handle new emergency assignment
+   * Offer an emergency to the driver of a reserved ambulance
+   * @param {Object} emergency - Emergency document
+   * @param {Object} ambulance - Ambulance document the offer is made to
+   */
+  async handleDispatchOffer(emergency, ambulance) {
+    try {
+      await this.notifyUser(ambulance.driver, 'dispatch_offer', {
+        emergencyId: emergency._id,
+        ambulanceId: ambulance._id,
+        priority: emergency.priority,
+        location: emergency.location,
+        medicalInfo: emergency.medicalInfo,
+        estimatedArrival: emergency.estimatedArrivalTime,
+        offeredAt: emergency.dispatchOffer.offeredAt,
+        expiresAt: emergency.dispatchOffer.expiresAt
+      });
+    } catch (error) {
+      console.error('Error in handleDispatchOffer:', error);
+    }
+  }
+
+  /**
+   * Push a recalculated ETA to everyone following the emergency and warn the
+   * receiving hospital the first time the unit starts running late
+   * @param {Object} emergency - Emergency document
+   * @param {Object} update - ETA update from the ETA service
+   */
+  async handleEtaUpdate(emergency, update) {
+    try {
+      const { becameLate, ...payload } = update;
+
+      await this.notifyEmergency(emergency._id, 'eta_update', payload);
+
+      if (becameLate) {
+        await this.notifyHospital(emergency.receivingHospital || emergency.hospital, 'emergency_running_late', {
+          emergencyId: emergency._id,
+          ambulanceId: emergency.assignedAmbulance,
+          target: payload.target,
+          eta: payload.eta,
+          delayMinutes: payload.runningLate.delayMinutes
+        });
+      }
+    } catch (error) {
+      console.error('Error in handleEtaUpdate:', error);
+    }
+  }
+
+  /**
+   * Handle new emergency assignment. Runs once from the Dispatched
+   * milestone; the patient and caller still get emergency_assigned on their
+   * user room for clients that do not follow the emergency room.
    * @param {Object} emergency - Emergency document
    */
   async handleNewEmergency(emergency) {
@@ -184,17 +329,19 @@ class NotificationService {
         populatedEmergency.toObject()
       );
 
-      // Notify patient
-      await this.notifyUser(
-        populatedEmergency.patient._id,
-        'emergency_assigned',
-        {
+      // Notify patient and caller, guest callers follow the emergency room instead
+      const recipients = [populatedEmergency.patient, populatedEmergency.caller]
+        .filter(Boolean)
+        .map(user => (user._id || user).toString())
+        .filter((id, index, ids) => ids.indexOf(id) === index);
+      for (const userId of recipients) {
+        await this.notifyUser(userId, 'emergency_assigned', {
           emergencyId: populatedEmergency._id,
           ambulanceNumber: populatedEmergency.assignedAmbulance?.vehicleNumber,
           driverName: populatedEmergency.assignedAmbulance?.driver?.name,
           estimatedArrival: populatedEmergency.estimatedArrivalTime
-        }
-      );
+        });
+      }
     } catch (error) {
       console.error('Error in handleNewEmergency:', error);
     }
@@ -0,0 +1,30 @@
+const routingConfig = require('../../config/routing');
+const { getFastestRoute } = require('../../utils/helpers');
+
+/**
+ * Get a driving route from the Google Maps Directions API
+ * @param {Object} origin - Origin coordinates { lat, lng }
+ * @param {Object} destination - Destination coordinates { lat, lng }
+ * @returns {Promise<Object>} Route { distance, duration, arrivalTime, provider }
+ */
+const route = async (origin, destination) => {
+  if (!process.env.GOOGLE_MAPS_API_KEY) {
+    throw new Error('GOOGLE_MAPS_API_KEY is not set');
+  }
+
+  const directions = await getFastestRoute(origin, destination, routingConfig.timeoutMs);
+  const duration = directions.durationInTraffic || directions.duration;
+
+  return {
+    distance: directions.distance,
+    duration,
+    arrivalTime: new Date(Date.now() + duration),
+    polyline: directions.polyline,
+    provider: 'google'
+  };
+};
+
+module.exports = {
+  name: 'google',
+  route
+};
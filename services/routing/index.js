@@ -0,0 +1,43 @@
+const routingConfig = require('../../config/routing');
+const googleProvider = require('./googleProvider');
+const offlineProvider = require('./offlineProvider');
+
+const providers = {
+  [googleProvider.name]: googleProvider,
+  [offlineProvider.name]: offlineProvider
+};
+
+/**
+ * Get the routing provider selected by configuration
+ * @returns {Object} Provider with a route(origin, destination, options) method
+ */
+const getRoutingProvider = () => {
+  return providers[routingConfig.provider] || offlineProvider;
+};
+
+/**
+ * Get a route and ETA, falling back to the offline estimate if the
+ * configured provider fails or times out
+ * @param {Object} origin - Origin coordinates { lat, lng }
+ * @param {Object} destination - Destination coordinates { lat, lng }
+ * @param {Object} options - Route options (roadClass, priority)
+ * @returns {Promise<Object>} Route { distance (km), duration (ms), arrivalTime, provider }
+ */
+const getRoute = async (origin, destination, options = {}) => {
+  const provider = getRoutingProvider();
+
+  if (provider !== offlineProvider) {
+    try {
+      return await provider.route(origin, destination, options);
+    } catch (error) {
+      console.error(`Routing provider ${provider.name} failed, using offline estimate:`, error.message);
+    }
+  }
+
+  return offlineProvider.route(origin, destination, options);
+};
+
+module.exports = {
+  getRoutingProvider,
+  getRoute
+};
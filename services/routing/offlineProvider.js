@@ -0,0 +1,37 @@
+const routingConfig = require('../../config/routing');
+const { calculateDistance, calculateETA } = require('../../utils/helpers');
+
+/**
+ * Estimate a route from straight-line distance and a speed profile
+ * @param {Object} origin - Origin coordinates { lat, lng }
+ * @param {Object} destination - Destination coordinates { lat, lng }
+ * @param {Object} options - Route options
+ * @param {string} options.roadClass - highway, arterial, urban or residential
+ * @param {string} options.priority - Emergency priority
+ * @returns {Promise<Object>} Route { distance, duration, arrivalTime, provider }
+ */
+const route = async (origin, destination, { roadClass, priority } = {}) => {
+  const {
+    detourFactor,
+    defaultRoadClass,
+    roadClassSpeeds,
+    priorityMultipliers
+  } = routingConfig.offline;
+
+  const baseSpeed = roadClassSpeeds[roadClass] || roadClassSpeeds[defaultRoadClass];
+  const speed = baseSpeed * (priorityMultipliers[priority] || 1);
+  const distance = calculateDistance(origin, destination) * detourFactor;
+  const { duration, arrivalTime } = calculateETA(distance, speed);
+
+  return {
+    distance,
+    duration,
+    arrivalTime,
+    provider: 'offline'
+  };
+};
+
+module.exports = {
+  name: 'offline',
+  route
+};
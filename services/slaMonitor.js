@@ -0,0 +1,346 @@
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const SlaBreach = require('../models/SlaBreach');
+const slaConfig = require('../config/sla');
+const dispatchConfig = require('../config/dispatch');
+const NotificationService = require('./notificationService');
+const { SLA_MILESTONES, SLA_METRICS, SLA_PRIORITIES } = require('../utils/slaMetrics');
+const { ACTIVE_STATUSES, isTerminal } = require('../utils/emergencyTransitions');
+
+let isProcessing = false;
+
+/**
+ * SLA targets for a hospital and priority, hospital settings first
+ * @param {Object} hospital - Hospital document with slaTargets, or null
+ * @param {string} priority - Emergency priority
+ * @returns {Object} Targets in minutes { dispatch, scene, hospital }
+ */
+const resolveTargets = (hospital, priority) => {
+  const defaults = slaConfig.targets[priority] || slaConfig.targets.Medium;
+  const own = hospital?.slaTargets?.[priority] || {};
+
+  return Object.fromEntries(SLA_METRICS.map(metric => [
+    metric,
+    own[metric] > 0 ? own[metric] : defaults[metric]
+  ]));
+};
+
+/**
+ * Read response milestones from an emergency's timeline
+ * @param {Object} emergency - Emergency document with timeline
+ * @returns {Object} { startedAt, reached: { metric: Date|null } }
+ */
+const readMilestones = (emergency) => {
+  const statusEntries = (emergency.timeline || []).filter(entry => !entry.event);
+  const first = status => statusEntries.find(entry => entry.status === status)?.timestamp || null;
+
+  return {
+    startedAt: first('Pending') || emergency.createdAt,
+    reached: Object.fromEntries(
+      SLA_METRICS.map(metric => [metric, first(SLA_MILESTONES[metric])])
+    )
+  };
+};
+
+/**
+ * Minutes between two times, to one decimal
+ * @param {Date} from - Start
+ * @param {Date} to - End
+ * @returns {number} Minutes
+ */
+const minutesBetween = (from, to) => {
+  return Math.round((new Date(to) - new Date(from)) / 6000) / 10;
+};
+
+/**
+ * Check whether a metric applies to an emergency yet. The hospital leg is
+ * only timed once the patient is on board; patients treated on scene are
+ * never taken in.
+ * @param {Object} emergency - Emergency document
+ * @param {string} metric - SLA metric
+ * @returns {boolean} True if the metric is being timed
+ */
+const isTimed = (emergency, metric) => {
+  return metric !== 'hospital' || !!emergency.patientLoadedAt;
+};
+
+/**
+ * Send an SLA alert to the dispatching hospital and every system admin
+ * @param {Object} io - Socket.io server
+ * @param {string} event - sla_warning or sla_breach
+ * @param {Object} alert - Alert payload
+ * @param {Array} adminIds - System admin user IDs
+ */
+const sendAlert = async (io, event, alert, adminIds) => {
+  const notificationService = new NotificationService(io);
+
+  await notificationService.notifyHospital(alert.hospitalId, event, alert);
+  for (const adminId of adminIds) {
+    await notificationService.notifyUser(adminId, event, alert);
+  }
+};
+
+/**
+ * Warn about and record SLA breaches for one open emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} targets - Targets in minutes
+ * @param {Object} io - Socket.io server
+ * @param {Function} getAdminIds - Resolves system admin user IDs
+ * @returns {Promise<number>} Alerts sent
+ */
+const checkEmergency = async (emergency, targets, io, getAdminIds) => {
+  const { startedAt, reached } = readMilestones(emergency);
+  const now = new Date();
+  let alerts = 0;
+
+  for (const metric of SLA_METRICS) {
+    if (reached[metric] || !isTimed(emergency, metric)) continue;
+
+    const targetMinutes = targets[metric];
+    const deadline = new Date(new Date(startedAt).getTime() + targetMinutes * 60000);
+    const elapsedMinutes = minutesBetween(startedAt, now);
+    const state = emergency.slaAlerts?.[metric] || {};
+
+    const alert = {
+      emergencyId: emergency._id,
+      hospitalId: emergency.hospital,
+      priority: emergency.priority,
+      status: emergency.status,
+      metric,
+      targetMinutes,
+      elapsedMinutes,
+      deadline
+    };
+
+    if (elapsedMinutes >= targetMinutes) {
+      if (state.breachedAt) continue;
+
+      // Upserted so a sweep racing another cannot record it twice
+      await SlaBreach.updateOne(
+        { emergency: emergency._id, metric },
+        {
+          $setOnInsert: {
+            hospital: emergency.hospital,
+            priority: emergency.priority,
+            targetMinutes,
+            startedAt,
+            deadline,
+            breachedAt: now
+          }
+        },
+        { upsert: true }
+      );
+      emergency.set(`slaAlerts.${metric}.breachedAt`, now);
+      await sendAlert(io, 'sla_breach', alert, await getAdminIds());
+      alerts += 1;
+    } else if (elapsedMinutes >= targetMinutes * slaConfig.warnFraction && !state.warnedAt) {
+      emergency.set(`slaAlerts.${metric}.warnedAt`, now);
+      await sendAlert(io, 'sla_warning', {
+        ...alert,
+        minutesRemaining: Math.round((targetMinutes - elapsedMinutes) * 10) / 10
+      }, await getAdminIds());
+      alerts += 1;
+    }
+  }
+
+  if (alerts > 0) {
+    await emergency.save();
+  }
+
+  return alerts;
+};
+
+/**
+ * Check every open emergency against its SLA targets
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<number>} Alerts sent
+ */
+const checkOpenEmergencies = async (io) => {
+  const holdCutoff = new Date(Date.now() - dispatchConfig.duplicates.holdMinutes * 60000);
+
+  // Planned transports run to a booking, not a response target. Suspected
+  // duplicates wait for a dispatcher, but are timed once their hold runs out
+  // and the queue dispatches them anyway.
+  const open = await Emergency.find({
+    status: { $in: ACTIVE_STATUSES },
+    transportBooking: null,
+    $or: [
+      { 'duplicateCheck.status': { $ne: 'suspected' } },
+      { 'duplicateCheck.checkedAt': { $lte: holdCutoff } }
+    ]
+  }).select('hospital priority status createdAt timeline patientLoadedAt slaAlerts');
+
+  if (open.length === 0) {
+    return 0;
+  }
+
+  const hospitalIds = [...new Set(open.map(emergency => emergency.hospital.toString()))];
+  const hospitals = new Map(
+    (await Hospital.find({ _id: { $in: hospitalIds } }).select('slaTargets'))
+      .map(hospital => [hospital._id.toString(), hospital])
+  );
+
+  // Only looked up if an alert is due
+  let adminIds = null;
+  const getAdminIds = async () => {
+    if (!adminIds) {
+      adminIds = (await User.find({ role: 'admin' }).select('_id')).map(user => user._id);
+    }
+    return adminIds;
+  };
+
+  let alerts = 0;
+  for (const emergency of open) {
+    const targets = resolveTargets(hospitals.get(emergency.hospital.toString()), emergency.priority);
+    alerts += await checkEmergency(emergency, targets, io, getAdminIds);
+  }
+
+  return alerts;
+};
+
+/**
+ * Complete the open breach records of an emergency once it reaches a
+ * milestone late, or ends without reaching it
+ * @param {Object} emergency - Emergency document
+ */
+const recordMilestone = async (emergency) => {
+  const open = await SlaBreach.find({
+    emergency: emergency._id,
+    reachedAt: null,
+    closedAt: null
+  });
+
+  if (open.length === 0) return;
+
+  const { reached } = readMilestones(emergency);
+
+  for (const breach of open) {
+    const reachedAt = reached[breach.metric];
+
+    if (reachedAt) {
+      breach.reachedAt = reachedAt;
+      breach.actualMinutes = minutesBetween(breach.startedAt, reachedAt);
+    } else if (isTerminal(emergency.status)) {
+      breach.closedAt = new Date();
+    } else {
+      continue;
+    }
+    await breach.save();
+  }
+};
+
+/**
+ * Start the periodic SLA check
+ * @param {Object} io - Socket.io server
+ * @returns {Object} Interval handle
+ */
+const startSlaMonitor = (io) => {
+  return setInterval(async () => {
+    if (isProcessing) return;
+
+    isProcessing = true;
+    try {
+      await checkOpenEmergencies(io);
+    } catch (error) {
+      console.error('SLA monitor error:', error);
+    } finally {
+      isProcessing = false;
+    }
+  }, slaConfig.sweepIntervalSeconds * 1000);
+};
+
+/**
+ * Monthly SLA compliance of a hospital, per priority and metric. An
+ * emergency counts against a metric once it reached the milestone or
+ * was recorded as breaching it. Reaching it at or after the target is a
+ * breach even if no sweep ran in time to record one.
+ * @param {Object} hospital - Hospital document with slaTargets
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Promise<Object>} Compliance report
+ */
+const buildComplianceReport = async (hospital, month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const from = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const to = new Date(Date.UTC(year, monthIndex, 1));
+
+  const [emergencies, breaches] = await Promise.all([
+    Emergency.find({
+      hospital: hospital._id,
+      createdAt: { $gte: from, $lt: to },
+      transportBooking: null,
+      mergedInto: null
+    })
+      .select('priority createdAt timeline.status timeline.event timeline.timestamp')
+      .lean(),
+    SlaBreach.find({ hospital: hospital._id, startedAt: { $gte: from, $lt: to } })
+      .select('emergency metric priority targetMinutes actualMinutes breachedAt reachedAt closedAt')
+      .sort({ breachedAt: 1 })
+      .lean()
+  ]);
+
+  const breached = new Set(breaches.map(breach => `${breach.emergency}:${breach.metric}`));
+
+  const byPriority = {};
+  for (const priority of SLA_PRIORITIES) {
+    const group = emergencies.filter(emergency => emergency.priority === priority);
+
+    const targets = resolveTargets(hospital, priority);
+
+    byPriority[priority] = {
+      emergencies: group.length,
+      targets
+    };
+
+    for (const metric of SLA_METRICS) {
+      let met = 0;
+      let missed = 0;
+      const times = [];
+
+      for (const emergency of group) {
+        const { startedAt, reached } = readMilestones(emergency);
+        const actualMinutes = reached[metric] ? minutesBetween(startedAt, reached[metric]) : null;
+
+        if (actualMinutes !== null) {
+          times.push(actualMinutes);
+        }
+        // Same rule as the sweep: reaching the target is already late
+        if (breached.has(`${emergency._id}:${metric}`) ||
+          (actualMinutes !== null && actualMinutes >= targets[metric])) {
+          missed += 1;
+        } else if (actualMinutes !== null) {
+          met += 1;
+        }
+      }
+
+      const measured = met + missed;
+      byPriority[priority][metric] = {
+        measured,
+        met,
+        breached: missed,
+        compliance: measured ? Math.round((met / measured) * 1000) / 1000 : null,
+        averageMinutes: times.length
+          ? Math.round((times.reduce((sum, value) => sum + value, 0) / times.length) * 10) / 10
+          : null
+      };
+    }
+  }
+
+  return {
+    hospital: { _id: hospital._id, name: hospital.name },
+    month,
+    period: { from, to },
+    emergencies: emergencies.length,
+    byPriority,
+    breaches
+  };
+};
+
+module.exports = {
+  resolveTargets,
+  readMilestones,
+  checkOpenEmergencies,
+  recordMilestone,
+  startSlaMonitor,
+  buildComplianceReport
+};
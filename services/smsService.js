@@ -2,6 +2,7 @@ const twilio = require('twilio');
 const ejs = require('ejs');
 const path = require('path');
 const fs = require('fs');
+const { format } = require('date-fns');
 
 // Initialize Twilio client
 const client = twilio(
@@ -13,14 +14,30 @@ const client = twilio(
 const templates = {
   emergencyAlert: fs.readFileSync(path.join(__dirname, '../templates/sms/emergency-alert.ejs'), 'utf8'),
   statusUpdate: fs.readFileSync(path.join(__dirname, '../templates/sms/status-update.ejs'), 'utf8'),
-  otp: fs.readFileSync(path.join(__dirname, '../templates/sms/otp.ejs'), 'utf8')
+  otp: fs.readFileSync(path.join(__dirname, '../templates/sms/otp.ejs'), 'utf8'),
+  transportReminder: fs.readFileSync(path.join(__dirname, '../templates/sms/transport-reminder.ejs'), 'utf8'),
+  dispatchEscalation: fs.readFileSync(path.join(__dirname, '../templates/sms/dispatch-escalation.ejs'), 'utf8')
 };
 
 // Compile templates
 const compiledTemplates = {
   emergencyAlert: ejs.compile(templates.emergencyAlert),
   statusUpdate: ejs.compile(templates.statusUpdate),
-  otp: ejs.compile(templates.otp)
+  otp: ejs.compile(templates.otp),
+  transportReminder: ejs.compile(templates.transportReminder),
+  dispatchEscalation: ejs.compile(templates.dispatchEscalation)
+};
+
+// One-line summaries of each status for SMS updates
+const statusMessages = {
+  dispatched: 'An ambulance has been dispatched',
+  'en route': 'The ambulance is on the way',
+  'on scene': 'The ambulance has arrived',
+  transporting: 'The patient is being taken to hospital',
+  'at hospital': 'The ambulance has arrived at the hospital',
+  'handed over': 'The patient has been handed over to the hospital team',
+  completed: 'The emergency service is complete',
+  cancelled: 'The emergency request has been cancelled'
 };
 
 /**
@@ -99,6 +116,7 @@ const sendStatusUpdate = async ({ to, patientName, status, ambulanceNumber, driv
     const message = compiledTemplates.statusUpdate({
       patientName,
       status,
+      statusMessage: statusMessages[status.toLowerCase()] || `Status: ${status}`,
       ambulanceNumber,
       driverName,
       eta
@@ -153,8 +171,92 @@ const sendOTP = async (to, otp, purpose = 'verification') => {
   }
 };
 
+/**
+ * Send a reminder of an upcoming scheduled transport
+ * @param {Object} options - Reminder options
+ * @param {string} options.to - Recipient phone number
+ * @param {string} options.patientName - Name of the patient
+ * @param {Date} options.pickupTime - Booked pickup time
+ * @param {string} options.pickupAddress - Pickup address
+ * @returns {Promise}
+ */
+const sendTransportReminder = async ({ to, patientName, pickupTime, pickupAddress }) => {
+  try {
+    if (process.env.TWILIO_ENABLED !== 'true') {
+      console.log('Twilio is disabled. Transport reminder SMS will not be sent.');
+      return null;
+    }
+
+    const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+
+    const message = compiledTemplates.transportReminder({
+      patientName,
+      pickupTime: format(pickupTime, 'EEE d MMM, HH:mm'),
+      pickupAddress
+    });
+
+    const result = await client.messages.create({
+      body: message,
+      from: fromNumber,
+      to
+    });
+
+    console.log(`Transport reminder SMS sent to ${to}: ${result.sid}`);
+    return { success: true, sid: result.sid };
+  } catch (error) {
+    console.error(`Error sending transport reminder SMS to ${to}:`, error.message);
+    throw new Error('Failed to send transport reminder SMS');
+  }
+};
+
+/**
+ * Alert staff by SMS that an emergency has been waiting too long for a unit
+ * @param {Object} options - Alert options
+ * @param {string} options.to - Recipient phone number
+ * @param {string} options.emergencyId - Emergency ID
+ * @param {string} options.priority - Emergency priority
+ * @param {number} options.waitingMinutes - Minutes since the emergency was reported
+ * @param {string} options.address - Emergency location
+ * @param {string} options.hospitalName - Dispatching hospital
+ * @param {boolean} options.paged - True when paging the on-call dispatcher
+ * @returns {Promise}
+ */
+const sendDispatchEscalation = async ({ to, emergencyId, priority, waitingMinutes, address, hospitalName, paged = false }) => {
+  try {
+    if (process.env.TWILIO_ENABLED !== 'true') {
+      console.log('Twilio is disabled. Dispatch escalation SMS will not be sent.');
+      return null;
+    }
+
+    const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+
+    const message = compiledTemplates.dispatchEscalation({
+      emergencyId,
+      priority,
+      waitingMinutes,
+      address,
+      hospitalName,
+      paged
+    });
+
+    const result = await client.messages.create({
+      body: message,
+      from: fromNumber,
+      to
+    });
+
+    console.log(`Dispatch escalation SMS sent to ${to}: ${result.sid}`);
+    return { success: true, sid: result.sid };
+  } catch (error) {
+    console.error(`Error sending dispatch escalation SMS to ${to}:`, error.message);
+    throw new Error('Failed to send dispatch escalation SMS');
+  }
+};
+
 module.exports = {
   sendEmergencyAlert,
   sendStatusUpdate,
-  sendOTP
+  sendOTP,
+  sendTransportReminder,
+  sendDispatchEscalation
 };
@@ -0,0 +1,31 @@
+const attachmentConfig = require('../../config/attachments');
+const localStorage = require('./localStorage');
+
+// Other backends (e.g. object storage) register here with the same
+// save, createReadStream and remove methods
+const backends = {
+  [localStorage.name]: localStorage
+};
+
+/**
+ * Get the storage backend selected by configuration
+ * @returns {Object} Backend with save(key, data), createReadStream(key) and remove(key) methods
+ */
+const getStorage = () => {
+  return backends[attachmentConfig.storage] || localStorage;
+};
+
+/**
+ * Get the backend a file was stored with, which may differ from the
+ * configured one if the setting changed since
+ * @param {string} name - Backend name recorded with the file
+ * @returns {Object|null} Backend or null if it is no longer available
+ */
+const getStorageByName = (name) => {
+  return backends[name] || null;
+};
+
+module.exports = {
+  getStorage,
+  getStorageByName
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const attachmentConfig = require('../../config/attachments');
+
+/**
+ * Resolve a storage key to a path inside the storage directory
+ * @param {string} key - Storage key
+ * @returns {string} Absolute file path
+ * @throws {Error} If the key points outside the storage directory
+ */
+const resolvePath = (key) => {
+  const root = attachmentConfig.local.directory;
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Write a file to local disk
+ * @param {string} key - Storage key, e.g. <emergencyId>/<fileId>.jpg
+ * @param {Buffer} data - File contents
+ * @returns {Promise<string>} Storage key
+ */
+const save = async (key, data) => {
+  const filePath = resolvePath(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+
+  return key;
+};
+
+/**
+ * Open a stored file for reading
+ * @param {string} key - Storage key
+ * @returns {Object} Readable stream
+ */
+const createReadStream = (key) => {
+  return fs.createReadStream(resolvePath(key));
+};
+
+/**
+ * Delete a stored file; a file already gone is not an error
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolvePath(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  save,
+  createReadStream,
+  remove
+};
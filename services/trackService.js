@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const LocationPing = require('../models/LocationPing');
+const Ambulance = require('../models/Ambulance');
+const trackingConfig = require('../config/tracking');
+
+/**
+ * Store a location ping from a unit on a call
+ * @param {Object} ambulance - Ambulance document
+ * @param {string} emergencyId - Emergency the unit is on
+ * @param {Object} fix - { coordinates, address, accuracy, speed, heading }
+ * @returns {Promise<Object>} Location ping document
+ */
+const recordPing = (ambulance, emergencyId, { coordinates, address, accuracy, speed, heading }) => {
+  return LocationPing.create({
+    timestamp: ambulance.currentLocation?.lastUpdated || new Date(),
+    meta: {
+      ambulance: ambulance._id,
+      emergency: emergencyId
+    },
+    location: {
+      type: 'Point',
+      coordinates
+    },
+    address,
+    accuracy,
+    speed,
+    heading
+  });
+};
+
+/**
+ * Get the track of every unit that served an emergency, oldest ping first.
+ * A track longer than the point limit is thinned evenly along its whole
+ * length, always keeping each unit's first and last ping, rather than cut off.
+ * @param {string} emergencyId - Emergency ID
+ * @returns {Promise<Array>} Tracks [{ ambulance, points: [{ coordinates, timestamp, ... }], sampled }]
+ */
+const getEmergencyTrack = async (emergencyId) => {
+  const match = { 'meta.emergency': new mongoose.Types.ObjectId(emergencyId) };
+
+  const total = await LocationPing.countDocuments(match);
+  const step = Math.max(1, Math.ceil(total / trackingConfig.maxPoints));
+
+  const pings = await LocationPing.aggregate([
+    { $match: match },
+    {
+      $setWindowFields: {
+        partitionBy: '$meta.ambulance',
+        sortBy: { timestamp: 1 },
+        output: {
+          position: { $documentNumber: {} },
+          count: { $count: {}, window: { documents: ['unbounded', 'unbounded'] } }
+        }
+      }
+    },
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $eq: [{ $mod: [{ $subtract: ['$position', 1] }, step] }, 0] },
+            { $eq: ['$position', '$count'] }
+          ]
+        }
+      }
+    },
+    { $sort: { timestamp: 1 } }
+  ]);
+
+  const byAmbulance = new Map();
+  for (const ping of pings) {
+    const key = ping.meta.ambulance.toString();
+    if (!byAmbulance.has(key)) {
+      byAmbulance.set(key, []);
+    }
+    byAmbulance.get(key).push({
+      coordinates: ping.location.coordinates,
+      timestamp: ping.timestamp,
+      address: ping.address,
+      accuracy: ping.accuracy,
+      speed: ping.speed,
+      heading: ping.heading
+    });
+  }
+
+  const ambulances = await Ambulance.find({ _id: { $in: [...byAmbulance.keys()] } })
+    .select('vehicleNumber type');
+
+  return [...byAmbulance.entries()].map(([ambulanceId, points]) => ({
+    ambulance: ambulances.find(ambulance => ambulance._id.toString() === ambulanceId) ||
+      { _id: ambulanceId },
+    points,
+    sampled: step > 1
+  }));
+};
+
+/**
+ * Format tracks as a GeoJSON FeatureCollection with one LineString per
+ * unit. Ping times are given in the coordTimes property, in the same order
+ * as the coordinates; sampled is set on a thinned track.
+ * @param {string} emergencyId - Emergency ID
+ * @param {Array} tracks - Tracks from getEmergencyTrack
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+const toGeoJson = (emergencyId, tracks) => ({
+  type: 'FeatureCollection',
+  properties: { emergencyId },
+  features: tracks.map(({ ambulance, points, sampled = false }) => ({
+    type: 'Feature',
+    // A line needs two positions; a single fix is returned as a point
+    geometry: points.length > 1
+      ? { type: 'LineString', coordinates: points.map(point => point.coordinates) }
+      : { type: 'Point', coordinates: points[0].coordinates },
+    properties: {
+      ambulanceId: ambulance._id,
+      vehicleNumber: ambulance.vehicleNumber,
+      type: ambulance.type,
+      coordTimes: points.map(point => point.timestamp.toISOString()),
+      speeds: points.map(point => point.speed ?? null),
+      start: points[0].timestamp,
+      end: points[points.length - 1].timestamp,
+      sampled
+    }
+  }))
+});
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Format tracks as a GPX 1.1 document with one track per unit
+ * @param {string} emergencyId - Emergency ID
+ * @param {Array} tracks - Tracks from getEmergencyTrack
+ * @returns {string} GPX XML
+ */
+const toGpx = (emergencyId, tracks) => {
+  const trk = tracks.map(({ ambulance, points }) => [
+    '  <trk>',
+    `    <name>${escapeXml(ambulance.vehicleNumber || ambulance._id)}</name>`,
+    '    <trkseg>',
+    ...points.map(({ coordinates: [lng, lat], timestamp }) =>
+      `      <trkpt lat="${lat}" lon="${lng}"><time>${timestamp.toISOString()}</time></trkpt>`
+    ),
+    '    </trkseg>',
+    '  </trk>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Ambulance on Demand" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>Emergency ${escapeXml(emergencyId)}</name></metadata>`,
+    ...trk,
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  recordPing,
+  getEmergencyTrack,
+  toGeoJson,
+  toGpx
+};
@@ -0,0 +1,136 @@
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const TransferRequest = require('../models/TransferRequest');
+const NotificationService = require('./notificationService');
+const { offerDispatch } = require('./dispatchOffers');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Post a transfer update to the origin and destination hospitals
+ * @param {Object} io - Socket.io server
+ * @param {Object} transfer - Transfer request document
+ * @param {string} event - Socket event name
+ * @param {Object} extra - Extra payload fields
+ */
+const notifyTransferHospitals = async (io, transfer, event = 'transfer_updated', extra = {}) => {
+  const notificationService = new NotificationService(io);
+  const update = {
+    transferId: transfer._id,
+    status: transfer.status,
+    emergencyId: transfer.emergency,
+    ...extra
+  };
+
+  for (const hospitalId of [transfer.originHospital, transfer.destinationHospital]) {
+    await notificationService.notifyHospital(hospitalId._id || hospitalId, event, update);
+  }
+};
+
+/**
+ * Format a hospital's postal address on one line
+ * @param {Object} hospital - Hospital document
+ * @returns {string} Address
+ */
+const formatAddress = ({ name, address }) => {
+  return [name, address.street, address.city, address.state, address.postalCode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Build the emergency that tracks a transfer run
+ * @param {Object} transfer - Accepted transfer request document
+ * @returns {Promise<Object>} Emergency document
+ */
+const createTransferEmergency = async (transfer) => {
+  const origin = await Hospital.findById(transfer.originHospital).select('name address');
+  const { clinicalSummary } = transfer;
+
+  return Emergency.create({
+    patient: transfer.patient || undefined,
+    patientDetails: transfer.patient ? undefined : transfer.patientDetails,
+    location: {
+      type: 'Point',
+      coordinates: origin.address.location.coordinates,
+      address: formatAddress(origin)
+    },
+    // Origin's fleet goes first, mutual aid covers it when busy
+    hospital: origin._id,
+    receivingHospital: transfer.destinationHospital,
+    priority: transfer.urgency,
+    medicalInfo: {
+      condition: clinicalSummary.diagnosis,
+      notes: [
+        `Transfer: ${clinicalSummary.reasonForTransfer}`,
+        clinicalSummary.currentTreatment && `Current treatment: ${clinicalSummary.currentTreatment}`,
+        clinicalSummary.notes
+      ].filter(Boolean).join('. ')
+    },
+    transferRequest: transfer._id,
+    requiredAmbulanceType: transfer.ambulanceType,
+    status: 'Pending',
+    timeline: [{
+      status: 'Pending',
+      notes: 'Inter-facility transfer accepted',
+      location: {
+        type: 'Point',
+        coordinates: origin.address.location.coordinates
+      }
+    }]
+  });
+};
+
+/**
+ * Dispatch a unit to the origin hospital for an accepted transfer. The
+ * run is tracked as an emergency picked up at the origin and delivered
+ * to the destination.
+ * @param {Object} transfer - Accepted transfer request document
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} Emergency created for the run
+ * @throws {AppError} 503 if the run cannot be created; the request is reopened
+ */
+const dispatchTransfer = async (transfer, io) => {
+  let emergency;
+  try {
+    emergency = await createTransferEmergency(transfer);
+  } catch (error) {
+    console.error('Transfer dispatch error:', error);
+
+    // Nothing was dispatched, so the destination can accept it again
+    await TransferRequest.updateOne(
+      { _id: transfer._id, status: 'Accepted', emergency: null },
+      {
+        status: 'Requested',
+        $unset: { decision: 1 },
+        $push: { timeline: { status: 'Requested', notes: 'Dispatch failed, request reopened' } }
+      }
+    );
+    throw new AppError('Transfer could not be dispatched and has been reopened', 503);
+  }
+
+  // The emergency is pending either way, so the dispatch queue retries a failed offer
+  let ambulance = null;
+  try {
+    ambulance = await offerDispatch(emergency, io);
+  } catch (error) {
+    console.error('Transfer offer error:', error);
+  }
+
+  transfer.emergency = emergency._id;
+  transfer.setStatus(
+    'Dispatched',
+    ambulance ? `Offered to ambulance ${ambulance.vehicleNumber}` : 'Queued for dispatch'
+  );
+  await transfer.save();
+
+  if (!ambulance) {
+    await emergency.logEvent('queued', `No ${transfer.ambulanceType} unit available, queued for dispatch`).save();
+  }
+
+  return emergency;
+};
+
+module.exports = {
+  notifyTransferHospitals,
+  dispatchTransfer
+};
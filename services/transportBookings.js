@@ -0,0 +1,411 @@
+const { format } = require('date-fns');
+const mongoose = require('mongoose');
+const TransportBooking = require('../models/TransportBooking');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const transportConfig = require('../config/transportBookings');
+const NotificationService = require('./notificationService');
+const { offerDispatch } = require('./dispatchOffers');
+const { sendTransportReminder } = require('./emailService');
+const { sendTransportReminder: sendSmsTransportReminder } = require('./smsService');
+const { AppError, BadRequestError } = require('../middleware/errorHandler');
+
+// Statuses during which a booking holds its ambulance
+const HOLDING_STATUSES = ['Scheduled', 'Dispatched'];
+
+const PURPOSE_LABELS = {
+  discharge: 'Discharge',
+  dialysis: 'Dialysis',
+  outpatient_imaging: 'Outpatient imaging',
+  other: 'Planned transport'
+};
+
+let isProcessing = false;
+
+/**
+ * Window an ambulance is held for a booking: from dispatch until the trip
+ * and turnaround are over
+ * @param {Date} pickupTime - Booked pickup time
+ * @param {number} durationMinutes - Expected trip length
+ * @returns {Object} Slot { start, end }
+ */
+const bookingSlot = (pickupTime, durationMinutes = transportConfig.defaultDurationMinutes) => {
+  const pickup = new Date(pickupTime).getTime();
+
+  return {
+    start: new Date(pickup - transportConfig.dispatchLeadMinutes * 60000),
+    end: new Date(pickup + (durationMinutes + transportConfig.turnaroundMinutes) * 60000)
+  };
+};
+
+/**
+ * Query for the bookings holding units during a slot
+ * @param {Array} ambulanceIds - Units to check
+ * @param {Object} slot - { start, end }
+ * @param {string} excludeBookingId - Booking being rescheduled
+ * @returns {Object} TransportBooking filter
+ */
+const overlappingQuery = (ambulanceIds, slot, excludeBookingId = null) => {
+  const query = {
+    ambulance: { $in: ambulanceIds },
+    status: { $in: HOLDING_STATUSES },
+    'slot.start': { $lt: slot.end },
+    'slot.end': { $gt: slot.start }
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  return query;
+};
+
+/**
+ * Find the units of the hospital's fleet with nothing booked during a slot
+ * @param {Object} options - Search options
+ * @param {string} options.hospital - Hospital ID
+ * @param {string} options.ambulanceType - Required ambulance type
+ * @param {Object} options.slot - { start, end }
+ * @param {string} options.excludeBookingId - Booking being rescheduled
+ * @returns {Promise<Array>} Ambulance documents
+ */
+const findFreeAmbulances = async ({ hospital, ambulanceType, slot, excludeBookingId = null }) => {
+  const fleet = await Ambulance.find({ hospital, type: ambulanceType, isActive: true })
+    .select('vehicleNumber type driver');
+
+  if (fleet.length === 0) {
+    return [];
+  }
+
+  const busy = (await TransportBooking.distinct(
+    'ambulance',
+    overlappingQuery(fleet.map(ambulance => ambulance._id), slot, excludeBookingId)
+  )).map(id => id.toString());
+
+  return fleet.filter(ambulance => !busy.includes(ambulance._id.toString()));
+};
+
+/**
+ * Lock a unit's schedule so only one booking is written to it at a time
+ * @param {string} ambulanceId - Ambulance ID
+ * @returns {Promise<boolean>} True if the lock was taken
+ */
+const lockSchedule = async (ambulanceId) => {
+  const now = new Date();
+
+  const locked = await Ambulance.findOneAndUpdate(
+    {
+      _id: ambulanceId,
+      $or: [{ scheduleLockedUntil: null }, { scheduleLockedUntil: { $lte: now } }]
+    },
+    { scheduleLockedUntil: new Date(now.getTime() + transportConfig.scheduleLockSeconds * 1000) }
+  );
+
+  return !!locked;
+};
+
+/**
+ * Release a unit's schedule lock
+ * @param {string} ambulanceId - Ambulance ID
+ */
+const unlockSchedule = async (ambulanceId) => {
+  await Ambulance.updateOne({ _id: ambulanceId }, { scheduleLockedUntil: null });
+};
+
+/**
+ * Save a booking that has not been dispatched. A change to an existing
+ * booking is only written while it is still scheduled.
+ * @param {Object} booking - Transport booking document
+ * @returns {Promise<Object>} Saved booking document
+ * @throws {AppError} 409 if the booking was dispatched or cancelled meanwhile
+ */
+const saveScheduledBooking = async (booking) => {
+  if (booking.isNew) {
+    return booking.save();
+  }
+
+  const changes = booking.getChanges();
+  changes.$set = { ...changes.$set, updatedAt: new Date() };
+
+  const updated = await TransportBooking.findOneAndUpdate(
+    { _id: booking._id, status: 'Scheduled' },
+    changes,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Booking is no longer scheduled', 409);
+  }
+
+  return updated;
+};
+
+/**
+ * Reserve a unit in the fleet schedule for a booking and save it. Used for
+ * new bookings and when the time or ambulance type of one changes. The
+ * unit's schedule is locked from the overlap check until the booking is
+ * saved, so two bookings cannot take the same slot.
+ * @param {Object} booking - Transport booking document
+ * @returns {Promise<Object>} { ambulance, booking } reserved unit and saved booking
+ * @throws {BadRequestError} If pickup is too soon to book
+ * @throws {AppError} 409 if no unit of the type is free
+ */
+const scheduleBooking = async (booking) => {
+  const minPickup = Date.now() + transportConfig.minBookingLeadMinutes * 60000;
+  if (new Date(booking.pickupTime).getTime() < minPickup) {
+    throw new BadRequestError(
+      `Pickup must be at least ${transportConfig.minBookingLeadMinutes} minutes from now`
+    );
+  }
+
+  if (!booking.durationMinutes) {
+    booking.durationMinutes = transportConfig.defaultDurationMinutes;
+  }
+  const slot = bookingSlot(booking.pickupTime, booking.durationMinutes);
+  const excludeBookingId = booking.isNew ? null : booking._id;
+
+  const candidates = await findFreeAmbulances({
+    hospital: booking.hospital,
+    ambulanceType: booking.ambulanceType,
+    slot,
+    excludeBookingId
+  });
+
+  for (const ambulance of candidates) {
+    if (!(await lockSchedule(ambulance._id))) continue;
+
+    try {
+      // Checked again under the lock; another booking may have taken it
+      const taken = await TransportBooking.exists(overlappingQuery([ambulance._id], slot, excludeBookingId));
+      if (taken) continue;
+
+      booking.ambulance = ambulance._id;
+      booking.slot = slot;
+
+      return { ambulance, booking: await saveScheduledBooking(booking) };
+    } finally {
+      await unlockSchedule(ambulance._id);
+    }
+  }
+
+  throw new AppError(`No ${booking.ambulanceType} ambulance is free at that time`, 409);
+};
+
+/**
+ * Turn a booking into a live dispatch: create the emergency and offer it to
+ * the reserved unit, or to the best free unit of the type if it is busy
+ * @param {Object} booking - Transport booking document
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object|null>} Emergency, or null if the booking was already dispatched
+ * @throws {Error} If the emergency cannot be created; the booking is scheduled again
+ */
+const dispatchBooking = async (booking, io) => {
+  const emergencyId = new mongoose.Types.ObjectId();
+
+  // Claimed first so overlapping sweeps cannot dispatch it twice
+  const claimed = await TransportBooking.findOneAndUpdate(
+    { _id: booking._id, status: 'Scheduled' },
+    { status: 'Dispatched', dispatchedAt: new Date(), emergency: emergencyId },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  let emergency;
+  try {
+    emergency = await Emergency.create({
+      _id: emergencyId,
+      patient: claimed.patient || undefined,
+      patientDetails: claimed.patient ? undefined : {
+        name: claimed.patientDetails.name,
+        description: claimed.patientDetails.notes
+      },
+      location: {
+        type: 'Point',
+        coordinates: claimed.pickup.coordinates,
+        address: claimed.pickup.address,
+        additionalInfo: claimed.pickup.additionalInfo
+      },
+      hospital: claimed.hospital,
+      receivingHospital: claimed.dropoff.hospital,
+      priority: 'Low',
+      medicalInfo: {
+        condition: `Scheduled transport: ${PURPOSE_LABELS[claimed.purpose]}`,
+        notes: [claimed.patientDetails?.mobility, claimed.notes].filter(Boolean).join('. ')
+      },
+      transportBooking: claimed._id,
+      requiredAmbulanceType: claimed.ambulanceType,
+      status: 'Pending',
+      timeline: [{
+        status: 'Pending',
+        notes: `Scheduled transport for ${format(claimed.pickupTime, 'HH:mm')} to ${claimed.dropoff.address}`,
+        location: {
+          type: 'Point',
+          coordinates: claimed.pickup.coordinates
+        }
+      }]
+    });
+  } catch (error) {
+    // Back to scheduled so the next sweep tries again
+    await TransportBooking.updateOne(
+      { _id: claimed._id, status: 'Dispatched', emergency: emergencyId },
+      { status: 'Scheduled', emergency: null, $unset: { dispatchedAt: 1 } }
+    );
+    throw error;
+  }
+
+  const ambulance = await offerDispatch(emergency, io, { preferredAmbulanceId: claimed.ambulance });
+  if (!ambulance) {
+    await emergency.logEvent('queued', 'Reserved ambulance is busy, queued for dispatch').save();
+  }
+
+  await new NotificationService(io).notifyHospital(claimed.hospital, 'transport_dispatched', {
+    bookingId: claimed._id,
+    emergencyId: emergency._id,
+    pickupTime: claimed.pickupTime,
+    ambulanceId: ambulance?._id || null
+  });
+
+  return emergency;
+};
+
+/**
+ * Send the reminders that are due for a booking, each one once
+ * @param {Object} booking - Transport booking document with patient populated
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async (booking) => {
+  const hoursToPickup = (booking.pickupTime - Date.now()) / 3600000;
+  const alreadySent = booking.remindersSent.map(reminder => reminder.hoursBefore);
+
+  // Only the latest due reminder is sent, e.g. a booking made an hour
+  // before pickup does not also get the day-before reminder
+  const due = transportConfig.reminderHours
+    .filter(hours => hours >= hoursToPickup && !alreadySent.includes(hours));
+
+  if (due.length === 0 || hoursToPickup <= 0) {
+    return 0;
+  }
+
+  const { patient, patientDetails, contact } = booking;
+  const reminder = {
+    patientName: patient?.name || patientDetails?.name,
+    pickupTime: booking.pickupTime,
+    pickupAddress: booking.pickup.address,
+    dropoffAddress: booking.dropoff.address
+  };
+
+  const email = contact?.email || patient?.email;
+  const phone = contact?.phone || patient?.phone;
+
+  try {
+    if (email) {
+      await sendTransportReminder({ to: email, ...reminder });
+    }
+    if (phone) {
+      await sendSmsTransportReminder({ to: phone, ...reminder });
+    }
+  } catch (error) {
+    // Recorded as sent anyway so one bad address does not resend every sweep
+    console.error('Transport reminder error:', error);
+  }
+
+  booking.remindersSent.push(...due.map(hoursBefore => ({ hoursBefore })));
+  await booking.save();
+
+  return 1;
+};
+
+/**
+ * Send due reminders and dispatch bookings whose pickup is close
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<Object>} { reminded, dispatched } counts
+ */
+const processBookings = async (io) => {
+  const now = Date.now();
+  const reminderHorizon = new Date(now + (transportConfig.reminderHours[0] || 0) * 3600000);
+  const dispatchHorizon = new Date(now + transportConfig.dispatchLeadMinutes * 60000);
+
+  const upcoming = await TransportBooking.find({
+    status: 'Scheduled',
+    pickupTime: { $lte: reminderHorizon }
+  })
+    .populate('patient', 'name email phone')
+    .sort({ pickupTime: 1 });
+
+  let reminded = 0;
+  let dispatched = 0;
+
+  for (const booking of upcoming) {
+    if (booking.pickupTime <= dispatchHorizon) {
+      try {
+        if (await dispatchBooking(booking, io)) dispatched += 1;
+      } catch (error) {
+        // Left scheduled; one bad booking does not hold up the rest
+        console.error('Transport dispatch error:', error);
+      }
+    } else {
+      reminded += await sendDueReminders(booking);
+    }
+  }
+
+  return { reminded, dispatched };
+};
+
+/**
+ * Start the periodic sweep over upcoming bookings
+ * @param {Object} io - Socket.io server
+ * @returns {Object} Interval handle
+ */
+const startTransportScheduler = (io) => {
+  return setInterval(async () => {
+    if (isProcessing) return;
+
+    isProcessing = true;
+    try {
+      await processBookings(io);
+    } catch (error) {
+      console.error('Transport scheduler error:', error);
+    } finally {
+      isProcessing = false;
+    }
+  }, transportConfig.sweepIntervalSeconds * 1000);
+};
+
+/**
+ * Bookings held by each unit of a hospital's fleet during a period
+ * @param {string} hospitalId - Hospital ID
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<Array>} [{ ambulance, bookings }] per active unit
+ */
+const getFleetSchedule = async (hospitalId, from, to) => {
+  const [fleet, bookings] = await Promise.all([
+    Ambulance.find({ hospital: hospitalId, isActive: true }).select('vehicleNumber type status'),
+    TransportBooking.find({
+      hospital: hospitalId,
+      status: { $in: HOLDING_STATUSES },
+      'slot.start': { $lt: to },
+      'slot.end': { $gt: from }
+    })
+      .select('ambulance pickupTime slot purpose status pickup.address dropoff.address')
+      .sort({ 'slot.start': 1 })
+  ]);
+
+  return fleet.map(ambulance => ({
+    ambulance,
+    bookings: bookings.filter(booking => booking.ambulance?.equals(ambulance._id))
+  }));
+};
+
+module.exports = {
+  HOLDING_STATUSES,
+  bookingSlot,
+  scheduleBooking,
+  saveScheduledBooking,
+  dispatchBooking,
+  processBookings,
+  startTransportScheduler,
+  getFleetSchedule
+};
@@ -0,0 +1,127 @@
+const triageConfig = require('../config/triage');
+
+// Lowest to highest
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// General-purpose units, least to most capable. Neonatal units are a
+// specialism and win whenever a rule asks for one.
+const AMBULANCE_TYPES = ['Basic', 'Advanced', 'Mobile ICU'];
+
+/**
+ * Pick the higher of two values in an ordered list
+ * @param {Array<string>} order - Values, lowest first
+ * @param {string} a - Value
+ * @param {string} b - Value
+ * @returns {string} Higher value
+ */
+const higher = (order, a, b) => {
+  return order.indexOf(a) >= order.indexOf(b) ? a : b;
+};
+
+/**
+ * Check a single answer against a rule condition
+ * @param {*} answer - Answer given
+ * @param {*} condition - Plain value, or { lt, gte, in }
+ * @returns {boolean} True if the answer matches
+ */
+const matchesCondition = (answer, condition) => {
+  if (answer === undefined || answer === null) return false;
+
+  if (condition === null || typeof condition !== 'object') {
+    return answer === condition;
+  }
+
+  if (condition.lt !== undefined && !(answer < condition.lt)) return false;
+  if (condition.gte !== undefined && !(answer >= condition.gte)) return false;
+  if (condition.in !== undefined && !condition.in.includes(answer)) return false;
+  return true;
+};
+
+/**
+ * Map a total score to a priority with the configured thresholds
+ * @param {number} score - Total triage score
+ * @returns {string} Priority
+ */
+const priorityForScore = (score) => {
+  const { thresholds } = triageConfig;
+
+  if (score >= thresholds.Critical) return 'Critical';
+  if (score >= thresholds.High) return 'High';
+  if (score >= thresholds.Medium) return 'Medium';
+  return 'Low';
+};
+
+/**
+ * Score triage answers against the configured rules
+ * @param {Object} answers - { conscious, breathing, breathingDifficulty, chestPain, bleeding, age }
+ * @returns {Object} Assessment { answers, score, computedPriority, suggestedAmbulanceType, matchedRules, rulesVersion, assessedAt }
+ */
+const assessTriage = (answers = {}) => {
+  const matched = triageConfig.rules.filter(rule =>
+    Object.entries(rule.when).every(([question, condition]) =>
+      matchesCondition(answers[question], condition)
+    )
+  );
+
+  const score = matched.reduce((sum, rule) => sum + (rule.score || 0), 0);
+
+  const computedPriority = matched
+    .filter(rule => rule.minPriority)
+    .reduce((priority, rule) => higher(PRIORITIES, priority, rule.minPriority), priorityForScore(score));
+
+  const requestedTypes = matched
+    .map(rule => rule.ambulanceType)
+    .filter(Boolean);
+
+  const suggestedAmbulanceType = requestedTypes.includes('Neonatal')
+    ? 'Neonatal'
+    : requestedTypes
+      .filter(type => AMBULANCE_TYPES.includes(type))
+      .reduce((type, requested) => higher(AMBULANCE_TYPES, type, requested),
+        triageConfig.ambulanceTypes[computedPriority]);
+
+  return {
+    answers,
+    score,
+    computedPriority,
+    suggestedAmbulanceType,
+    matchedRules: matched.map(rule => ({
+      rule: rule.id,
+      reason: rule.reason,
+      score: rule.score || 0
+    })),
+    rulesVersion: triageConfig.version,
+    assessedAt: new Date()
+  };
+};
+
+/**
+ * Replace an emergency's priority on a staff member's judgement. The
+ * triage assessment is kept as it was; the caller saves the emergency.
+ * @param {Object} emergency - Emergency document
+ * @param {Object} override - Override details
+ * @param {string} override.priority - New priority
+ * @param {string} override.reason - Why the assessment was overridden
+ * @param {Object} override.user - Staff member overriding
+ * @returns {Object} Emergency document
+ */
+const overridePriority = (emergency, { priority, reason, user }) => {
+  const from = emergency.priority;
+
+  emergency.priorityOverrides.push({
+    from,
+    to: priority,
+    reason,
+    by: user.id
+  });
+  emergency.priority = priority;
+  emergency.logEvent('priority_override', `${from} -> ${priority} by ${user.name}: ${reason}`);
+
+  return emergency;
+};
+
+module.exports = {
+  PRIORITIES,
+  assessTriage,
+  overridePriority
+};
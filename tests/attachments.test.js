@@ -0,0 +1,173 @@
+const { PassThrough } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const EmergencyAttachment = require('../models/EmergencyAttachment');
+const localStorage = require('../services/storage/localStorage');
+const { uploadAttachment } = require('../middleware/upload');
+const { addAttachment } = require('../services/emergencyAttachments');
+const { sniffMimeType, sanitizeFileName } = require('../utils/helpers');
+const emergencyController = require('../controllers/emergencyController');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const PDF = Buffer.from('%PDF-1.7\n');
+
+describe('sniffMimeType', () => {
+  it('recognises the allowed types by their leading bytes', () => {
+    expect(sniffMimeType(JPEG)).toBe('image/jpeg');
+    expect(sniffMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe('image/png');
+    expect(sniffMimeType(PDF)).toBe('application/pdf');
+  });
+
+  it('returns null for anything else', () => {
+    expect(sniffMimeType(Buffer.from('<html><script>'))).toBeNull();
+    expect(sniffMimeType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('sanitizeFileName', () => {
+  it('strips quotes, slashes and control characters', () => {
+    expect(sanitizeFileName('x"\r\nSet-Cookie: a=b.pdf')).toBe('xSet-Cookie: a=b.pdf');
+    expect(sanitizeFileName('../../etc/passwd.png')).toBe('passwd.png');
+  });
+
+  it('keeps non-Latin-1 names and lower-cases the extension', () => {
+    expect(sanitizeFileName('ಎಕ್ಸ್-ರೇ.JPG')).toBe('ಎಕ್ಸ್-ರೇ.jpg');
+  });
+
+  it('falls back to a generic name when nothing is left', () => {
+    expect(sanitizeFileName('"\r\n.pdf')).toBe('attachment.pdf');
+  });
+});
+
+describe('uploadAttachment', () => {
+  const app = express();
+  app.post('/upload', uploadAttachment('file'), (req, res) => {
+    res.json({ name: req.file.originalname });
+  });
+
+  it('rejects a file whose contents do not match its type', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.from('<html></html>'), { filename: 'scan.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('accepts a matching file and cleans its name', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('file', JPEG, { filename: 'wound "left".jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('wound left.jpg');
+  });
+});
+
+describe('addAttachment', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('removes the stored file when its record cannot be created', async () => {
+    const emergency = { _id: id() };
+    jest.spyOn(EmergencyAttachment, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(localStorage, 'save').mockImplementation((key) => Promise.resolve(key));
+    jest.spyOn(localStorage, 'remove').mockResolvedValue();
+    jest.spyOn(EmergencyAttachment, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(addAttachment(
+      emergency,
+      { user: { id: id().toString() }, role: 'patient' },
+      { originalname: 'scan.pdf', mimetype: 'application/pdf', size: PDF.length, buffer: PDF },
+      { category: 'ecg' },
+      mockIo().io
+    )).rejects.toThrow('write failed');
+
+    const [key] = localStorage.save.mock.calls[0];
+    expect(key).toMatch(new RegExp(`^${emergency._id}/[a-f0-9]{24}\\.pdf$`));
+    expect(localStorage.remove).toHaveBeenCalledWith(key);
+  });
+});
+
+describe('attachment access', () => {
+  let patient;
+  let emergency;
+  let attachment;
+
+  beforeEach(() => {
+    patient = { id: id().toString(), role: 'patient', name: 'Patient' };
+    emergency = new Emergency({
+      patient: patient.id,
+      hospital: id(),
+      priority: 'Medium',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    attachment = new EmergencyAttachment({
+      emergency: emergency._id,
+      uploadedBy: patient.id,
+      uploaderRole: 'patient',
+      category: 'ecg',
+      originalName: 'ಇಸಿಜಿ "ವರದಿ".pdf',
+      contentType: 'application/pdf',
+      size: PDF.length,
+      storage: 'local',
+      key: `${emergency._id}/file.pdf`
+    });
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(EmergencyAttachment, 'findOne').mockReturnValue(mockQuery(attachment));
+    jest.spyOn(EmergencyAttachment, 'find').mockReturnValue(mockQuery([attachment]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const params = () => ({ id: emergency._id.toString(), attachmentId: attachment._id.toString() });
+
+  it('sets an ASCII fallback and an encoded name for a non-Latin-1 file name', async () => {
+    const stream = new PassThrough();
+    jest.spyOn(localStorage, 'createReadStream').mockReturnValue(stream);
+    const res = mockRes();
+
+    await emergencyController.downloadAttachment(mockReq({ user: patient, params: params() }), res);
+
+    const disposition = res.headers['content-disposition'];
+    expect(disposition).toMatch(/^inline; filename="[\x20-\x7e]+"; filename\*=UTF-8''/);
+    expect(disposition).not.toMatch(/[\r\n]/);
+    expect(res.headers['content-type']).toBe('application/pdf');
+  });
+
+  it('answers 404 without file headers when the stored file is missing', async () => {
+    const stream = new PassThrough();
+    jest.spyOn(localStorage, 'createReadStream').mockReturnValue(stream);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = mockRes();
+
+    await emergencyController.downloadAttachment(mockReq({ user: patient, params: params() }), res);
+    stream.emit('error', Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['content-disposition']).toBeUndefined();
+  });
+
+  it('refuses a user who is not on the emergency', async () => {
+    jest.spyOn(localStorage, 'createReadStream');
+    const stranger = { id: id().toString(), role: 'patient', name: 'Stranger' };
+
+    const download = mockRes();
+    await emergencyController.downloadAttachment(mockReq({ user: stranger, params: params() }), download);
+    const list = mockRes();
+    await emergencyController.getAttachments(mockReq({ user: stranger, params: params() }), list);
+
+    expect(download.statusCode).toBe(403);
+    expect(list.statusCode).toBe(403);
+    expect(localStorage.createReadStream).not.toHaveBeenCalled();
+    expect(EmergencyAttachment.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../services/handoffService', () => ({
+  sendHandoffPacket: jest.fn().mockResolvedValue()
+}));
+jest.mock('../services/slaMonitor', () => ({
+  recordMilestone: jest.fn().mockResolvedValue()
+}));
+jest.mock('../services/cancellationReport', () => ({
+  buildCancellationReport: jest.fn().mockResolvedValue({ byReason: [], byCaller: [] })
+}));
+
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const Ambulance = require('../models/Ambulance');
+const User = require('../models/User');
+const { cancelEmergency } = require('../services/emergencyLifecycle');
+const { buildCancellationReport } = require('../services/cancellationReport');
+const emergencyController = require('../controllers/emergencyController');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('cancelEmergency reasons', () => {
+  let emergency;
+  let patient;
+
+  beforeEach(() => {
+    patient = { id: id().toString(), role: 'patient', name: 'Patient' };
+    emergency = new Emergency({
+      patient: patient.id,
+      hospital: id(),
+      priority: 'Medium',
+      status: 'Pending',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    // Re-read by the milestone notifications
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ emergencyContacts: [] }));
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Ambulance, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the patient cancel with a legitimate reason', async () => {
+    await cancelEmergency(emergency, { user: patient, reason: 'patient_recovered', io: mockIo().io });
+
+    expect(emergency.status).toBe('Cancelled');
+    expect(emergency.cancellation.cancelledByRole).toBe('patient');
+  });
+
+  it.each(['hoax', 'no_patient_found'])('does not let the patient cancel as %s', async (reason) => {
+    await expect(cancelEmergency(emergency, { user: patient, reason, io: mockIo().io }))
+      .rejects.toMatchObject({ code: 403 });
+
+    expect(emergency.status).toBe('Pending');
+  });
+
+  it('lets dispatch staff cancel as a hoax', async () => {
+    const dispatcher = { id: id().toString(), role: 'hospital_admin', name: 'Dispatch' };
+
+    await cancelEmergency(emergency, { user: dispatcher, reason: 'hoax', io: mockIo().io });
+
+    expect(emergency.status).toBe('Cancelled');
+    expect(emergency.cancellation.reason).toBe('hoax');
+  });
+
+  it('only accepts the duplicate reason from a merge', async () => {
+    const dispatcher = { id: id().toString(), role: 'hospital_admin', name: 'Dispatch' };
+
+    await expect(cancelEmergency(emergency, { user: dispatcher, reason: 'duplicate', io: mockIo().io }))
+      .rejects.toMatchObject({ code: 403 });
+
+    await cancelEmergency(emergency, {
+      user: dispatcher,
+      reason: 'duplicate',
+      merged: true,
+      io: mockIo().io
+    });
+    expect(emergency.status).toBe('Cancelled');
+  });
+
+  it('answers 403 from the controller for a reason the user may not give', async () => {
+    const res = mockRes();
+
+    await emergencyController.cancelEmergency(
+      mockReq({ user: patient, params: { id: emergency._id.toString() }, body: { reason: 'hoax' } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(403);
+    expect(emergency.status).toBe('Pending');
+  });
+});
+
+describe('getCancellationReport', () => {
+  const hospitalAdmin = { id: id().toString(), role: 'hospital_admin' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    buildCancellationReport.mockClear();
+  });
+
+  it('scopes a hospital admin to the hospital they manage', async () => {
+    const hospitalId = id();
+    jest.spyOn(Hospital, 'findOne').mockReturnValue(mockQuery({ _id: hospitalId }));
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery({ _id: hospitalId, admin: hospitalAdmin.id }));
+    const res = mockRes();
+
+    await emergencyController.getCancellationReport(mockReq({ user: hospitalAdmin }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(buildCancellationReport).toHaveBeenCalledWith(expect.objectContaining({ hospital: hospitalId }));
+  });
+
+  it('refuses a hospital admin another hospital\'s report', async () => {
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery({ _id: id(), admin: id() }));
+    const res = mockRes();
+
+    await emergencyController.getCancellationReport(
+      mockReq({ user: hospitalAdmin, query: { hospital: id().toString() } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(403);
+    expect(buildCancellationReport).not.toHaveBeenCalled();
+  });
+
+  it('refuses a hospital admin who manages no hospital', async () => {
+    jest.spyOn(Hospital, 'findOne').mockReturnValue(mockQuery(null));
+    const res = mockRes();
+
+    await emergencyController.getCancellationReport(mockReq({ user: hospitalAdmin }), res);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('gives a system admin the report across hospitals', async () => {
+    const res = mockRes();
+
+    await emergencyController.getCancellationReport(
+      mockReq({ user: { id: id().toString(), role: 'admin' } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(buildCancellationReport).toHaveBeenCalledWith(expect.objectContaining({ hospital: undefined }));
+  });
+});
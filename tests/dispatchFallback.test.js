@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Ambulance = require('../models/Ambulance');
+const Hospital = require('../models/Hospital');
+const Emergency = require('../models/Emergency');
+const { reserveAmbulance } = require('../services/dispatchService');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let unitCount = 0;
+
+const unit = (hospital, coordinates) => new Ambulance({
+  vehicleNumber: `KA-${++unitCount}`,
+  type: 'Advanced',
+  hospital,
+  status: 'Available',
+  currentLocation: { type: 'Point', coordinates, lastUpdated: new Date() }
+});
+
+describe('reserveAmbulance', () => {
+  const homeHospital = id();
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      hospital: homeHospital,
+      priority: 'High',
+      location: { type: 'Point', coordinates: [77.5946, 12.9716] }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('offers the best home fleet unit and holds it as Offered', async () => {
+    const near = unit(homeHospital, [77.595, 12.972]);
+    const far = unit(homeHospital, [77.65, 13.0]);
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([far, near]));
+    const claim = jest.spyOn(Ambulance, 'findOneAndUpdate')
+      .mockImplementation((filter) => mockQuery(
+        filter._id.equals(near._id) ? { ...near.toObject(), status: 'Offered' } : null
+      ));
+
+    const ambulance = await reserveAmbulance(emergency);
+
+    expect(ambulance._id).toEqual(near._id);
+    expect(claim).toHaveBeenCalledTimes(1);
+    expect(claim.mock.calls[0][0]).toMatchObject({ status: 'Available', isActive: true });
+    expect(claim.mock.calls[0][1]).toMatchObject({ status: 'Offered', currentEmergency: emergency._id });
+    expect(emergency.lendingHospital).toBeNull();
+    expect(emergency.dispatchScore.candidatesConsidered).toBe(2);
+  });
+
+  it('moves on to the next unit when the best one was taken first', async () => {
+    const near = unit(homeHospital, [77.595, 12.972]);
+    const far = unit(homeHospital, [77.65, 13.0]);
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([near, far]));
+    const claim = jest.spyOn(Ambulance, 'findOneAndUpdate')
+      .mockImplementation((filter) => mockQuery(
+        filter._id.equals(far._id) ? far : null
+      ));
+
+    const ambulance = await reserveAmbulance(emergency);
+
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(ambulance._id).toEqual(far._id);
+  });
+
+  it('falls back to a mutual aid hospital when the home fleet is busy', async () => {
+    const lender = id();
+    const lent = unit(lender, [77.62, 12.99]);
+    jest.spyOn(Ambulance, 'find').mockImplementation((query) => mockQuery(
+      query.hospital && query.hospital.$in ? [lent] : []
+    ));
+    jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([{ _id: lender, name: 'Lender' }]));
+    jest.spyOn(Ambulance, 'findOneAndUpdate').mockReturnValue(mockQuery(lent));
+
+    const ambulance = await reserveAmbulance(emergency);
+
+    expect(ambulance._id).toEqual(lent._id);
+    expect(emergency.lendingHospital).toEqual(lender);
+    expect(emergency.receivingHospital).toEqual(homeHospital);
+    expect(emergency.dispatchScore.mutualAidRingKm).toBeGreaterThan(0);
+  });
+
+  it('returns null when no unit anywhere is free', async () => {
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([]));
+    const claim = jest.spyOn(Ambulance, 'findOneAndUpdate');
+
+    await expect(reserveAmbulance(emergency)).resolves.toBeNull();
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
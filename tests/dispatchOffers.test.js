@@ -0,0 +1,131 @@
+jest.mock('../services/dispatchService', () => ({
+  reserveAmbulance: jest.fn()
+}));
+jest.mock('../services/emergencyLifecycle', () => ({
+  transitionEmergency: jest.fn(async (emergency, status) => {
+    emergency.status = status;
+    return emergency;
+  })
+}));
+
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const NotificationService = require('../services/notificationService');
+const { reserveAmbulance } = require('../services/dispatchService');
+const { transitionEmergency } = require('../services/emergencyLifecycle');
+const { offerDispatch, acceptOffer, declineOffer } = require('../services/dispatchOffers');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+
+const unit = (vehicleNumber) => new Ambulance({
+  vehicleNumber,
+  type: 'Advanced',
+  hospital: new mongoose.Types.ObjectId(),
+  driver: new mongoose.Types.ObjectId(),
+  status: 'Offered',
+  currentLocation: { type: 'Point', coordinates: [77.6, 12.98] }
+});
+
+describe('dispatch offers', () => {
+  let emergency;
+  let io;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    ({ io } = mockIo());
+    emergency = new Emergency({
+      hospital: new mongoose.Types.ObjectId(),
+      priority: 'High',
+      status: 'Pending',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    jest.spyOn(NotificationService.prototype, 'handleNewEmergency').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    reserveAmbulance.mockReset();
+    transitionEmergency.mockClear();
+  });
+
+  it('offers the reserved unit to its driver and logs the offer', async () => {
+    const ambulance = unit('KA-1');
+    reserveAmbulance.mockResolvedValue(ambulance);
+    const offer = jest.spyOn(NotificationService.prototype, 'handleDispatchOffer');
+
+    await offerDispatch(emergency, io);
+
+    expect(emergency.dispatchOffer.ambulance).toEqual(ambulance._id);
+    expect(emergency.dispatchOffer.expiresAt > emergency.dispatchOffer.offeredAt).toBe(true);
+    expect(emergency.offerHistory[0].outcome).toBe('pending');
+    expect(emergency.timeline.map(entry => entry.event)).toContain('offer');
+    expect(offer).toHaveBeenCalledWith(emergency, ambulance);
+  });
+
+  it('dispatches the unit when the driver accepts in time', async () => {
+    const ambulance = unit('KA-1');
+    reserveAmbulance.mockResolvedValue(ambulance);
+    await offerDispatch(emergency, io);
+    ambulance.currentEmergency = emergency._id;
+    jest.spyOn(Emergency, 'findOne').mockReturnValue(mockQuery(emergency));
+
+    const accepted = await acceptOffer(ambulance, io);
+
+    expect(accepted).toBe(emergency);
+    expect(emergency.assignedAmbulance).toEqual(ambulance._id);
+    expect(emergency.assignedDriver).toEqual(ambulance.driver);
+    expect(emergency.offerHistory[0].outcome).toBe('accepted');
+    expect(transitionEmergency).toHaveBeenCalledWith(emergency, 'Dispatched', expect.any(Object));
+  });
+
+  it('refuses an acceptance after the window has closed', async () => {
+    const ambulance = unit('KA-1');
+    reserveAmbulance.mockResolvedValueOnce(ambulance).mockResolvedValueOnce(null);
+    await offerDispatch(emergency, io);
+    ambulance.currentEmergency = emergency._id;
+    emergency.dispatchOffer.expiresAt = new Date(Date.now() - 1000);
+    jest.spyOn(Emergency, 'findOne').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(Ambulance, 'findOneAndUpdate').mockReturnValue(mockQuery(ambulance));
+
+    await expect(acceptOffer(ambulance, io)).resolves.toBeNull();
+    expect(emergency.offerHistory[0].outcome).toBe('timeout');
+    expect(transitionEmergency).not.toHaveBeenCalled();
+  });
+
+  it('releases a declined unit and offers the next one', async () => {
+    const first = unit('KA-1');
+    const second = unit('KA-2');
+    reserveAmbulance.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+    await offerDispatch(emergency, io);
+    first.currentEmergency = emergency._id;
+    jest.spyOn(Emergency, 'findOne').mockReturnValue(mockQuery(emergency));
+    const release = jest.spyOn(Ambulance, 'findOneAndUpdate').mockReturnValue(mockQuery(first));
+
+    await declineOffer(first, 'Crew on break', io);
+
+    expect(release.mock.calls[0][0]).toMatchObject({ _id: first._id, status: 'Offered' });
+    expect(release.mock.calls[0][1]).toMatchObject({ status: 'Available', currentEmergency: null });
+    expect(emergency.offerHistory.map(offer => offer.outcome)).toEqual(['declined', 'pending']);
+    expect(emergency.offerHistory[0].reason).toBe('Crew on break');
+    expect(emergency.dispatchOffer.ambulance).toEqual(second._id);
+  });
+
+  it('moves an unanswered offer on when the timer fires', async () => {
+    const first = unit('KA-1');
+    const second = unit('KA-2');
+    reserveAmbulance.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+    await offerDispatch(emergency, io);
+    jest.spyOn(Emergency, 'findOne').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(Ambulance, 'findOneAndUpdate').mockReturnValue(mockQuery(first));
+
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(emergency.offerHistory.map(offer => offer.outcome)).toEqual(['timeout', 'pending']);
+    expect(emergency.timeline.map(entry => entry.event)).toContain('offer_timeout');
+    expect(emergency.dispatchOffer.ambulance).toEqual(second._id);
+  });
+});
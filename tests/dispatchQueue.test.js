@@ -0,0 +1,96 @@
+jest.mock('../services/dispatchOffers', () => ({
+  offerDispatch: jest.fn(),
+  expireStaleOffers: jest.fn().mockResolvedValue(0)
+}));
+
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { offerDispatch } = require('../services/dispatchOffers');
+const { getQueue, getQueueStatus, requestDispatchRetry } = require('../services/dispatchQueue');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const hospital = new mongoose.Types.ObjectId();
+
+const queued = (priority, minutesAgo) => new Emergency({
+  hospital,
+  priority,
+  status: 'Pending',
+  location: { type: 'Point', coordinates: [77.59, 12.97] },
+  createdAt: new Date(Date.now() - minutesAgo * 60000)
+});
+
+describe('dispatch queue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    offerDispatch.mockReset();
+  });
+
+  it('orders by priority, then oldest first', async () => {
+    const lowOld = queued('Low', 30);
+    const criticalNew = queued('Critical', 1);
+    const highOld = queued('High', 20);
+    const highNew = queued('High', 5);
+    const find = jest.spyOn(Emergency, 'find')
+      .mockReturnValue(mockQuery([lowOld, highNew, criticalNew, highOld]));
+
+    const queue = await getQueue({ hospital });
+
+    expect(queue).toEqual([criticalNew, highOld, highNew, lowOld]);
+    expect(find.mock.calls[0][0]).toMatchObject({
+      hospital,
+      status: 'Pending',
+      assignedAmbulance: null
+    });
+  });
+
+  it('estimates the wait from position, fleet size and service time', async () => {
+    const first = queued('Critical', 10);
+    const second = queued('High', 8);
+    const third = queued('High', 2);
+    jest.spyOn(Emergency, 'find').mockImplementation((query) => (
+      query.status === 'Completed'
+        ? mockQuery([{ createdAt: new Date(0), completedAt: new Date(40 * 60000) }])
+        : mockQuery([first, second, third])
+    ));
+    jest.spyOn(Ambulance, 'countDocuments').mockResolvedValue(2);
+
+    const status = await getQueueStatus(third);
+
+    expect(status).toMatchObject({ position: 3, queueLength: 3, estimatedWaitMinutes: 80 });
+  });
+
+  it('does not report a queue position once a unit is assigned', async () => {
+    const assigned = queued('High', 5);
+    assigned.assignedAmbulance = new mongoose.Types.ObjectId();
+
+    await expect(getQueueStatus(assigned)).resolves.toBeNull();
+  });
+
+  it('offers units in queue order and records failed attempts', async () => {
+    const medium = queued('Medium', 10);
+    const critical = queued('Critical', 2);
+    jest.spyOn(Emergency, 'find').mockReturnValue(mockQuery([medium, critical]));
+    jest.spyOn(Ambulance, 'exists').mockResolvedValue({ _id: 'free' });
+    const save = jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    offerDispatch
+      .mockResolvedValueOnce({ _id: 'unit' })
+      .mockResolvedValueOnce(null);
+
+    await requestDispatchRetry({});
+
+    expect(offerDispatch.mock.calls.map(([emergency]) => emergency)).toEqual([critical, medium]);
+    expect(critical.dispatchAttempts.count).toBe(1);
+    expect(medium.dispatchAttempts.count).toBe(1);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the queue alone when no unit is free', async () => {
+    jest.spyOn(Emergency, 'find').mockReturnValue(mockQuery([queued('High', 3)]));
+    jest.spyOn(Ambulance, 'exists').mockResolvedValue(null);
+
+    await requestDispatchRetry({});
+
+    expect(offerDispatch).not.toHaveBeenCalled();
+  });
+});
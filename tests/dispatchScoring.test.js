@@ -0,0 +1,105 @@
+const { scoreAmbulance, rankAmbulances, toDispatchScore } = require('../services/dispatchService');
+
+const emergencyAt = (coordinates, priority = 'High') => ({
+  location: { type: 'Point', coordinates },
+  priority
+});
+
+const ambulanceAt = (coordinates, overrides = {}) => ({
+  _id: overrides._id || `amb-${coordinates.join(',')}`,
+  type: 'Advanced',
+  equipment: [
+    { name: 'Defibrillator', isAvailable: true },
+    { name: 'Oxygen', isAvailable: true },
+    { name: 'Stretcher', isAvailable: true }
+  ],
+  currentLocation: {
+    type: 'Point',
+    coordinates,
+    lastUpdated: new Date()
+  },
+  ...overrides
+});
+
+describe('dispatch scoring', () => {
+  const emergency = emergencyAt([77.5946, 12.9716]);
+
+  it('scores every component between 0 and 1', () => {
+    const score = scoreAmbulance(ambulanceAt([77.6, 12.98]), emergency);
+
+    expect(score.total).toBeGreaterThan(0);
+    expect(score.total).toBeLessThanOrEqual(1);
+    for (const value of Object.values(score.components)) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThanOrEqual(1);
+    }
+    expect(score.distanceKm).toBeGreaterThan(0);
+  });
+
+  it('ranks a nearer unit of the same kind first', () => {
+    const near = ambulanceAt([77.595, 12.972], { _id: 'near' });
+    const far = ambulanceAt([77.7, 13.05], { _id: 'far' });
+
+    const ranked = rankAmbulances([far, near], emergency);
+
+    expect(ranked.map(score => score.ambulance._id)).toEqual(['near', 'far']);
+  });
+
+  it('prefers a suitable unit over a slightly nearer unsuitable one for critical calls', () => {
+    const critical = emergencyAt([77.5946, 12.9716], 'Critical');
+    const basic = ambulanceAt([77.5947, 12.9717], { _id: 'basic', type: 'Basic', equipment: [] });
+    const icu = ambulanceAt([77.596, 12.973], {
+      _id: 'icu',
+      type: 'Mobile ICU',
+      equipment: ['Defibrillator', 'Ventilator', 'Oxygen', 'Stretcher']
+        .map(name => ({ name, isAvailable: true }))
+    });
+
+    const [best] = rankAmbulances([basic, icu], critical);
+
+    expect(best.ambulance._id).toBe('icu');
+  });
+
+  it('prefers the ambulance type triage suggested', () => {
+    const neonatal = {
+      ...emergencyAt([77.5946, 12.9716], 'High'),
+      triage: { suggestedAmbulanceType: 'Neonatal' }
+    };
+    const advanced = ambulanceAt([77.5947, 12.9717], { _id: 'advanced' });
+    const incubator = ambulanceAt([77.596, 12.973], { _id: 'neonatal', type: 'Neonatal' });
+
+    const [best] = rankAmbulances([advanced, incubator], neonatal);
+
+    expect(best.ambulance._id).toBe('neonatal');
+    expect(best.components.typeFit).toBe(1);
+    expect(rankAmbulances([advanced, incubator], emergency)[0].ambulance._id).toBe('advanced');
+  });
+
+  it('scores a stale GPS fix lower than a fresh one', () => {
+    const fresh = scoreAmbulance(ambulanceAt([77.6, 12.98]), emergency);
+    const stale = scoreAmbulance(ambulanceAt([77.6, 12.98], {
+      currentLocation: {
+        type: 'Point',
+        coordinates: [77.6, 12.98],
+        lastUpdated: new Date(Date.now() - 2 * 60 * 60000)
+      }
+    }), emergency);
+
+    expect(stale.components.freshness).toBe(0);
+    expect(stale.total).toBeLessThan(fresh.total);
+  });
+
+  it('records the breakdown and weights used for the chosen unit', () => {
+    const score = scoreAmbulance(ambulanceAt([77.6, 12.98], { _id: 'chosen' }), emergency);
+
+    const record = toDispatchScore(score, 3, 10);
+
+    expect(record).toMatchObject({
+      ambulance: 'chosen',
+      total: score.total,
+      candidatesConsidered: 3,
+      mutualAidRingKm: 10
+    });
+    expect(record.weights).toHaveProperty('distance');
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../services/handoffService', () => ({
+  sendHandoffPacket: jest.fn().mockResolvedValue()
+}));
+jest.mock('../services/slaMonitor', () => ({
+  recordMilestone: jest.fn().mockResolvedValue()
+}));
+
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const Hospital = require('../models/Hospital');
+const { mergeEmergencies } = require('../services/duplicateDetection');
+const emergencyController = require('../controllers/emergencyController');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const report = (overrides) => new Emergency({
+  patient: id(),
+  caller: id(),
+  hospital: id(),
+  priority: 'Medium',
+  status: 'Pending',
+  location: { type: 'Point', coordinates: [77.59, 12.97] },
+  ...overrides
+});
+
+describe('mergeEmergencies', () => {
+  const dispatcher = { id: id().toString(), role: 'hospital_admin', name: 'Dispatch' };
+  let source;
+  let target;
+  let saved;
+
+  beforeEach(() => {
+    source = report({ priority: 'Critical', medicalInfo: { condition: 'Unconscious' } });
+    target = report({ medicalInfo: { condition: 'Road accident' } });
+    saved = [];
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(function() {
+      saved.push(this._id);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Ambulance, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels the duplicate and folds its caller and priority into the target', async () => {
+    const { io, emitted } = mockIo();
+
+    await mergeEmergencies(source, target, dispatcher, io);
+
+    expect(source.status).toBe('Cancelled');
+    expect(source.mergedInto).toEqual(target._id);
+    expect(source.cancellation.reason).toBe('duplicate');
+    expect(target.additionalCallers[0].emergency).toEqual(source._id);
+    expect(target.priority).toBe('Critical');
+    expect(target.medicalInfo.notes).toContain('Also reported: Unconscious');
+    expect(saved).toEqual([source._id, target._id]);
+    expect(emitted).toContainEqual(expect.objectContaining({
+      room: `emergency_${source._id}`,
+      event: 'emergency_merged'
+    }));
+  });
+
+  it('writes nothing when the duplicate is too far along to cancel', async () => {
+    source.status = 'Transporting';
+
+    await expect(mergeEmergencies(source, target, dispatcher, mockIo().io))
+      .rejects.toMatchObject({ name: 'TransitionError', code: 409 });
+
+    expect(saved).toEqual([]);
+    expect(target.additionalCallers).toHaveLength(0);
+  });
+
+  it('writes nothing when the user may not cancel the duplicate', async () => {
+    const driver = { id: id().toString(), role: 'driver', name: 'Crew' };
+
+    await expect(mergeEmergencies(source, target, driver, mockIo().io))
+      .rejects.toMatchObject({ name: 'TransitionError', code: 403 });
+
+    expect(saved).toEqual([]);
+    expect(target.additionalCallers).toHaveLength(0);
+  });
+});
+
+describe('duplicate review rights', () => {
+  const dispatcher = { id: id().toString(), role: 'hospital_admin', name: 'Dispatch' };
+  const ownHospital = id();
+  let source;
+  let target;
+
+  beforeEach(() => {
+    source = report({ hospital: ownHospital, duplicateCheck: { status: 'suspected' } });
+    target = report({ hospital: ownHospital });
+    jest.spyOn(Emergency, 'findById').mockImplementation((emergencyId) => mockQuery(
+      [source, target].find(emergency => emergency._id.equals(emergencyId)) || null
+    ));
+    jest.spyOn(Emergency.prototype, 'save');
+    jest.spyOn(Hospital, 'findById').mockImplementation((hospitalId) => mockQuery(
+      { admin: hospitalId.equals(ownHospital) ? dispatcher.id : id() }
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const merge = async () => {
+    const res = mockRes();
+    await emergencyController.mergeEmergency(mockReq({
+      user: dispatcher,
+      params: { id: source._id.toString() },
+      body: { targetId: target._id.toString() }
+    }), res);
+    return res;
+  };
+
+  it('refuses merging another hospital\'s emergency away', async () => {
+    source.hospital = id();
+
+    const res = await merge();
+
+    expect(res.statusCode).toBe(403);
+    expect(source.status).toBe('Pending');
+    expect(Emergency.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses merging into another hospital\'s emergency', async () => {
+    target.hospital = id();
+
+    const res = await merge();
+
+    expect(res.statusCode).toBe(403);
+    expect(source.status).toBe('Pending');
+    expect(Emergency.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses clearing another hospital\'s duplicate hold', async () => {
+    source.hospital = id();
+    const res = mockRes();
+
+    await emergencyController.clearDuplicate(mockReq({
+      user: dispatcher,
+      params: { id: source._id.toString() }
+    }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(source.duplicateCheck.status).toBe('suspected');
+    expect(Emergency.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../services/dispatchService');
+jest.mock('../services/hospitalMatching');
+jest.mock('../services/dispatchOffers');
+jest.mock('../services/dispatchQueue');
+jest.mock('../services/duplicateDetection');
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Emergency = require('../models/Emergency');
+const { findNearestHospital } = require('../services/dispatchService');
+const { selectDestinationHospital } = require('../services/hospitalMatching');
+const { offerDispatch } = require('../services/dispatchOffers');
+const { findPossibleDuplicates } = require('../services/duplicateDetection');
+const { resolvePatient, createEmergencyRequest } = require('../services/emergencyIntake');
+const escalationConfig = require('../config/escalation');
+const matchingConfig = require('../config/hospitalMatching');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('resolvePatient', () => {
+  const caller = { id: id().toString(), phone: '+15550001111' };
+  const patientId = id();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const patientWithContacts = (emergencyContacts) => {
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ _id: patientId, emergencyContacts }));
+  };
+
+  it('defaults to the caller as the patient', async () => {
+    await expect(resolvePatient(caller)).resolves.toEqual({ caller: caller.id, patient: caller.id });
+  });
+
+  it('lets a linked emergency contact request for the patient', async () => {
+    patientWithContacts([{ name: 'Sam', user: caller.id }]);
+
+    await expect(resolvePatient(caller, { patientId: patientId.toString() }))
+      .resolves.toEqual({ caller: caller.id, patient: patientId });
+  });
+
+  it('does not accept a contact that only shares the caller\'s phone number', async () => {
+    patientWithContacts([{ name: 'Sam', phone: caller.phone }]);
+
+    await expect(resolvePatient(caller, { patientId: patientId.toString() }))
+      .rejects.toMatchObject({ code: 403 });
+  });
+
+  it('takes free-text details for an unregistered patient', async () => {
+    await expect(resolvePatient(caller, { patientDetails: { name: 'Stranger' } }))
+      .resolves.toEqual({ caller: caller.id, patientDetails: { name: 'Stranger' } });
+    await expect(resolvePatient(caller, { patientDetails: {} }))
+      .rejects.toMatchObject({ code: 400 });
+  });
+});
+
+describe('createEmergencyRequest', () => {
+  const request = {
+    location: { coordinates: [76.2, 11.4], address: 'Forest road' },
+    medicalInfo: { condition: 'Fall' },
+    triage: { conscious: true, breathing: true },
+    details: { patient: id() }
+  };
+  const widestKm = escalationConfig.widenedRingsKm[escalationConfig.widenedRingsKm.length - 1];
+  let created;
+
+  beforeEach(() => {
+    created = null;
+    jest.spyOn(Emergency, 'create').mockImplementation((data) => {
+      created = new Emergency(data);
+      return Promise.resolve(created);
+    });
+    jest.spyOn(Emergency, 'findById').mockImplementation(() => mockQuery(created));
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    selectDestinationHospital.mockResolvedValue({ hospital: null, reasoning: {} });
+    findPossibleDuplicates.mockResolvedValue([]);
+    offerDispatch.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('falls back to the widened radius and starts the emergency escalated', async () => {
+    const hospital = { _id: id() };
+    findNearestHospital.mockResolvedValueOnce(null).mockResolvedValueOnce(hospital);
+
+    const result = await createEmergencyRequest(request, mockIo().io);
+
+    expect(findNearestHospital).toHaveBeenLastCalledWith(request.location.coordinates, widestKm);
+    expect(result.emergency.hospital).toEqual(hospital._id);
+    expect(created.escalation).toMatchObject({ level: 1, searchRadiusKm: widestKm });
+    expect(created.timeline.map(entry => entry.event)).toContain('escalation');
+  });
+
+  it('does not escalate when a hospital is in the usual radius', async () => {
+    findNearestHospital.mockResolvedValueOnce({ _id: id() });
+
+    await createEmergencyRequest(request, mockIo().io);
+
+    expect(findNearestHospital).toHaveBeenCalledTimes(1);
+    expect(created.escalation.level).toBe(0);
+  });
+
+  it('returns null when no hospital is in the widened radius either', async () => {
+    findNearestHospital.mockResolvedValue(null);
+
+    await expect(createEmergencyRequest(request, mockIo().io)).resolves.toBeNull();
+
+    expect(widestKm).toBeGreaterThan(matchingConfig.searchRadiusKm);
+    expect(findNearestHospital).toHaveBeenCalledTimes(2);
+    expect(Emergency.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const EmergencyMessage = require('../models/EmergencyMessage');
+const emergencyController = require('../controllers/emergencyController');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('emergency messages', () => {
+  let patient;
+  let emergency;
+
+  beforeEach(() => {
+    patient = { id: id().toString(), role: 'patient', name: 'Pat' };
+    emergency = new Emergency({
+      patient: patient.id,
+      hospital: id(),
+      priority: 'High',
+      status: 'Dispatched',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(EmergencyMessage, 'create').mockImplementation((data) => Promise.resolve(new EmergencyMessage(data)));
+    jest.spyOn(EmergencyMessage.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(EmergencyMessage, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(EmergencyMessage, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const params = () => ({ id: emergency._id.toString() });
+
+  describe('posting', () => {
+    it('stores the message as read by its sender and delivers it to the emergency room', async () => {
+      const { io, emitted } = mockIo();
+      const res = mockRes();
+
+      await emergencyController.postMessage(
+        mockReq({ user: patient, params: params(), body: { body: 'Gate is on the left' }, io }),
+        res
+      );
+
+      expect(res.statusCode).toBe(201);
+      expect(EmergencyMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+        emergency: emergency._id,
+        sender: patient.id,
+        senderRole: 'patient',
+        body: 'Gate is on the left',
+        readBy: [{ user: patient.id }]
+      }));
+      expect(emitted).toEqual([expect.objectContaining({
+        room: `emergency_${emergency._id}`,
+        event: 'emergency_message'
+      })]);
+    });
+
+    it('answers 409 once the emergency is over', async () => {
+      emergency.status = 'Completed';
+      const res = mockRes();
+
+      await emergencyController.postMessage(
+        mockReq({ user: patient, params: params(), body: { body: 'Thanks' } }),
+        res
+      );
+
+      expect(res.statusCode).toBe(409);
+      expect(EmergencyMessage.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reading', () => {
+    it('lists only messages after since', async () => {
+      const since = '2026-03-10T08:00:00.000Z';
+      const res = mockRes();
+
+      await emergencyController.getMessages(
+        mockReq({ user: patient, params: params(), query: { since } }),
+        res
+      );
+
+      expect(res.statusCode).toBe(200);
+      expect(EmergencyMessage.find).toHaveBeenCalledWith({
+        emergency: emergency._id,
+        createdAt: { $gt: new Date(since) }
+      });
+    });
+
+    it('lists the whole thread without since', async () => {
+      await emergencyController.getMessages(mockReq({ user: patient, params: params() }), mockRes());
+
+      expect(EmergencyMessage.find).toHaveBeenCalledWith({ emergency: emergency._id });
+    });
+
+    it('records a read receipt and tells the thread', async () => {
+      EmergencyMessage.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      const upTo = '2026-03-10T08:05:00.000Z';
+      const { io, emitted } = mockIo();
+      const res = mockRes();
+
+      await emergencyController.markMessagesRead(
+        mockReq({ user: patient, params: params(), body: { upTo }, io }),
+        res
+      );
+
+      expect(res.body.read).toBe(2);
+      expect(EmergencyMessage.updateMany).toHaveBeenCalledWith(
+        {
+          emergency: emergency._id,
+          createdAt: { $lte: new Date(upTo) },
+          'readBy.user': { $ne: patient.id }
+        },
+        { $push: { readBy: { user: patient.id, readAt: res.body.readAt } } }
+      );
+      expect(emitted).toEqual([expect.objectContaining({
+        room: `emergency_${emergency._id}`,
+        event: 'messages_read',
+        data: expect.objectContaining({ userId: patient.id, upTo: new Date(upTo) })
+      })]);
+    });
+
+    it('sends no receipt when nothing new was read', async () => {
+      const { io, emitted } = mockIo();
+
+      await emergencyController.markMessagesRead(mockReq({ user: patient, params: params(), io }), mockRes());
+
+      expect(emitted).toEqual([]);
+    });
+  });
+
+  describe('a user who is not on the emergency', () => {
+    const stranger = { id: id().toString(), role: 'patient', name: 'Stranger' };
+
+    it('cannot post, read or mark messages read', async () => {
+      const post = mockRes();
+      const list = mockRes();
+      const read = mockRes();
+
+      await emergencyController.postMessage(
+        mockReq({ user: stranger, params: params(), body: { body: 'Hello' } }),
+        post
+      );
+      await emergencyController.getMessages(mockReq({ user: stranger, params: params() }), list);
+      await emergencyController.markMessagesRead(mockReq({ user: stranger, params: params() }), read);
+
+      expect([post.statusCode, list.statusCode, read.statusCode]).toEqual([403, 403, 403]);
+      expect(EmergencyMessage.create).not.toHaveBeenCalled();
+      expect(EmergencyMessage.find).not.toHaveBeenCalled();
+      expect(EmergencyMessage.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
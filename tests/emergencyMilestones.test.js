@@ -0,0 +1,177 @@
+jest.mock('../services/handoffService', () => ({
+  sendHandoffPacket: jest.fn().mockResolvedValue()
+}));
+jest.mock('../services/slaMonitor', () => ({
+  recordMilestone: jest.fn().mockResolvedValue()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { sendStatusUpdate } = require('../services/emailService');
+const { sendStatusUpdate: sendSmsStatusUpdate } = require('../services/smsService');
+const { acceptOffer } = require('../services/dispatchOffers');
+const { transitionEmergency } = require('../services/emergencyLifecycle');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('lifecycle milestones', () => {
+  const driver = { id: id().toString(), role: 'driver' };
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      hospital: id(),
+      assignedAmbulance: id(),
+      patientDetails: { name: 'Guest' },
+      isGuest: true,
+      priority: 'High',
+      status: 'Dispatched',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Ambulance, 'findById').mockReturnValue(mockQuery({ driver: driver.id }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stamps a separate time for each milestone', async () => {
+    const milestones = {
+      'En Route': 'enRouteAt',
+      'On Scene': 'onSceneAt',
+      Transporting: 'patientLoadedAt',
+      'At Hospital': 'atHospitalAt',
+      'Handed Over': 'handedOverAt'
+    };
+
+    for (const [status, field] of Object.entries(milestones)) {
+      await transitionEmergency(emergency, status, { user: driver });
+      expect(emergency[field]).toBeInstanceOf(Date);
+    }
+
+    // Arrival on scene, not the start of transport
+    expect(emergency.actualArrivalTime).toEqual(emergency.onSceneAt);
+  });
+
+  it('announces a milestone to the emergency room', async () => {
+    const { io, emitted } = mockIo();
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+
+    await transitionEmergency(emergency, 'En Route', { user: driver, io });
+
+    expect(emitted).toContainEqual(expect.objectContaining({
+      room: `emergency_${emergency._id}`,
+      event: 'emergency_milestone'
+    }));
+  });
+});
+
+describe('accepting an offer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendStatusUpdate.mockClear();
+    sendSmsStatusUpdate.mockClear();
+  });
+
+  it('announces the dispatch once on each channel', async () => {
+    const { io, emitted } = mockIo();
+    const patient = { _id: id(), name: 'Pat', email: 'pat@example.com', phone: '+15550001' };
+    const ambulance = new Ambulance({
+      vehicleNumber: 'KA-1',
+      type: 'Advanced',
+      hospital: id(),
+      driver: id(),
+      status: 'Offered',
+      currentLocation: { type: 'Point', coordinates: [77.6, 12.98] }
+    });
+    const emergency = new Emergency({
+      patient: patient._id,
+      hospital: id(),
+      priority: 'High',
+      status: 'Pending',
+      location: { type: 'Point', coordinates: [77.59, 12.97] },
+      dispatchOffer: {
+        ambulance: ambulance._id,
+        offeredAt: new Date(),
+        expiresAt: new Date(Date.now() + 60000)
+      },
+      offerHistory: [{ ambulance: ambulance._id, offeredAt: new Date(), outcome: 'pending' }]
+    });
+    ambulance.currentEmergency = emergency._id;
+
+    const populated = {
+      ...emergency.toObject(),
+      patient,
+      hospital: { _id: emergency.hospital, name: 'City' },
+      assignedAmbulance: { vehicleNumber: 'KA-1', driver: { _id: ambulance.driver, name: 'Dan' } },
+      toObject() { return this; }
+    };
+
+    jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Emergency, 'findOne').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(populated));
+    jest.spyOn(Ambulance, 'findByIdAndUpdate').mockResolvedValue(ambulance);
+    jest.spyOn(require('../models/User'), 'findById').mockReturnValue(mockQuery(null));
+
+    await acceptOffer(ambulance, io);
+
+    const events = emitted.map(({ room, event }) => `${room}:${event}`);
+    expect(events.sort()).toEqual([
+      `emergency_${emergency._id}:emergency_milestone`,
+      `hospital_${emergency.hospital}:new_emergency`,
+      `user_${ambulance.driver}:new_assignment`,
+      `user_${patient._id}:emergency_assigned`
+    ].sort());
+    expect(sendStatusUpdate).toHaveBeenCalledTimes(1);
+    expect(sendSmsStatusUpdate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('status update SMS', () => {
+  const template = ejs.compile(
+    fs.readFileSync(path.join(__dirname, '../templates/sms/status-update.ejs'), 'utf8')
+  );
+
+  it('leads with the summary of the status', () => {
+    const text = template({
+      patientName: 'Pat',
+      status: 'On Scene',
+      statusMessage: 'The ambulance has arrived',
+      ambulanceNumber: 'KA-1',
+      driverName: 'Dan',
+      eta: '10:05'
+    });
+
+    expect(text).toMatch(/^The ambulance has arrived for Pat/);
+    expect(text).not.toContain('ETA');
+  });
+});
+
+describe('migrateLegacyStatuses', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves In Transit emergencies and their timeline entries to Transporting', async () => {
+    const updateMany = jest.spyOn(Emergency, 'updateMany')
+      .mockResolvedValueOnce({ modifiedCount: 2 })
+      .mockResolvedValueOnce({ modifiedCount: 2 });
+
+    await expect(Emergency.migrateLegacyStatuses()).resolves.toBe(2);
+
+    expect(updateMany.mock.calls[0][0]).toEqual({ status: 'In Transit' });
+    expect(updateMany.mock.calls[0][1][0].$set.status).toBe('Transporting');
+    expect(updateMany.mock.calls[1][2]).toEqual({ arrayFilters: [{ 'entry.status': 'In Transit' }] });
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../services/handoffService', () => ({
+  sendHandoffPacket: jest.fn().mockResolvedValue()
+}));
+jest.mock('../services/slaMonitor', () => ({
+  recordMilestone: jest.fn().mockResolvedValue()
+}));
+
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { TransitionError } = require('../middleware/errorHandler');
+const { assertTransition, isTerminal, allowedTransitions } = require('../utils/emergencyTransitions');
+const { transitionEmergency, resolveActorRoles } = require('../services/emergencyLifecycle');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('emergency transition table', () => {
+  it('allows the forward path through the lifecycle', () => {
+    const path = ['Pending', 'Dispatched', 'En Route', 'On Scene', 'Transporting',
+      'At Hospital', 'Handed Over', 'Completed'];
+
+    for (let i = 1; i < path.length; i++) {
+      expect(() => assertTransition(path[i - 1], path[i])).not.toThrow();
+    }
+  });
+
+  it('rejects illegal moves with the statuses that are allowed', () => {
+    expect.assertions(4);
+    try {
+      assertTransition('Cancelled', 'Dispatched');
+    } catch (error) {
+      expect(error).toBeInstanceOf(TransitionError);
+      expect(error.code).toBe(409);
+      expect(error.from).toBe('Cancelled');
+      expect(error.allowedTransitions).toEqual([]);
+    }
+  });
+
+  it('treats Completed and Cancelled as terminal', () => {
+    expect(isTerminal('Completed')).toBe(true);
+    expect(isTerminal('Cancelled')).toBe(true);
+    expect(isTerminal('Pending')).toBe(false);
+  });
+
+  it('does not allow cancelling once the patient is on board', () => {
+    expect(allowedTransitions('Transporting')).not.toContain('Cancelled');
+  });
+});
+
+describe('transitionEmergency', () => {
+  const patient = { id: id().toString(), role: 'patient' };
+  const driver = { id: id().toString(), role: 'driver' };
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      patient: patient.id,
+      hospital: id(),
+      assignedAmbulance: id(),
+      priority: 'High',
+      status: 'On Scene',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Ambulance, 'findById').mockReturnValue(mockQuery({ driver: driver.id }));
+    jest.spyOn(Ambulance, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('works out the roles a user holds on the emergency', async () => {
+    await expect(resolveActorRoles(emergency, patient)).resolves.toEqual(['patient']);
+    await expect(resolveActorRoles(emergency, driver)).resolves.toEqual(['assigned_driver']);
+    await expect(resolveActorRoles(emergency, null)).resolves.toEqual(['system']);
+  });
+
+  it('refuses a patient completing their own emergency', async () => {
+    await expect(transitionEmergency(emergency, 'Completed', { user: patient }))
+      .rejects.toMatchObject({ name: 'TransitionError', code: 403 });
+    expect(emergency.status).toBe('On Scene');
+  });
+
+  it('lets the assigned driver move on and stamps the milestone', async () => {
+    await transitionEmergency(emergency, 'Transporting', { user: driver, notes: 'Loaded' });
+
+    expect(emergency.status).toBe('Transporting');
+    expect(emergency.patientLoadedAt).toBeInstanceOf(Date);
+    expect(emergency.timeline[emergency.timeline.length - 1]).toMatchObject({
+      status: 'Transporting',
+      notes: 'Loaded'
+    });
+  });
+
+  it('releases the unit when the emergency completes', async () => {
+    await transitionEmergency(emergency, 'Completed', { user: driver });
+
+    expect(Ambulance.updateMany).toHaveBeenCalledWith(
+      { currentEmergency: emergency._id },
+      { status: 'Available', currentEmergency: null }
+    );
+  });
+
+  it('requires an ambulance before dispatch', async () => {
+    emergency.status = 'Pending';
+    emergency.assignedAmbulance = undefined;
+
+    await expect(transitionEmergency(emergency, 'Dispatched'))
+      .rejects.toMatchObject({ code: 409 });
+  });
+});
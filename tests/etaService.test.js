@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const { recalculateEta } = require('../services/etaService');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const scene = [77.5946, 12.9716];
+
+const travelling = (status) => new Emergency({
+  hospital: new mongoose.Types.ObjectId(),
+  assignedAmbulance: new mongoose.Types.ObjectId(),
+  priority: 'High',
+  status,
+  location: { type: 'Point', coordinates: scene }
+});
+
+describe('recalculateEta', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates the scene ETA and keeps history while heading to the scene', async () => {
+    const emergency = travelling('En Route');
+
+    const update = await recalculateEta(emergency, [77.62, 12.99]);
+
+    expect(update.target).toBe('scene');
+    expect(emergency.estimatedArrivalTime).toEqual(update.eta);
+    expect(emergency.etaBaseline.scene).toEqual(update.eta);
+    expect(emergency.etaHistory).toHaveLength(1);
+    expect(update.runningLate.isLate).toBe(false);
+  });
+
+  it('targets the receiving hospital once transporting', async () => {
+    const emergency = travelling('Transporting');
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery({
+      address: { location: { coordinates: [77.64, 13.0] } }
+    }));
+
+    const update = await recalculateEta(emergency, scene);
+
+    expect(update.target).toBe('hospital');
+    expect(emergency.estimatedHospitalArrivalTime).toEqual(update.eta);
+  });
+
+  it('does nothing while the unit is not travelling', async () => {
+    await expect(recalculateEta(travelling('On Scene'), scene)).resolves.toBeNull();
+  });
+
+  it('flags the call as running late once, when the ETA slips past the threshold', async () => {
+    const emergency = travelling('En Route');
+    emergency.set('etaBaseline.scene', new Date(Date.now() - 30 * 60000));
+
+    const first = await recalculateEta(emergency, [77.62, 12.99]);
+    const second = await recalculateEta(emergency, [77.62, 12.99]);
+
+    expect(first.runningLate.isLate).toBe(true);
+    expect(first.becameLate).toBe(true);
+    expect(second.becameLate).toBe(false);
+    expect(second.runningLate.flaggedAt).toEqual(first.runningLate.flaggedAt);
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { submitFeedback } = require('../services/feedbackService');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('submitFeedback', () => {
+  const patient = { id: id().toString(), role: 'patient' };
+  const ratings = { crew: 5, responseTime: 4, hospital: 3 };
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      patient: patient.id,
+      hospital: id(),
+      priority: 'Medium',
+      status: 'Completed',
+      assignedAmbulance: id(),
+      assignedDriver: id(),
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(Emergency, 'findOneAndUpdate').mockImplementation((filter, update) =>
+      Promise.resolve({ ...emergency.toObject(), ...update })
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits the driver who crewed the call, not the unit\'s current driver', async () => {
+    const crewHospital = id();
+    jest.spyOn(Ambulance, 'findById').mockReturnValue(mockQuery({
+      _id: emergency.assignedAmbulance,
+      hospital: crewHospital,
+      driver: id()
+    }));
+
+    const updated = await submitFeedback(emergency._id, patient, { ratings });
+
+    expect(updated.feedback).toMatchObject({
+      ambulance: emergency.assignedAmbulance,
+      driver: emergency.assignedDriver,
+      crewHospital,
+      rating: 4
+    });
+  });
+
+  it('only takes feedback from the patient', async () => {
+    await expect(submitFeedback(emergency._id, { id: id().toString() }, { ratings }))
+      .rejects.toMatchObject({ code: 403 });
+    expect(Emergency.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../services/emergencyIntake');
+
+const crypto = require('crypto');
+const GuestVerification = require('../models/GuestVerification');
+const Emergency = require('../models/Emergency');
+const { createEmergencyRequest } = require('../services/emergencyIntake');
+const emergencyController = require('../controllers/emergencyController');
+const { verifyGuestOtp, releaseGuestOtp } = require('../services/guestIntake');
+const { generateOTP, hashString } = require('../utils/helpers');
+const { mockQuery } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const phone = '+15550001234';
+
+describe('guest OTP', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = new GuestVerification({
+      phone,
+      otpHash: hashString('123456'),
+      expiresAt: new Date(Date.now() + 5 * 60000)
+    });
+
+    // In-memory stand-in for the collection, applying the same conditions
+    jest.spyOn(GuestVerification, 'findById').mockImplementation(() => mockQuery(stored));
+    jest.spyOn(GuestVerification, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const matches = Object.entries(filter).every(([key, condition]) => {
+        if (key === '_id') return true;
+        if (condition && condition.$lt !== undefined) return stored[key] < condition.$lt;
+        return (stored[key] ?? null) === condition;
+      });
+      if (!matches) return mockQuery(null);
+
+      if (update.$inc) {
+        for (const [key, by] of Object.entries(update.$inc)) stored[key] += by;
+      } else {
+        Object.assign(stored, update);
+      }
+      return mockQuery(stored);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a correct code', async () => {
+    const verification = await verifyGuestOtp(stored._id, phone, '123456');
+
+    expect(verification.consumedAt).toBeInstanceOf(Date);
+    expect(verification.verifiedAt).toBeInstanceOf(Date);
+  });
+
+  it('lets a code be used only once, even by simultaneous requests', async () => {
+    const results = await Promise.allSettled([
+      verifyGuestOtp(stored._id, phone, '123456'),
+      verifyGuestOtp(stored._id, phone, '123456')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason.message).toBe('Verification code has already been used');
+
+    await expect(verifyGuestOtp(stored._id, phone, '123456'))
+      .rejects.toThrow('Verification code has already been used');
+  });
+
+  it('counts wrong codes atomically and locks out after the limit', async () => {
+    const guesses = Array.from({ length: 8 }, (_, i) => verifyGuestOtp(stored._id, phone, `00000${i}`));
+    const results = await Promise.allSettled(guesses);
+
+    expect(stored.attempts).toBe(5);
+    expect(results.filter(result => /Too many/.test(result.reason.message))).toHaveLength(3);
+    await expect(verifyGuestOtp(stored._id, phone, '123456')).rejects.toThrow(/Too many/);
+    expect(GuestVerification.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { attempts: 1 } });
+  });
+
+  it('rejects a code sent to another phone', async () => {
+    await expect(verifyGuestOtp(stored._id, '+15559999999', '123456'))
+      .rejects.toMatchObject({ code: 401 });
+  });
+
+  it('can hand an unused claim back', async () => {
+    const update = jest.spyOn(GuestVerification, 'updateOne').mockResolvedValue({});
+    const verification = await verifyGuestOtp(stored._id, phone, '123456');
+
+    await releaseGuestOtp(verification);
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: stored._id, emergency: null },
+      { consumedAt: null }
+    );
+  });
+
+  describe('when creating the emergency fails', () => {
+    let update;
+
+    beforeEach(() => {
+      update = jest.spyOn(GuestVerification, 'updateOne').mockResolvedValue({});
+      createEmergencyRequest.mockRejectedValue(new Error('write failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      createEmergencyRequest.mockReset();
+    });
+
+    const createGuestEmergency = async () => {
+      const res = mockRes();
+      await emergencyController.createGuestEmergency(mockReq({
+        body: {
+          verificationId: stored._id.toString(),
+          phone,
+          otp: '123456',
+          location: { coordinates: [77.59, 12.97] },
+          triage: {}
+        }
+      }), res);
+      return res;
+    };
+
+    it('hands the code back when no emergency was saved', async () => {
+      jest.spyOn(Emergency, 'exists').mockResolvedValue(null);
+
+      const res = await createGuestEmergency();
+
+      expect(res.statusCode).toBe(500);
+      expect(Emergency.exists).toHaveBeenCalledWith({
+        _id: createEmergencyRequest.mock.calls[0][0].details._id
+      });
+      expect(update).toHaveBeenCalledWith(
+        { _id: stored._id, emergency: null },
+        { consumedAt: null }
+      );
+    });
+
+    it('keeps the code spent when the emergency was saved before the failure', async () => {
+      jest.spyOn(Emergency, 'exists').mockResolvedValue({ _id: stored._id });
+
+      const res = await createGuestEmergency();
+
+      expect(res.statusCode).toBe(500);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('generateOTP', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('draws digits from the crypto generator', () => {
+    const randomInt = jest.spyOn(crypto, 'randomInt');
+    const random = jest.spyOn(Math, 'random');
+
+    const otp = generateOTP(6);
+
+    expect(otp).toMatch(/^\d{6}$/);
+    expect(randomInt).toHaveBeenCalledTimes(6);
+    expect(random).not.toHaveBeenCalled();
+  });
+});
+
+describe('tracking access', () => {
+  it('does not load the SMS service', () => {
+    jest.isolateModules(() => {
+      jest.doMock('../services/smsService', () => {
+        throw new Error('SMS service loaded');
+      });
+      expect(() => require('../middleware/auth')).not.toThrow();
+    });
+    jest.dontMock('../services/smsService');
+  });
+});
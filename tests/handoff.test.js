@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const EmergencyAttachment = require('../models/EmergencyAttachment');
+const { buildHandoffPacket, sendHandoffPacket, acknowledgeHandoff } = require('../services/handoffService');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('pre-arrival handoff', () => {
+  const driver = id();
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      patient: id(),
+      hospital: id(),
+      receivingHospital: id(),
+      assignedAmbulance: id(),
+      priority: 'Critical',
+      status: 'Transporting',
+      location: { type: 'Point', coordinates: [77.59, 12.97] },
+      medicalInfo: { condition: 'Chest pain' },
+      destinationReasoning: { requiredFacilities: ['Cath Lab'] }
+    });
+    for (let i = 1; i <= 7; i++) {
+      emergency.observations.push({ notes: `Observation ${i}` });
+    }
+
+    jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Ambulance, 'findById').mockReturnValue(mockQuery({ driver, currentLocation: null }));
+    jest.spyOn(EmergencyAttachment, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const withPatient = () => ({
+    ...emergency.toObject(),
+    patient: {
+      name: 'Pat',
+      phone: '+15550001',
+      medicalInfo: { bloodType: 'O+', allergies: ['Penicillin'], medications: ['Aspirin'] }
+    }
+  });
+
+  it('carries the patient history, latest observations and required facilities', async () => {
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(withPatient()));
+
+    const packet = await buildHandoffPacket(emergency._id);
+
+    expect(packet.patient).toMatchObject({
+      name: 'Pat',
+      bloodType: 'O+',
+      allergies: ['Penicillin'],
+      medications: ['Aspirin']
+    });
+    expect(packet.observations).toHaveLength(5);
+    expect(packet.observations[0].notes).toBe('Observation 7');
+    expect(packet.requiredFacilities).toEqual(['Cath Lab']);
+  });
+
+  it('goes to the receiving hospital room and is logged once', async () => {
+    const { io, emitted } = mockIo();
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(withPatient()));
+
+    await sendHandoffPacket(emergency, io);
+    await sendHandoffPacket(emergency, io);
+
+    expect(emitted.map(({ room, event }) => `${room}:${event}`)).toEqual([
+      `hospital_${emergency.receivingHospital}:pre_arrival_handoff`,
+      `hospital_${emergency.receivingHospital}:pre_arrival_handoff`
+    ]);
+    expect(emergency.timeline.filter(entry => entry.event === 'handoff_sent')).toHaveLength(1);
+  });
+
+  it('tells the crew when the ER acknowledges', async () => {
+    const { io, emitted } = mockIo();
+
+    await acknowledgeHandoff(emergency, { id: id().toString(), name: 'Dr Lee' }, 'Bay 3', io);
+
+    expect(emergency.handoff.acknowledgedAt).toBeInstanceOf(Date);
+    expect(emitted).toContainEqual(expect.objectContaining({
+      room: `user_${driver}`,
+      event: 'handoff_acknowledged',
+      data: expect.objectContaining({ notes: 'Bay 3', acknowledgedBy: 'Dr Lee' })
+    }));
+  });
+});
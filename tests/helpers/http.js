@@ -0,0 +1,52 @@
+const { mockIo } = require('./mockQuery');
+
+/**
+ * Build an Express request for calling a controller directly
+ * @param {Object} options - { user, params, body, query, io }
+ * @returns {Object} Request
+ */
+const mockReq = ({ user, params = {}, body = {}, query = {}, io = mockIo().io } = {}) => ({
+  user,
+  params,
+  body,
+  query,
+  app: { get: (name) => (name === 'io' ? io : undefined) }
+});
+
+/**
+ * Build an Express response that records its status and body
+ * @returns {Object} Response with statusCode, body and headers
+ */
+const mockRes = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {}
+  };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.send = res.json;
+  res.set = jest.fn((name, value) => {
+    const fields = typeof name === 'object' ? name : { [name]: value };
+    Object.entries(fields).forEach(([field, fieldValue]) => {
+      res.headers[field.toLowerCase()] = fieldValue;
+    });
+    return res;
+  });
+  res.setHeader = res.set;
+  res.removeHeader = jest.fn((name) => {
+    delete res.headers[name.toLowerCase()];
+  });
+  return res;
+};
+
+module.exports = {
+  mockReq,
+  mockRes
+};
@@ -0,0 +1,39 @@
+/**
+ * Stand-in for a Mongoose query that resolves to a fixed result. Chained
+ * query helpers (select, populate, sort, ...) return the same query.
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Thenable query
+ */
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+
+  for (const method of ['select', 'populate', 'sort', 'limit', 'skip', 'lean', 'session']) {
+    query[method] = () => query;
+  }
+
+  return query;
+};
+
+/**
+ * Minimal Socket.io server that records what was emitted to each room
+ * @returns {Object} { io, emitted } where emitted is [{ room, event, data }]
+ */
+const mockIo = () => {
+  const emitted = [];
+  const io = {
+    to: (room) => ({
+      emit: (event, data) => emitted.push({ room, event, data })
+    }),
+    emit: (event, data) => emitted.push({ room: null, event, data })
+  };
+  return { io, emitted };
+};
+
+module.exports = {
+  mockQuery,
+  mockIo
+};
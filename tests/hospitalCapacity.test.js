@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const hospitalController = require('../controllers/hospitalController');
+const { mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const hospitalWith = (capacity, admin = new mongoose.Types.ObjectId()) => new Hospital({
+  name: 'City Hospital',
+  admin,
+  address: { location: { type: 'Point', coordinates: [77.59, 12.97] } },
+  capacity
+});
+
+describe('hospital capacity', () => {
+  it('reports occupancy per unit and leaves unreported units out', () => {
+    const hospital = hospitalWith({
+      erBeds: { total: 10, available: 4 },
+      icuBeds: { total: 5, available: 0 }
+    });
+
+    expect(hospital.occupancy('erBeds')).toBeCloseTo(0.6);
+    expect(hospital.isFull('icuBeds')).toBe(true);
+    expect(hospital.occupancy('nicuBeds')).toBeNull();
+    expect(hospital.isFull('nicuBeds')).toBe(false);
+  });
+});
+
+describe('updateCapacity', () => {
+  const adminId = new mongoose.Types.ObjectId().toString();
+  let hospital;
+
+  beforeEach(() => {
+    hospital = hospitalWith({ erBeds: { total: 10, available: 4 } }, adminId);
+    jest.spyOn(Hospital, 'findById').mockResolvedValue(hospital);
+    jest.spyOn(Hospital.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates only the units sent and broadcasts the change', async () => {
+    const { io, emitted } = mockIo();
+    const res = mockRes();
+
+    await hospitalController.updateCapacity(mockReq({
+      user: { id: adminId, role: 'hospital_admin' },
+      params: { id: hospital._id.toString() },
+      body: { erBeds: { available: 2 }, icuBeds: { total: 4, available: 1 } },
+      io
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(hospital.capacity.erBeds).toMatchObject({ total: 10, available: 2 });
+    expect(hospital.capacity.icuBeds).toMatchObject({ total: 4, available: 1 });
+    expect(emitted[0]).toMatchObject({ event: 'hospital_capacity_update' });
+  });
+
+  it('rejects more beds available than exist', async () => {
+    const res = mockRes();
+
+    await hospitalController.updateCapacity(mockReq({
+      user: { id: adminId, role: 'hospital_admin' },
+      params: { id: hospital._id.toString() },
+      body: { erBeds: { available: 12 } }
+    }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(Hospital.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses the admin of another hospital', async () => {
+    const res = mockRes();
+
+    await hospitalController.updateCapacity(mockReq({
+      user: { id: new mongoose.Types.ObjectId().toString(), role: 'hospital_admin' },
+      params: { id: hospital._id.toString() },
+      body: { erBeds: { available: 2 } }
+    }), res);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
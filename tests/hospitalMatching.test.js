@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const { matchRequirements, selectDestinationHospital } = require('../services/hospitalMatching');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const scene = { type: 'Point', coordinates: [77.5946, 12.9716] };
+
+const hospital = (name, coordinates, { facilities = [], capacity = {} } = {}) => new Hospital({
+  name,
+  admin: new mongoose.Types.ObjectId(),
+  address: { location: { type: 'Point', coordinates } },
+  facilities,
+  capacity
+});
+
+describe('matchRequirements', () => {
+  it('maps a condition to the facilities it needs', () => {
+    const requirements = matchRequirements({ condition: 'Suspected cardiac arrest' }, 'Critical');
+
+    expect(requirements.matchedRules).toEqual(['cardiac']);
+    expect(requirements.facilities).toEqual(['Cath Lab', 'Cardiology']);
+    expect(requirements.capacity).toEqual(['erBeds', 'icuBeds']);
+  });
+
+  it('matches symptoms as well as the condition', () => {
+    const requirements = matchRequirements({ condition: 'Collapse', symptoms: ['Slurred speech'] });
+
+    expect(requirements.matchedRules).toEqual(['stroke']);
+  });
+
+  it('matches whole words only', () => {
+    const requirements = matchRequirements({
+      condition: 'Elaborate laboratory results, childhood asthma history'
+    });
+
+    expect(requirements.matchedRules).toEqual([]);
+  });
+
+  it('matches a phrase across extra spaces', () => {
+    const requirements = matchRequirements({ condition: 'Patient  not   breathing' });
+
+    expect(requirements.matchedRules).toEqual(['respiratory']);
+  });
+});
+
+describe('selectDestinationHospital', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prefers a hospital with the needed facilities over a nearer one without', async () => {
+    const near = hospital('Near', [77.595, 12.972]);
+    const cardiac = hospital('Heart Centre', [77.62, 12.99], { facilities: ['Cath Lab', 'Cardiology'] });
+    jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([near, cardiac]));
+
+    const { hospital: chosen, reasoning } = await selectDestinationHospital({
+      location: scene,
+      medicalInfo: { condition: 'heart attack' },
+      priority: 'High'
+    });
+
+    expect(chosen).toBe(cardiac);
+    expect(reasoning.matchedRules).toEqual(['cardiac']);
+    expect(reasoning.missingFacilities).toEqual([]);
+    expect(reasoning.summary).toContain('Heart Centre');
+  });
+
+  it('skips a full hospital when another has room', async () => {
+    const full = hospital('Full', [77.595, 12.972], { capacity: { erBeds: { total: 10, available: 0 } } });
+    const open = hospital('Open', [77.62, 12.99], { capacity: { erBeds: { total: 10, available: 5 } } });
+    jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([full, open]));
+
+    const { hospital: chosen, reasoning } = await selectDestinationHospital({
+      location: scene,
+      medicalInfo: {},
+      priority: 'Medium'
+    });
+
+    expect(chosen).toBe(open);
+    expect(reasoning.atCapacity).toBe(false);
+  });
+
+  it('searches the wider specialty radius when facilities are needed', async () => {
+    const find = jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([]));
+
+    const { hospital: chosen, reasoning } = await selectDestinationHospital({
+      location: scene,
+      medicalInfo: { condition: 'newborn not feeding' },
+      priority: 'High'
+    });
+
+    expect(chosen).toBeNull();
+    expect(reasoning.searchRadiusKm).toBe(50);
+    expect(find.mock.calls[0][0]['address.location'].$near.$maxDistance).toBe(50000);
+  });
+});
+
+describe('hospital matching config', () => {
+  afterEach(() => {
+    delete process.env.HOSPITAL_OCCUPANCY_PENALTY;
+  });
+
+  it('allows the occupancy penalty to be turned off', () => {
+    process.env.HOSPITAL_OCCUPANCY_PENALTY = '0';
+    jest.isolateModules(() => {
+      expect(require('../config/hospitalMatching').occupancyPenalty).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Incident = require('../models/Incident');
+const Ambulance = require('../models/Ambulance');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const incidentController = require('../controllers/incidentController');
+const { distributeCasualties } = require('../services/incidentService');
+const { mockQuery } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newIncident = (status = 'Active') => new Incident({
+  title: 'Bus crash',
+  status,
+  location: { type: 'Point', coordinates: [77.59, 12.97], address: 'Ring Road' },
+  declaredBy: id()
+});
+
+describe('incident controller', () => {
+  const adminId = id().toString();
+  const ownHospital = id();
+  const otherHospital = id();
+  const hospitalAdmin = { id: adminId, role: 'hospital_admin', name: 'Admin' };
+  let incident;
+
+  beforeEach(() => {
+    incident = newIncident();
+    jest.spyOn(Incident, 'findById').mockImplementation(() => mockQuery(incident));
+    jest.spyOn(Incident.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Hospital, 'findById').mockImplementation((hospitalId) => mockQuery(
+      hospitalId.equals(ownHospital) ? { admin: adminId } : { admin: id() }
+    ));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets a hospital admin commit their own units only', async () => {
+    const own = { _id: id(), hospital: ownHospital };
+    const other = { _id: id(), hospital: otherHospital };
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([own, other]));
+    const claim = jest.spyOn(Ambulance, 'findOneAndUpdate').mockImplementation((filter) => mockQuery({
+      _id: filter._id,
+      hospital: ownHospital,
+      vehicleNumber: 'KA-1',
+      driver: id()
+    }));
+    const res = mockRes();
+
+    await incidentController.attachAmbulances(mockReq({
+      user: hospitalAdmin,
+      params: { id: incident._id.toString() },
+      body: { ambulanceIds: [own._id.toString(), other._id.toString()] }
+    }), res);
+
+    expect(claim).toHaveBeenCalledTimes(1);
+    expect(claim.mock.calls[0][0]._id).toEqual(own._id);
+    expect(res.body.attached).toEqual([own._id]);
+    expect(res.body.forbidden).toEqual([other._id]);
+  });
+
+  it('refuses a hospital admin committing only other hospitals\' units', async () => {
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([{ _id: id(), hospital: otherHospital }]));
+    const claim = jest.spyOn(Ambulance, 'findOneAndUpdate');
+    const res = mockRes();
+
+    await incidentController.attachAmbulances(mockReq({
+      user: hospitalAdmin,
+      params: { id: incident._id.toString() },
+      body: { ambulanceIds: [id().toString()] }
+    }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('refuses a hospital admin releasing another hospital\'s unit', async () => {
+    jest.spyOn(Ambulance, 'findById').mockReturnValue(mockQuery({ _id: id(), hospital: otherHospital }));
+    const release = jest.spyOn(Ambulance, 'updateMany');
+    const res = mockRes();
+
+    await incidentController.releaseAmbulance(mockReq({
+      user: hospitalAdmin,
+      params: { id: incident._id.toString(), ambulanceId: id().toString() }
+    }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  describe('adding a casualty reported as an emergency', () => {
+    let emergency;
+
+    beforeEach(() => {
+      emergency = new Emergency({
+        hospital: ownHospital,
+        priority: 'High',
+        location: { type: 'Point', coordinates: [77.59, 12.97] }
+      });
+      jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+      jest.spyOn(Emergency.prototype, 'save').mockResolvedValue();
+    });
+
+    const addCasualty = async () => {
+      const res = mockRes();
+      await incidentController.addCasualty(mockReq({
+        user: hospitalAdmin,
+        params: { id: incident._id.toString() },
+        body: { label: 'P-01', triageTag: 'immediate', emergencyId: emergency._id.toString() }
+      }), res);
+      return res;
+    };
+
+    it('refuses an emergency of another hospital', async () => {
+      emergency.hospital = otherHospital;
+
+      const res = await addCasualty();
+
+      expect(res.statusCode).toBe(403);
+      expect(emergency.incident).toBeFalsy();
+      expect(incident.casualties).toHaveLength(0);
+    });
+
+    it('refuses an emergency already linked to another incident', async () => {
+      const otherIncident = id();
+      emergency.incident = otherIncident;
+
+      const res = await addCasualty();
+
+      expect(res.statusCode).toBe(409);
+      expect(emergency.incident).toEqual(otherIncident);
+      expect(Emergency.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('on a closed incident', () => {
+    beforeEach(() => {
+      incident = newIncident('Closed');
+      incident.casualties.push({ label: 'P-01', triageTag: 'minor' });
+    });
+
+    it('refuses casualty updates', async () => {
+      const res = mockRes();
+
+      await incidentController.updateCasualty(mockReq({
+        user: hospitalAdmin,
+        params: { id: incident._id.toString(), casualtyId: incident.casualties[0]._id.toString() },
+        body: { triageTag: 'delayed' }
+      }), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(incident.casualties[0].triageTag).toBe('minor');
+    });
+
+    it('refuses distributing casualties', async () => {
+      const find = jest.spyOn(Hospital, 'find');
+      const res = mockRes();
+
+      await incidentController.distributeCasualties(mockReq({
+        user: hospitalAdmin,
+        params: { id: incident._id.toString() }
+      }), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('refuses releasing units', async () => {
+      const release = jest.spyOn(Ambulance, 'updateMany');
+      const res = mockRes();
+
+      await incidentController.releaseAmbulance(mockReq({
+        user: hospitalAdmin,
+        params: { id: incident._id.toString(), ambulanceId: id().toString() }
+      }), res);
+
+      expect(res.statusCode).toBe(409);
+      expect(release).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('distributeCasualties', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the most urgent casualties to the nearest hospital with a bed', async () => {
+    const incident = newIncident();
+    incident.casualties.push(
+      { label: 'P-01', triageTag: 'minor' },
+      { label: 'P-02', triageTag: 'immediate' },
+      { label: 'P-03', triageTag: 'immediate' },
+      { label: 'P-04', triageTag: 'deceased', transportStatus: 'not_transported' }
+    );
+    const near = { _id: id(), capacity: { icuBeds: { total: 4, available: 1 }, generalBeds: { total: 10, available: 5 } } };
+    const far = { _id: id(), capacity: { icuBeds: { total: 4, available: 3 } } };
+    jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([near, far]));
+
+    const { assigned, overCapacity } = await distributeCasualties(incident);
+
+    const destinations = Object.fromEntries(
+      incident.casualties.map(casualty => [casualty.label, casualty.destinationHospital])
+    );
+    expect(assigned.map(casualty => casualty.label)).toEqual(['P-02', 'P-03', 'P-01']);
+    expect(destinations['P-02']).toEqual(near._id);
+    expect(destinations['P-03']).toEqual(far._id);
+    expect(destinations['P-01']).toEqual(near._id);
+    expect(destinations['P-04']).toBeNull();
+    expect(overCapacity).toEqual([]);
+  });
+});
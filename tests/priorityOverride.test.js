@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const emergencyController = require('../controllers/emergencyController');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('overridePriority', () => {
+  const hospitalAdmin = { id: id().toString(), role: 'hospital_admin', name: 'Dispatch' };
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      patient: id(),
+      hospital: id(),
+      priority: 'Medium',
+      status: 'Pending',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const override = (user, io = mockIo().io) => {
+    const res = mockRes();
+    return emergencyController.overridePriority(
+      mockReq({
+        user,
+        io,
+        params: { id: emergency._id.toString() },
+        body: { priority: 'Critical', reason: 'Patient deteriorating' }
+      }),
+      res
+    ).then(() => res);
+  };
+
+  it('lets the admin of the emergency\'s hospital override', async () => {
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery({ _id: emergency.hospital, admin: hospitalAdmin.id }));
+    const { io, emitted } = mockIo();
+
+    const res = await override(hospitalAdmin, io);
+
+    expect(res.statusCode).toBe(200);
+    expect(emergency.priority).toBe('Critical');
+    expect(emitted).toContainEqual(expect.objectContaining({ event: 'priority_updated' }));
+  });
+
+  it('refuses the admin of another hospital', async () => {
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery({ _id: emergency.hospital, admin: id() }));
+
+    const res = await override(hospitalAdmin);
+
+    expect(res.statusCode).toBe(403);
+    expect(emergency.priority).toBe('Medium');
+    expect(Emergency.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+const offlineProvider = require('../services/routing/offlineProvider');
+
+const origin = { lat: 12.9716, lng: 77.5946 };
+const destination = { lat: 13.0358, lng: 77.597 };
+
+describe('offline routing provider', () => {
+  it('estimates distance, duration and arrival time', async () => {
+    const route = await offlineProvider.route(origin, destination);
+
+    expect(route.provider).toBe('offline');
+    expect(route.distance).toBeGreaterThan(7);
+    expect(route.duration).toBeGreaterThan(0);
+    expect(route.arrivalTime.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('is faster on a highway than in a residential street', async () => {
+    const highway = await offlineProvider.route(origin, destination, { roadClass: 'highway' });
+    const residential = await offlineProvider.route(origin, destination, { roadClass: 'residential' });
+
+    expect(highway.duration).toBeLessThan(residential.duration);
+  });
+
+  it('is faster for a critical call than a low priority one', async () => {
+    const critical = await offlineProvider.route(origin, destination, { priority: 'Critical' });
+    const low = await offlineProvider.route(origin, destination, { priority: 'Low' });
+
+    expect(critical.duration).toBeLessThan(low.duration);
+  });
+});
+
+describe('getRoute', () => {
+  const loadWithProvider = (provider, googleRoute) => {
+    let routing;
+    jest.isolateModules(() => {
+      process.env.ROUTING_PROVIDER = provider;
+      jest.doMock('../services/routing/googleProvider', () => ({
+        name: 'google',
+        route: googleRoute
+      }));
+      routing = require('../services/routing');
+    });
+    process.env.ROUTING_PROVIDER = 'offline';
+    return routing;
+  };
+
+  afterEach(() => {
+    jest.dontMock('../services/routing/googleProvider');
+  });
+
+  it('uses the configured provider', async () => {
+    const googleRoute = jest.fn().mockResolvedValue({ provider: 'google' });
+    const { getRoute } = loadWithProvider('google', googleRoute);
+
+    await expect(getRoute(origin, destination)).resolves.toEqual({ provider: 'google' });
+  });
+
+  it('falls back to the offline estimate when the provider fails', async () => {
+    const googleRoute = jest.fn().mockRejectedValue(new Error('timeout'));
+    const { getRoute } = loadWithProvider('google', googleRoute);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const route = await getRoute(origin, destination);
+
+    expect(googleRoute).toHaveBeenCalled();
+    expect(route.provider).toBe('offline');
+    console.error.mockRestore();
+  });
+
+  it('never calls out when configured offline', async () => {
+    const googleRoute = jest.fn();
+    const { getRoute } = loadWithProvider('offline', googleRoute);
+
+    await getRoute(origin, destination);
+
+    expect(googleRoute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,20 @@
+// Outbound email and SMS are never sent from tests
+jest.mock('../services/emailService', () => ({
+  sendVerificationEmail: jest.fn().mockResolvedValue(true),
+  sendPasswordResetEmail: jest.fn().mockResolvedValue(true),
+  sendEmergencyAlert: jest.fn().mockResolvedValue(true),
+  sendStatusUpdate: jest.fn().mockResolvedValue(true),
+  sendTransportReminder: jest.fn().mockResolvedValue(true),
+  sendDispatchEscalation: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../services/smsService', () => ({
+  sendEmergencyAlert: jest.fn().mockResolvedValue(null),
+  sendStatusUpdate: jest.fn().mockResolvedValue(null),
+  sendOTP: jest.fn().mockResolvedValue(null),
+  sendTransportReminder: jest.fn().mockResolvedValue(null),
+  sendDispatchEscalation: jest.fn().mockResolvedValue(null)
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+process.env.ROUTING_PROVIDER = 'offline';
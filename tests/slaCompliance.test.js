@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const SlaBreach = require('../models/SlaBreach');
+const { buildComplianceReport, checkOpenEmergencies } = require('../services/slaMonitor');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const start = new Date('2026-03-10T08:00:00Z');
+const after = minutes => new Date(start.getTime() + minutes * 60000);
+
+const dispatchedAfter = (minutes) => ({
+  _id: id(),
+  priority: 'Critical',
+  createdAt: start,
+  timeline: [
+    { status: 'Pending', timestamp: start },
+    { status: 'Dispatched', timestamp: after(minutes) }
+  ]
+});
+
+describe('buildComplianceReport', () => {
+  const hospital = { _id: id(), name: 'City Hospital' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts a milestone reached after the target as breached without a breach record', async () => {
+    jest.spyOn(Emergency, 'find').mockReturnValue(mockQuery([dispatchedAfter(1), dispatchedAfter(5)]));
+    jest.spyOn(SlaBreach, 'find').mockReturnValue(mockQuery([]));
+
+    const report = await buildComplianceReport(hospital, '2026-03');
+
+    expect(report.byPriority.Critical.dispatch).toMatchObject({
+      measured: 2,
+      met: 1,
+      breached: 1,
+      compliance: 0.5,
+      averageMinutes: 3
+    });
+  });
+
+  it('judges against the hospital\'s own target', async () => {
+    jest.spyOn(Emergency, 'find').mockReturnValue(mockQuery([dispatchedAfter(5)]));
+    jest.spyOn(SlaBreach, 'find').mockReturnValue(mockQuery([]));
+
+    const report = await buildComplianceReport(
+      { ...hospital, slaTargets: { Critical: { dispatch: 6 } } },
+      '2026-03'
+    );
+
+    expect(report.byPriority.Critical.targets.dispatch).toBe(6);
+    expect(report.byPriority.Critical.dispatch).toMatchObject({ met: 1, breached: 0 });
+  });
+
+  it('still counts a recorded breach for a milestone never reached', async () => {
+    const cancelled = { ...dispatchedAfter(1), timeline: [{ status: 'Pending', timestamp: start }] };
+    jest.spyOn(Emergency, 'find').mockReturnValue(mockQuery([cancelled]));
+    jest.spyOn(SlaBreach, 'find').mockReturnValue(mockQuery([
+      { emergency: cancelled._id, metric: 'dispatch', targetMinutes: 2, breachedAt: after(2) }
+    ]));
+
+    const report = await buildComplianceReport(hospital, '2026-03');
+
+    expect(report.byPriority.Critical.dispatch).toMatchObject({ measured: 1, met: 0, breached: 1 });
+  });
+});
+
+describe('checkOpenEmergencies', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+
+  const suspectedDuplicate = (heldSince) => new Emergency({
+    hospital: id(),
+    priority: 'Critical',
+    status: 'Pending',
+    createdAt: minutesAgo(20),
+    location: { type: 'Point', coordinates: [77.59, 12.97] },
+    timeline: [{ status: 'Pending', timestamp: minutesAgo(20) }],
+    duplicateCheck: { status: 'suspected', checkedAt: heldSince }
+  });
+
+  // Applies the duplicate hold conditions of the query, as the database would
+  const matchesHold = (filter, emergency) => filter.$or.some(condition => (
+    condition['duplicateCheck.status']
+      ? emergency.duplicateCheck.status !== condition['duplicateCheck.status'].$ne
+      : emergency.duplicateCheck.checkedAt <= condition['duplicateCheck.checkedAt'].$lte
+  ));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('times a suspected duplicate once its hold has run out', async () => {
+    const expired = suspectedDuplicate(minutesAgo(20));
+    const held = suspectedDuplicate(new Date());
+    jest.spyOn(Emergency, 'find').mockImplementation((filter) => mockQuery(
+      [expired, held].filter(emergency => matchesHold(filter, emergency))
+    ));
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Hospital, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(SlaBreach, 'updateOne').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await checkOpenEmergencies(mockIo().io);
+
+    const breached = SlaBreach.updateOne.mock.calls.map(([filter]) => filter.emergency);
+    expect(breached).toContainEqual(expired._id);
+    expect(breached).not.toContainEqual(held._id);
+    expect(expired.slaAlerts.dispatch.breachedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,97 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const { authenticateSocket, canJoinRoom } = require('../middleware/socketAuth');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const socketWith = (auth = {}, data = {}) => ({ handshake: { auth }, data });
+
+describe('authenticateSocket', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('attaches the user from a valid JWT', async () => {
+    const user = { _id: id(), role: 'patient', name: 'Asha' };
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+    const socket = socketWith({ token: jwt.sign({ id: user._id }, process.env.JWT_SECRET) });
+    const next = jest.fn();
+
+    await authenticateSocket(socket, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(socket.data.user).toEqual({ id: user._id.toString(), role: 'patient', name: 'Asha' });
+  });
+
+  it('refuses a forged or missing token', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const forged = jest.fn();
+    const missing = jest.fn();
+
+    await authenticateSocket(socketWith({ token: jwt.sign({ id: id() }, 'not-the-secret') }), forged);
+    await authenticateSocket(socketWith(), missing);
+
+    expect(forged).toHaveBeenCalledWith(expect.any(Error));
+    expect(missing).toHaveBeenCalledWith(expect.any(Error));
+  });
+});
+
+describe('canJoinRoom', () => {
+  const patient = { id: id().toString(), role: 'patient', name: 'Asha' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets a participant join the emergency room and keeps others out', async () => {
+    const emergency = new Emergency({
+      patient: patient.id,
+      priority: 'High',
+      location: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(emergency));
+    const stranger = { id: id().toString(), role: 'patient', name: 'Other' };
+
+    await expect(canJoinRoom(socketWith({}, { user: patient }), `emergency_${emergency._id}`))
+      .resolves.toBe(true);
+    await expect(canJoinRoom(socketWith({}, { user: stranger }), `emergency_${emergency._id}`))
+      .resolves.toBe(false);
+  });
+
+  it('only lets a hospital\'s own admin join its room', async () => {
+    const hospitalAdmin = { id: id().toString(), role: 'hospital_admin' };
+    const hospitalId = id();
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery({ _id: hospitalId, admin: id() }));
+
+    await expect(canJoinRoom(socketWith({}, { user: hospitalAdmin }), `hospital_${hospitalId}`))
+      .resolves.toBe(false);
+  });
+
+  it('only lets users join their own user room', async () => {
+    const socket = socketWith({}, { user: patient });
+
+    await expect(canJoinRoom(socket, `user_${patient.id}`)).resolves.toBe(true);
+    await expect(canJoinRoom(socket, `user_${id()}`)).resolves.toBe(false);
+  });
+
+  it('keeps patients out of incident rooms and rejects unknown rooms', async () => {
+    const socket = socketWith({}, { user: patient });
+
+    await expect(canJoinRoom(socket, `incident_${id()}`)).resolves.toBe(false);
+    await expect(canJoinRoom(socket, 'everyone')).resolves.toBe(false);
+    await expect(canJoinRoom(socketWith({}, { user: { ...patient, role: 'driver' } }), `incident_${id()}`))
+      .resolves.toBe(true);
+  });
+
+  it('lets a guest join only the emergency their tracking token is for', async () => {
+    jest.spyOn(Emergency, 'findById').mockReturnValue(mockQuery(null));
+    const guest = socketWith({}, { trackingToken: 'token' });
+
+    await expect(canJoinRoom(guest, `emergency_${id()}`)).resolves.toBe(false);
+    await expect(canJoinRoom(guest, `user_${id()}`)).resolves.toBe(false);
+  });
+});
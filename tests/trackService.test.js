@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const LocationPing = require('../models/LocationPing');
+const Ambulance = require('../models/Ambulance');
+const trackingConfig = require('../config/tracking');
+const { recordPing, getEmergencyTrack, toGeoJson, toGpx } = require('../services/trackService');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const point = (coordinates, minute, speed) => ({
+  coordinates,
+  timestamp: new Date(Date.UTC(2026, 0, 5, 10, minute)),
+  speed
+});
+
+describe('recordPing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the fix against the unit and emergency at the unit\'s update time', async () => {
+    jest.spyOn(LocationPing, 'create').mockImplementation((data) => Promise.resolve(data));
+    const lastUpdated = new Date('2026-01-05T10:00:00Z');
+    const ambulance = { _id: id(), currentLocation: { lastUpdated } };
+    const emergencyId = id();
+
+    await recordPing(ambulance, emergencyId, { coordinates: [77.59, 12.97], speed: 12, heading: 90 });
+
+    expect(LocationPing.create).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: lastUpdated,
+      meta: { ambulance: ambulance._id, emergency: emergencyId },
+      location: { type: 'Point', coordinates: [77.59, 12.97] },
+      speed: 12,
+      heading: 90
+    }));
+  });
+});
+
+describe('getEmergencyTrack', () => {
+  const ambulanceId = id();
+  const ping = minute => ({
+    meta: { ambulance: ambulanceId },
+    location: { coordinates: [77.59, 12.97] },
+    timestamp: new Date(Date.UTC(2026, 0, 5, 10, minute))
+  });
+
+  beforeEach(() => {
+    jest.spyOn(LocationPing, 'aggregate').mockResolvedValue([ping(0), ping(30)]);
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The $mod divisor of the sampling stage
+  const samplingStep = () => LocationPing.aggregate.mock.calls[0][0][2].$match.$expr.$or[0].$eq[0].$mod[1];
+
+  it('thins a long track evenly instead of dropping its end', async () => {
+    jest.spyOn(LocationPing, 'countDocuments').mockResolvedValue(trackingConfig.maxPoints * 2 + 1);
+
+    const [track] = await getEmergencyTrack(id());
+
+    expect(samplingStep()).toBe(3);
+    // Each unit's last ping is kept whatever the step
+    expect(LocationPing.aggregate.mock.calls[0][0][2].$match.$expr.$or[1]).toEqual({
+      $eq: ['$position', '$count']
+    });
+    expect(track.sampled).toBe(true);
+    expect(toGeoJson('e1', [track]).features[0].properties.sampled).toBe(true);
+  });
+
+  it('returns every ping of a short track', async () => {
+    jest.spyOn(LocationPing, 'countDocuments').mockResolvedValue(2);
+
+    const [track] = await getEmergencyTrack(id());
+
+    expect(samplingStep()).toBe(1);
+    expect(track.points).toHaveLength(2);
+    expect(track.sampled).toBe(false);
+  });
+});
+
+describe('toGeoJson', () => {
+  const ambulance = { _id: id(), vehicleNumber: 'KA01 AB 1234', type: 'Advanced' };
+
+  it('gives one line per unit with times in coordinate order', () => {
+    const points = [point([77.59, 12.97], 0, 10), point([77.6, 12.98], 1)];
+
+    const { type, features: [feature] } = toGeoJson('e1', [{ ambulance, points }]);
+
+    expect(type).toBe('FeatureCollection');
+    expect(feature.geometry).toEqual({ type: 'LineString', coordinates: [[77.59, 12.97], [77.6, 12.98]] });
+    expect(feature.properties).toMatchObject({
+      vehicleNumber: 'KA01 AB 1234',
+      coordTimes: ['2026-01-05T10:00:00.000Z', '2026-01-05T10:01:00.000Z'],
+      speeds: [10, null]
+    });
+  });
+
+  it('gives a point for a unit with a single fix', () => {
+    const { features: [feature] } = toGeoJson('e1', [{ ambulance, points: [point([77.59, 12.97], 0)] }]);
+
+    expect(feature.geometry).toEqual({ type: 'Point', coordinates: [77.59, 12.97] });
+  });
+});
+
+describe('toGpx', () => {
+  it('writes latitude and longitude in GPX order and escapes names', () => {
+    const ambulance = { _id: id(), vehicleNumber: 'KA01 <A&B>' };
+
+    const gpx = toGpx('e1', [{ ambulance, points: [point([77.59, 12.97], 0)] }]);
+
+    expect(gpx).toContain('<name>KA01 &lt;A&amp;B&gt;</name>');
+    expect(gpx).toContain('<trkpt lat="12.97" lon="77.59"><time>2026-01-05T10:00:00.000Z</time></trkpt>');
+  });
+});
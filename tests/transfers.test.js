@@ -0,0 +1,159 @@
+jest.mock('../services/dispatchOffers', () => ({
+  offerDispatch: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const TransferRequest = require('../models/TransferRequest');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const { offerDispatch } = require('../services/dispatchOffers');
+const transferController = require('../controllers/transferController');
+const { mockQuery } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const admin = { id: id().toString(), role: 'admin', name: 'Admin' };
+
+const newTransfer = (overrides) => new TransferRequest({
+  originHospital: id(),
+  destinationHospital: id(),
+  requestedBy: id(),
+  patientDetails: { name: 'Ravi' },
+  clinicalSummary: { diagnosis: 'STEMI', reasonForTransfer: 'Needs cath lab' },
+  ambulanceType: 'Advanced',
+  ...overrides
+});
+
+const origin = () => ({
+  _id: id(),
+  name: 'District Hospital',
+  address: { street: '2 Hill Road', city: 'Mysuru', location: { coordinates: [76.64, 12.3] } }
+});
+
+describe('rejectTransfer and cancelTransfer', () => {
+  let transfer;
+
+  beforeEach(() => {
+    transfer = newTransfer();
+    jest.spyOn(TransferRequest, 'findById').mockReturnValue(mockQuery(transfer));
+    jest.spyOn(TransferRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects only while the transfer is still requested', async () => {
+    jest.spyOn(TransferRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = mockRes();
+
+    await transferController.rejectTransfer(
+      mockReq({ user: admin, params: { id: transfer._id.toString() }, body: { reason: 'No beds' } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(409);
+    expect(TransferRequest.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: transfer._id, status: 'Requested' },
+      expect.objectContaining({ status: 'Rejected' }),
+      { new: true }
+    );
+    expect(TransferRequest.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('withdraws only while the transfer is still requested', async () => {
+    jest.spyOn(TransferRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = mockRes();
+
+    await transferController.cancelTransfer(
+      mockReq({ user: admin, params: { id: transfer._id.toString() } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(409);
+    expect(TransferRequest.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: transfer._id, status: 'Requested' },
+      expect.objectContaining({ status: 'Cancelled' }),
+      { new: true }
+    );
+    expect(TransferRequest.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('returns the rejected transfer', async () => {
+    const rejected = newTransfer({ _id: transfer._id, status: 'Rejected' });
+    jest.spyOn(TransferRequest, 'findOneAndUpdate').mockResolvedValue(rejected);
+    const res = mockRes();
+
+    await transferController.rejectTransfer(
+      mockReq({ user: admin, params: { id: transfer._id.toString() }, body: { reason: 'No beds' } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toBe(rejected);
+  });
+});
+
+describe('acceptTransfer', () => {
+  let transfer;
+  let accepted;
+
+  beforeEach(() => {
+    transfer = newTransfer();
+    accepted = newTransfer({ _id: transfer._id, originHospital: transfer.originHospital, status: 'Accepted' });
+    jest.spyOn(TransferRequest, 'findById').mockReturnValue(mockQuery(transfer));
+    jest.spyOn(TransferRequest, 'findOneAndUpdate').mockResolvedValue(accepted);
+    jest.spyOn(TransferRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(TransferRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Hospital, 'findById').mockReturnValue(mockQuery(origin()));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    offerDispatch.mockReset();
+  });
+
+  it('reopens the request when the run cannot be created', async () => {
+    jest.spyOn(Emergency, 'create').mockRejectedValue(new Error('write failed'));
+    const res = mockRes();
+
+    await transferController.acceptTransfer(
+      mockReq({ user: admin, params: { id: transfer._id.toString() } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(503);
+    expect(TransferRequest.updateOne).toHaveBeenCalledWith(
+      { _id: transfer._id, status: 'Accepted', emergency: null },
+      expect.objectContaining({ status: 'Requested', $unset: { decision: 1 } })
+    );
+    expect(offerDispatch).not.toHaveBeenCalled();
+  });
+
+  it('keeps the run and queues it when the offer fails', async () => {
+    jest.spyOn(Emergency, 'create').mockImplementation((data) => Promise.resolve(new Emergency(data)));
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    offerDispatch.mockRejectedValue(new Error('offer failed'));
+    const res = mockRes();
+
+    await transferController.acceptTransfer(
+      mockReq({ user: admin, params: { id: transfer._id.toString() } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(accepted.status).toBe('Dispatched');
+    expect(accepted.emergency).toBeTruthy();
+    expect(TransferRequest.updateOne).not.toHaveBeenCalled();
+  });
+});
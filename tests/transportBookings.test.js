@@ -0,0 +1,180 @@
+jest.mock('../services/dispatchOffers', () => ({
+  offerDispatch: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const TransportBooking = require('../models/TransportBooking');
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const { offerDispatch } = require('../services/dispatchOffers');
+const {
+  scheduleBooking,
+  saveScheduledBooking,
+  dispatchBooking
+} = require('../services/transportBookings');
+const transportController = require('../controllers/transportController');
+const { mockQuery, mockIo } = require('./helpers/mockQuery');
+const { mockReq, mockRes } = require('./helpers/http');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newBooking = (overrides) => new TransportBooking({
+  hospital: id(),
+  bookedBy: id(),
+  patientDetails: { name: 'Asha', mobility: 'wheelchair' },
+  purpose: 'dialysis',
+  pickup: { type: 'Point', coordinates: [77.59, 12.97], address: '1 MG Road' },
+  dropoff: { type: 'Point', coordinates: [77.6, 12.98], address: 'City Dialysis' },
+  pickupTime: new Date(Date.now() + 3 * 3600000),
+  ambulanceType: 'Basic',
+  ...overrides
+});
+
+const unit = () => ({ _id: id(), vehicleNumber: 'KA01', type: 'Basic', driver: id() });
+
+describe('scheduleBooking', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(TransportBooking.prototype, 'save').mockImplementation(function() {
+      saved.push(this.ambulance);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(TransportBooking, 'distinct').mockResolvedValue([]);
+    jest.spyOn(TransportBooking, 'exists').mockResolvedValue(null);
+    jest.spyOn(Ambulance, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reserves a free unit under its schedule lock and saves the booking', async () => {
+    const first = unit();
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([first]));
+    jest.spyOn(Ambulance, 'findOneAndUpdate').mockResolvedValue(first);
+
+    const { ambulance, booking } = await scheduleBooking(newBooking());
+
+    expect(ambulance).toBe(first);
+    expect(booking.ambulance).toEqual(first._id);
+    expect(saved).toEqual([first._id]);
+    expect(Ambulance.updateOne).toHaveBeenCalledWith({ _id: first._id }, { scheduleLockedUntil: null });
+  });
+
+  it('moves on to the next unit while another booking holds the lock', async () => {
+    const [first, second] = [unit(), unit()];
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([first, second]));
+    jest.spyOn(Ambulance, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(second);
+
+    const { ambulance } = await scheduleBooking(newBooking());
+
+    expect(ambulance).toBe(second);
+    expect(saved).toEqual([second._id]);
+  });
+
+  it('does not book a unit taken between the search and the lock', async () => {
+    const first = unit();
+    jest.spyOn(Ambulance, 'find').mockReturnValue(mockQuery([first]));
+    jest.spyOn(Ambulance, 'findOneAndUpdate').mockResolvedValue(first);
+    TransportBooking.exists.mockResolvedValue({ _id: id() });
+
+    await expect(scheduleBooking(newBooking())).rejects.toMatchObject({ code: 409 });
+
+    expect(saved).toEqual([]);
+    expect(Ambulance.updateOne).toHaveBeenCalledWith({ _id: first._id }, { scheduleLockedUntil: null });
+  });
+});
+
+describe('saveScheduledBooking', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes changes only while the booking is scheduled', async () => {
+    const booking = newBooking();
+    booking.isNew = false;
+    booking.notes = 'Needs a ramp';
+    jest.spyOn(TransportBooking, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(saveScheduledBooking(booking)).rejects.toMatchObject({ code: 409 });
+
+    expect(TransportBooking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: booking._id, status: 'Scheduled' },
+      expect.objectContaining({ $set: expect.objectContaining({ notes: 'Needs a ramp' }) }),
+      expect.anything()
+    );
+  });
+});
+
+describe('cancelBooking', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers 409 when the sweep dispatched the booking first', async () => {
+    const booking = newBooking();
+    jest.spyOn(TransportBooking, 'findById').mockReturnValue(mockQuery(booking));
+    jest.spyOn(TransportBooking, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = mockRes();
+
+    await transportController.cancelBooking(
+      mockReq({ user: { id: id().toString(), role: 'admin' }, params: { id: booking._id.toString() } }),
+      res
+    );
+
+    expect(res.statusCode).toBe(409);
+    expect(TransportBooking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: booking._id, status: 'Scheduled' },
+      expect.objectContaining({ status: 'Cancelled' }),
+      { new: true }
+    );
+  });
+});
+
+describe('dispatchBooking', () => {
+  let booking;
+
+  beforeEach(() => {
+    booking = newBooking({ ambulance: id() });
+    jest.spyOn(TransportBooking, 'findOneAndUpdate').mockImplementation((filter, update) =>
+      Promise.resolve(Object.assign(booking, update))
+    );
+    jest.spyOn(TransportBooking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    offerDispatch.mockReset();
+  });
+
+  it('records the emergency on the booking in the same write as the claim', async () => {
+    jest.spyOn(Emergency, 'create').mockImplementation((data) => Promise.resolve(new Emergency(data)));
+    offerDispatch.mockResolvedValue({ _id: booking.ambulance });
+
+    const emergency = await dispatchBooking(booking, mockIo().io);
+
+    expect(TransportBooking.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: booking._id, status: 'Scheduled' },
+      expect.objectContaining({ status: 'Dispatched', emergency: emergency._id }),
+      { new: true }
+    );
+    expect(TransportBooking.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('puts the booking back to scheduled when the emergency cannot be created', async () => {
+    jest.spyOn(Emergency, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(dispatchBooking(booking, mockIo().io)).rejects.toThrow('write failed');
+
+    expect(TransportBooking.updateOne).toHaveBeenCalledWith(
+      { _id: booking._id, status: 'Dispatched', emergency: booking.emergency },
+      expect.objectContaining({ status: 'Scheduled', emergency: null })
+    );
+    expect(offerDispatch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Emergency cancellation reasons
+ *
+ * Codes stored on the emergency, with the label shown to dispatchers.
+ * Reasons in ABUSE_REASONS count against the caller in the cancellation
+ * report; the rest are legitimate outcomes. Only dispatch staff or the
+ * crew may give a reason in STAFF_REASONS, and MERGE_REASON is only set by
+ * merging a duplicate report.
+ */
+const CANCELLATION_REASONS = {
+  patient_recovered: 'Patient recovered',
+  private_transport: 'Went by private car',
+  duplicate: 'Duplicate report',
+  hoax: 'Hoax or prank call',
+  no_patient_found: 'No patient found at location',
+  patient_refused: 'Patient refused care',
+  other: 'Other'
+};
+
+const REASON_CODES = Object.keys(CANCELLATION_REASONS);
+
+const ABUSE_REASONS = ['hoax', 'no_patient_found'];
+
+const STAFF_REASONS = ['hoax', 'no_patient_found'];
+
+const STAFF_ROLES = ['admin', 'hospital_admin', 'assigned_driver', 'system'];
+
+const MERGE_REASON = 'duplicate';
+
+module.exports = {
+  CANCELLATION_REASONS,
+  REASON_CODES,
+  ABUSE_REASONS,
+  STAFF_REASONS,
+  STAFF_ROLES,
+  MERGE_REASON
+};
@@ -0,0 +1,124 @@
+const { TransitionError } = require('../middleware/errorHandler');
+
+/**
+ * Emergency lifecycle transition table
+ *
+ * Keyed by current status, then by the status it may move to. `roles`
+ * lists who may make the move:
+ *   system          - internal dispatch code (offers, queue)
+ *   patient         - the patient the emergency belongs to
+ *   caller          - the user who requested help, if not the patient
+ *   assigned_driver - the driver of the emergency's assigned ambulance
+ *   hospital_admin  - hospital staff with admin rights
+ *   admin           - system administrators
+ * `requiresAmbulance` blocks the move until a unit has been assigned.
+ */
+const TRANSITIONS = {
+  Pending: {
+    Dispatched: { roles: ['system', 'hospital_admin', 'admin'], requiresAmbulance: true },
+    Cancelled: { roles: ['system', 'patient', 'caller', 'hospital_admin', 'admin'] }
+  },
+  Dispatched: {
+    'En Route': { roles: ['assigned_driver'], requiresAmbulance: true },
+    Cancelled: { roles: ['system', 'patient', 'caller', 'hospital_admin', 'admin'] }
+  },
+  'En Route': {
+    'On Scene': { roles: ['assigned_driver'], requiresAmbulance: true },
+    Cancelled: { roles: ['system', 'patient', 'caller', 'hospital_admin', 'admin'] }
+  },
+  'On Scene': {
+    Transporting: { roles: ['assigned_driver'], requiresAmbulance: true },
+    // Treated on scene, no transport needed
+    Completed: { roles: ['assigned_driver', 'hospital_admin', 'admin'], requiresAmbulance: true },
+    Cancelled: { roles: ['system', 'patient', 'caller', 'hospital_admin', 'admin'] }
+  },
+  Transporting: {
+    'At Hospital': { roles: ['assigned_driver'], requiresAmbulance: true }
+  },
+  'At Hospital': {
+    'Handed Over': { roles: ['assigned_driver', 'hospital_admin'], requiresAmbulance: true }
+  },
+  'Handed Over': {
+    // Crew cleared and back in service
+    Completed: { roles: ['assigned_driver', 'hospital_admin', 'admin'], requiresAmbulance: true }
+  },
+  Completed: {},
+  Cancelled: {}
+};
+
+// Every status, in lifecycle order
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses an emergency is still being worked in
+const ACTIVE_STATUSES = STATUSES.filter(status => Object.keys(TRANSITIONS[status]).length > 0);
+
+// Timestamp field set when an emergency enters each status
+const STATUS_TIMESTAMPS = {
+  Dispatched: 'dispatchedAt',
+  'En Route': 'enRouteAt',
+  'On Scene': 'onSceneAt',
+  Transporting: 'patientLoadedAt',
+  'At Hospital': 'atHospitalAt',
+  'Handed Over': 'handedOverAt',
+  Completed: 'completedAt',
+  Cancelled: 'cancelledAt'
+};
+
+/**
+ * Get the transition rule between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null} Transition rule or null if not allowed
+ */
+const getTransition = (from, to) => {
+  return TRANSITIONS[from]?.[to] || null;
+};
+
+/**
+ * List the statuses reachable from a status
+ * @param {string} from - Current status
+ * @returns {Array<string>} Reachable statuses
+ */
+const allowedTransitions = (from) => {
+  return Object.keys(TRANSITIONS[from] || {});
+};
+
+/**
+ * Throw if a transition is not in the table
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object} Transition rule
+ */
+const assertTransition = (from, to) => {
+  const transition = getTransition(from, to);
+
+  if (!transition) {
+    throw new TransitionError(`Cannot move emergency from ${from} to ${to}`, {
+      from,
+      to,
+      allowedTransitions: allowedTransitions(from)
+    });
+  }
+
+  return transition;
+};
+
+/**
+ * Check whether an emergency is in a terminal status
+ * @param {string} status - Emergency status
+ * @returns {boolean} True if no further transitions are possible
+ */
+const isTerminal = (status) => {
+  return allowedTransitions(status).length === 0;
+};
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  ACTIVE_STATUSES,
+  STATUS_TIMESTAMPS,
+  getTransition,
+  allowedTransitions,
+  assertTransition,
+  isTerminal
+};
@@ -0,0 +1,16 @@
+/**
+ * Patient feedback rating categories
+ *
+ * Each is rated 1 - 5. Crew and response time are credited to the unit
+ * and its driver, hospital to the receiving hospital.
+ */
+const RATING_CATEGORIES = ['crew', 'responseTime', 'hospital'];
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+module.exports = {
+  RATING_CATEGORIES,
+  MIN_RATING,
+  MAX_RATING
+};
@@ -2,7 +2,7 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const { promisify } = require('util');
-const { google } = require('google-maps-services-js');
+const { Client } = require('@googlemaps/google-maps-services-js');
 
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
@@ -25,11 +25,10 @@ const generateRandomString = (length = 10) => {
  * @returns {string} Random numeric OTP
  */
 const generateOTP = (length = 6) => {
-  const digits = '0123456789';
   let otp = '';
   
   for (let i = 0; i < length; i++) {
-    otp += digits[Math.floor(Math.random() * 10)];
+    otp += crypto.randomInt(10);
   }
   
   return otp;
@@ -47,6 +46,17 @@ const hashString = (text) => {
     .digest('hex');
 };
 
+/**
+ * Compare two hex digests without leaking timing
+ * @param {string} a - Hex digest
+ * @param {string} b - Hex digest
+ * @returns {boolean} True if equal
+ */
+const safeCompareHash = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
 /**
  * Calculate distance between two coordinates in kilometers (Haversine formula)
  * @param {Object} coord1 - First coordinate { lat, lng }
@@ -135,11 +145,12 @@ const calculateETA = (distance, speed = 40) => {
  * Calculate the fastest route using Google Maps Directions API
  * @param {Object} origin - Origin coordinates { lat, lng }
  * @param {Object} destination - Destination coordinates { lat, lng }
+ * @param {number} timeout - Request timeout in milliseconds (default: 1000)
  * @returns {Promise<Object>} Route information
  */
-const getFastestRoute = async (origin, destination) => {
+const getFastestRoute = async (origin, destination, timeout = 1000) => {
   try {
-    const client = new google.maps.Client({});
+    const client = new Client({});
     
     const response = await client.directions({
       params: {
@@ -150,7 +161,7 @@ const getFastestRoute = async (origin, destination) => {
         traffic_model: 'best_guess',
         departure_time: 'now'
       },
-      timeout: 1000 // 1 second timeout
+      timeout
     });
     
     if (response.data.status !== 'OK') {
@@ -289,10 +300,47 @@ const getMimeType = (filename) => {
   return mimeTypes[ext] || 'application/octet-stream';
 };
 
+// Leading bytes of the file types users may upload
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] } // %PDF-
+];
+
+/**
+ * Identify a file's type from its leading bytes
+ * @param {Buffer} data - File contents
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+const sniffMimeType = (data) => {
+  const signature = FILE_SIGNATURES.find(({ bytes }) =>
+    data.length >= bytes.length && bytes.every((byte, index) => data[index] === byte)
+  );
+
+  return signature ? signature.mimeType : null;
+};
+
+/**
+ * Clean an uploaded file name for storing and showing back: no path,
+ * control characters or quotes, at most 200 characters
+ * @param {string} filename - File name as uploaded
+ * @returns {string} Clean file name, 'attachment' plus the extension if nothing is left
+ */
+const sanitizeFileName = (filename) => {
+  const ext = path.extname(filename).toLowerCase();
+  const base = path.basename(filename.normalize('NFC'), path.extname(filename))
+    .replace(/[\u0000-\u001f\u007f-\u009f"\\/]/g, '')
+    .trim()
+    .slice(0, 200 - ext.length);
+
+  return `${base || 'attachment'}${ext}`;
+};
+
 module.exports = {
   generateRandomString,
   generateOTP,
   hashString,
+  safeCompareHash,
   calculateDistance,
   formatDate,
   formatDuration,
@@ -304,5 +352,7 @@ module.exports = {
   isValidPhone,
   formatPhoneNumber,
   fileToBase64,
-  getMimeType
+  getMimeType,
+  sniffMimeType,
+  sanitizeFileName
 };
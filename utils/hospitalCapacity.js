@@ -0,0 +1,19 @@
+/**
+ * Hospital capacity units
+ *
+ * Each unit is reported by hospital staff as a total and the number
+ * currently available. A unit with a total of 0 is treated as not
+ * reported rather than full.
+ */
+const CAPACITY_UNITS = [
+  'erBeds',
+  'icuBeds',
+  'nicuBeds',
+  'picuBeds',
+  'generalBeds',
+  'ventilators'
+];
+
+module.exports = {
+  CAPACITY_UNITS
+};
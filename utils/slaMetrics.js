@@ -0,0 +1,21 @@
+/**
+ * Response-time SLA metrics
+ *
+ * Each metric is the time from the emergency being reported to the first
+ * timeline entry for its milestone status.
+ */
+const SLA_MILESTONES = {
+  dispatch: 'Dispatched',
+  scene: 'On Scene',
+  hospital: 'At Hospital'
+};
+
+const SLA_METRICS = Object.keys(SLA_MILESTONES);
+
+const SLA_PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+module.exports = {
+  SLA_MILESTONES,
+  SLA_METRICS,
+  SLA_PRIORITIES
+};
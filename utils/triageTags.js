@@ -0,0 +1,18 @@
+/**
+ * Mass-casualty triage tags
+ *
+ * START triage categories, most urgent first. Each transportable tag
+ * names the hospital capacity unit its casualties are placed against.
+ */
+const TRIAGE_TAGS = ['immediate', 'delayed', 'minor', 'deceased'];
+
+const TAG_CAPACITY_UNITS = {
+  immediate: 'icuBeds',
+  delayed: 'erBeds',
+  minor: 'generalBeds'
+};
+
+module.exports = {
+  TRIAGE_TAGS,
+  TAG_CAPACITY_UNITS
+};